@@ -0,0 +1,99 @@
+/**
+ * Page bridge tests (node --test): commands from the socket
+ *
+ * vibecue_bridge.js is a page script; it runs here in a context with an open
+ * socket and the page functions it calls (sendCommand(), the DOM) stubbed.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BRIDGE_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'vibecue_bridge.js'), 'utf8');
+
+let page;
+let sent;
+let commands;
+
+/**
+ * Page context with vibecue_bridge.js loaded and the bridge connected
+ */
+function createPage() {
+    const hub = { id: 1, label: 'Hub 1', isConnected: true, transport: { name: 'sim' }, deviceState: {} };
+    const elements = {};
+    const context = {
+        window: { addEventListener: () => {} },
+        document: {
+            getElementById: id => elements[id] || (elements[id] = { value: '', disabled: false })
+        },
+        localStorage: { getItem: () => null, setItem: () => {} },
+        WebSocket: { OPEN: 1 },
+        hubs: [hub],
+        selectedHub: hub,
+        sendCommand: async (command, options) => {
+            commands.push({ command, options });
+            return '#DM:TYPE:OK:1';
+        },
+        onProtocolEvent: () => {},
+        onLanguageChange: () => {},
+        t: key => key,
+        alert: message => assert.fail(message),
+        logSent: () => {},
+        setInterval: () => {},
+        console
+    };
+    vm.createContext(context);
+    vm.runInContext(BRIDGE_SOURCE, context);
+    context.socket = { readyState: 1, send: text => sent.push(JSON.parse(text)) };
+    vm.runInContext('bridgeSocket = socket', context);
+    return context;
+}
+
+/**
+ * Run a 'command' message and return the result sent back
+ */
+async function command(message) {
+    await vm.runInContext('runBridgeCommand', page)({ type: 'command', id: 'a', command: 'DM:TYPE:1', ...message });
+    return sent.find(m => m.type === 'result');
+}
+
+beforeEach(() => {
+    sent = [];
+    commands = [];
+    page = createPage();
+});
+
+test('timeout and retries in range are passed to sendCommand', async () => {
+    const result = await command({ timeout: 100, retries: 5 });
+    assert.equal(result.ok, true);
+    assert.equal(commands[0].options.timeout, 100);
+    assert.equal(commands[0].options.retries, 5);
+});
+
+test('commands without timeout or retries keep the defaults', async () => {
+    const result = await command({});
+    assert.equal(result.ok, true);
+    assert.equal(commands[0].options.timeout, undefined);
+    assert.equal(commands[0].options.retries, undefined);
+});
+
+for (const options of [
+    { timeout: 99 },
+    { timeout: 60001 },
+    { timeout: 1500.5 },
+    { timeout: '1000' },
+    { retries: -1 },
+    { retries: 6 },
+    { retries: 1.5 },
+    { retries: null }
+]) {
+    test(`${JSON.stringify(options)} is refused without sending`, async () => {
+        const result = await command(options);
+        assert.equal(result.ok, false);
+        assert.equal(result.code, 'INVALID_OPTION');
+        assert.equal(result.id, 'a');
+        assert.equal(commands.length, 0);
+    });
+}
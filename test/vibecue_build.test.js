@@ -0,0 +1,33 @@
+/**
+ * Classic client build tests (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const vm = require('vm');
+
+const { buildClassicClient, MODULE_FILE, CLASSIC_FILE } = require('../vibecue_build.js');
+
+const normalize = text => text.replace(/\r\n/g, '\n');
+
+test('vibecue_client.classic.js is up to date (npm run build)', () => {
+    const expected = buildClassicClient(fs.readFileSync(MODULE_FILE, 'utf8'));
+    assert.equal(normalize(fs.readFileSync(CLASSIC_FILE, 'utf8')), normalize(expected));
+});
+
+test('the classic build defines the module exports on window', async () => {
+    const window = {};
+    vm.runInNewContext(fs.readFileSync(CLASSIC_FILE, 'utf8'), { window, setTimeout, clearTimeout, TextEncoder, TextDecoder });
+
+    const client = await import('../vibecue_client.js');
+    assert.deepEqual(Object.keys(window).sort(), Object.keys(client).sort());
+    assert.equal(window.DEFAULT_COMMAND_RETRIES, client.DEFAULT_COMMAND_RETRIES);
+    assert.equal(new window.CommandError('TIMEOUT', 'x').code, 'TIMEOUT');
+});
+
+test('the classic build keeps the line endings of the module', () => {
+    const classic = buildClassicClient('export const A = 1;\r\nconst b = 2;\r\n');
+    assert.ok(!/[^\r]\n/.test(classic));
+    assert.match(classic, /Object\.assign\(window, \{ A \}\);/);
+});
@@ -0,0 +1,150 @@
+/**
+ * Client tests (node --test): command queue against the simulated hub
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { VibeCueClient, CommandError } from '../vibecue_client.js';
+
+const require = createRequire(import.meta.url);
+const protocol = require('../vibecue_protocol.js');
+const { SimulatedTransport } = require('../vibecue_sim.js');
+
+let client;
+let transport;
+let written;
+
+/**
+ * Simulated link that records the written commands and never delivers the
+ * commands listed in `swallow` to the hub (they stay without a reply)
+ */
+function createTransport(swallow = []) {
+    const link = new SimulatedTransport({ seed: 1 });
+    const write = link.write.bind(link);
+    link.write = async packet => {
+        const line = new TextDecoder().decode(packet).trim();
+        written.push(line.substring(1));
+        if (!swallow.includes(line.substring(1))) await write(packet);
+    };
+    return link;
+}
+
+async function connect(swallow) {
+    transport = createTransport(swallow);
+    await client.connect(transport);
+}
+
+beforeEach(() => {
+    written = [];
+    client = new VibeCueClient({ protocol, timeout: 3000, retries: 1, reconnectDelays: [] });
+});
+
+afterEach(() => {
+    client.disconnect();
+});
+
+describe('emergencyStop', () => {
+    test('does not wait for the command in flight', async () => {
+        await connect(['DM:STATUS:REQ']);
+        await client.setType(1);
+        await client.evalStart();
+
+        const hanging = assert.rejects(client.requestStatus(), { code: 'CANCELLED' });
+        const queued = assert.rejects(client.evalStart(), { code: 'CANCELLED' });
+        const started = Date.now();
+        const results = await client.emergencyStop(new CommandError('CANCELLED', 'Emergency stop'));
+
+        assert.ok(Date.now() - started < 1000, 'stop waited for the command in flight');
+        await hanging;
+        await queued;
+        assert.equal(results.length, 1);
+        assert.equal(results[0].status, 'fulfilled');
+        assert.match(results[0].value, /^#EVAL:STOP:STOP_OK:/);
+        assert.equal(client.state.mode, null);
+        assert.equal(transport.hub.mode, 'IDLE');
+    });
+
+    test('sends every stop when the mode is not known', async () => {
+        await connect();
+        await client.setType(2);
+        // Started by someone else: the client has not seen it
+        transport.hub.receive('$DS:START');
+        assert.equal(client.state.mode, null);
+
+        await client.emergencyStop(new CommandError('CANCELLED', 'Emergency stop'));
+        assert.deepEqual(written.slice(-3), ['MAN:STOP', 'DS:STOP', 'EVAL:STOP']);
+        assert.equal(transport.hub.mode, 'IDLE');
+    });
+});
+
+describe('send', () => {
+    test('priority commands go ahead of the queue', async () => {
+        await connect();
+        const order = [];
+        const track = command => client.send(command).then(() => order.push(command));
+
+        const first = track('DM:STATUS:REQ');
+        const second = track('DM:TYPE:1');
+        const urgent = client.send('MAN:STOP', { priority: true }).then(() => order.push('MAN:STOP'));
+        await Promise.all([first, second, urgent]);
+
+        assert.deepEqual(order, ['DM:STATUS:REQ', 'MAN:STOP', 'DM:TYPE:1']);
+    });
+
+    test('an error of another group does not answer the pending command', async () => {
+        await connect(['DM:STATUS:REQ']);
+        const pending = client.send('DM:STATUS:REQ');
+        await new Promise(resolve => setImmediate(resolve));
+
+        transport.hub.emit('#ERR:EVAL:STOP:NOT_STARTED');
+        transport.hub.emit('#ERR:DM:SCAN:NOT_INIT');
+        transport.hub.emit('#DM:STATUS:0,0');
+        assert.equal(await pending, '#DM:STATUS:0,0');
+    });
+
+    test('an error without a group answers the pending command', async () => {
+        await connect(['DS:START']);
+        const pending = assert.rejects(client.send('DS:START'), { code: 'NO_TYPE' });
+        await new Promise(resolve => setImmediate(resolve));
+        transport.hub.emit('#ERR:NO_TYPE');
+        await pending;
+    });
+
+    test('a quiet command marks its packet and its reply, and only those', async () => {
+        await connect();
+        const sent = [];
+        const received = [];
+        client.on('tx', ({ line, quiet }) => sent.push({ line, quiet }));
+        client.on('*', ({ line, quiet }) => received.push({ line, quiet: !!quiet }));
+
+        await client.send('DM:STATUS:REQ', { quiet: true });
+        await client.send('DM:STATUS:REQ');
+        assert.deepEqual(sent.map(s => s.quiet), [true, false]);
+        assert.deepEqual(received.map(r => r.quiet), [true, false]);
+    });
+
+    test('START and CONN commands are not resent after a timeout', async () => {
+        client.timeout = 50;
+        await connect(['EVAL:START', 'DM:CONN:5CF286477359:LFOOT', 'DM:STATUS:REQ']);
+        await client.setType(1);
+
+        await assert.rejects(client.evalStart(), { code: 'TIMEOUT' });
+        await assert.rejects(client.connectSensor('5CF286477359', 'LFOOT'), { code: 'TIMEOUT' });
+        await assert.rejects(client.requestStatus(), { code: 'TIMEOUT' });
+        assert.deepEqual(written.slice(1), [
+            'EVAL:START',
+            'DM:CONN:5CF286477359:LFOOT',
+            'DM:STATUS:REQ', 'DM:STATUS:REQ'
+        ]);
+    });
+
+    test('explicit retries still apply to START commands', async () => {
+        client.timeout = 50;
+        await connect(['DS:START']);
+        await client.setType(2);
+
+        await assert.rejects(client.send('DS:START', { retries: 2 }), { code: 'TIMEOUT' });
+        assert.equal(written.filter(command => command === 'DS:START').length, 3);
+    });
+});
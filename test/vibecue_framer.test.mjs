@@ -0,0 +1,106 @@
+/**
+ * Line framer tests (node --test): received bytes to protocol lines
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LineFramer, MAX_LINE_LENGTH, LINE_TIMEOUT_MS } from '../vibecue_client.js';
+
+const encoder = new TextEncoder();
+
+let framer;
+let lines;
+let errors;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    lines = [];
+    errors = [];
+    framer = new LineFramer(line => lines.push(line), (reason, text) => errors.push({ reason, text }));
+});
+
+afterEach(() => {
+    framer.reset();
+    mock.timers.reset();
+});
+
+test('several lines in one chunk come out one by one', () => {
+    framer.push(encoder.encode('#DM:TYPE:OK:1\r\n#DM:STATUS:0,0\r\n\r\n#DS:START:OK\r\n'));
+    assert.deepEqual(lines, ['#DM:TYPE:OK:1', '#DM:STATUS:0,0', '#DS:START:OK']);
+    assert.deepEqual(errors, []);
+});
+
+test('a line split across chunks, terminator included, comes out whole', () => {
+    framer.push(encoder.encode('#DM:TY'));
+    framer.push(encoder.encode('PE:OK:1\r'));
+    assert.deepEqual(lines, []);
+    framer.push(encoder.encode('\n'));
+    assert.deepEqual(lines, ['#DM:TYPE:OK:1']);
+});
+
+test('a UTF-8 character split across chunks is decoded once it is complete', () => {
+    const bytes = encoder.encode('#LOG:진동\r\n');
+    // Cut inside the three bytes of the first Hangul syllable
+    framer.push(bytes.subarray(0, 6));
+    framer.push(bytes.subarray(6));
+    assert.deepEqual(lines, ['#LOG:진동']);
+    assert.deepEqual(errors, []);
+});
+
+test('an over-long line is reported once and dropped up to its terminator', () => {
+    const long = 'x'.repeat(MAX_LINE_LENGTH + 10);
+    framer.push(encoder.encode(long.substring(0, 200)));
+    framer.push(encoder.encode(long.substring(200)));
+    framer.push(encoder.encode('yyy\r\n#DM:TYPE:OK:1\r\n'));
+    assert.deepEqual(lines, ['#DM:TYPE:OK:1']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].reason, 'too_long');
+});
+
+test('an over-long line within one chunk is reported with its text', () => {
+    const long = 'x'.repeat(MAX_LINE_LENGTH + 1);
+    framer.push(encoder.encode(`${long}\r\n#DM:TYPE:OK:1\r\n`));
+    assert.deepEqual(lines, ['#DM:TYPE:OK:1']);
+    assert.deepEqual(errors, [{ reason: 'too_long', text: long }]);
+});
+
+test('a line of the maximum length still comes out', () => {
+    const line = 'x'.repeat(MAX_LINE_LENGTH);
+    framer.push(encoder.encode(`${line}\r\n`));
+    assert.deepEqual(lines, [line]);
+});
+
+test('an unterminated line is reported after the line timeout', () => {
+    framer.push(encoder.encode('#DM:STAT'));
+    mock.timers.tick(LINE_TIMEOUT_MS - 1);
+    assert.deepEqual(errors, []);
+    mock.timers.tick(1);
+    assert.deepEqual(errors, [{ reason: 'unterminated', text: '#DM:STAT' }]);
+
+    // The framer starts over for the next line
+    framer.push(encoder.encode('#DM:TYPE:OK:1\r\n'));
+    assert.deepEqual(lines, ['#DM:TYPE:OK:1']);
+});
+
+test('more data restarts the line timeout', () => {
+    framer.push(encoder.encode('#DM:'));
+    mock.timers.tick(LINE_TIMEOUT_MS - 1);
+    framer.push(encoder.encode('STAT'));
+    mock.timers.tick(LINE_TIMEOUT_MS - 1);
+    assert.deepEqual(errors, []);
+    framer.push(encoder.encode('US:0,0\r\n'));
+    mock.timers.tick(LINE_TIMEOUT_MS);
+    assert.deepEqual(lines, ['#DM:STATUS:0,0']);
+    assert.deepEqual(errors, []);
+});
+
+test('flush reports the partial line and reset drops it silently', () => {
+    framer.push(encoder.encode('#DM:STAT'));
+    framer.flush();
+    assert.deepEqual(errors, [{ reason: 'unterminated', text: '#DM:STAT' }]);
+
+    framer.push(encoder.encode('#DS:'));
+    framer.reset();
+    mock.timers.tick(LINE_TIMEOUT_MS);
+    assert.equal(errors.length, 1);
+});
@@ -0,0 +1,174 @@
+/**
+ * Bridge relay tests (node --test)
+ *
+ * Message routing with fake connections, and the HTTP side of a relay started
+ * on a free port: origin checks of both WebSocket routes and the page files.
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+
+const { Relay, startRelay } = require('../vibecue_relay.js');
+
+/**
+ * Stand-in for a WsConnection: records what is sent to it
+ */
+function fakeConnection() {
+    return {
+        sent: [],
+        send(text) {
+            this.sent.push(JSON.parse(text));
+        },
+        onMessage: () => {},
+        onClose: () => {}
+    };
+}
+
+describe('Relay routing', () => {
+    test('answers go back to the asking client with its own id', () => {
+        const relay = new Relay(() => {});
+        const page = fakeConnection();
+        const first = fakeConnection();
+        const second = fakeConnection();
+        relay.addPage(page);
+        relay.addClient(first);
+        relay.addClient(second);
+
+        first.onMessage(JSON.stringify({ type: 'command', id: 'a', command: 'DM:TYPE:1' }));
+        second.onMessage(JSON.stringify({ type: 'command', id: 'a', command: 'DM:STATUS:REQ' }));
+        assert.deepEqual(page.sent.map(m => m.id), [1, 2]);
+
+        page.onMessage(JSON.stringify({ type: 'result', id: 2, ok: true, response: '#DM:STATUS:0,0' }));
+        assert.deepEqual(second.sent.pop(), { type: 'result', id: 'a', ok: true, response: '#DM:STATUS:0,0' });
+        assert.equal(first.sent.some(m => m.type === 'result'), false);
+    });
+
+    test('streamed lines go to every client', () => {
+        const relay = new Relay(() => {});
+        const page = fakeConnection();
+        const client = fakeConnection();
+        relay.addPage(page);
+        relay.addClient(client);
+
+        page.onMessage(JSON.stringify({ type: 'line', hub: 1, line: '#MAN:TIMEOUT' }));
+        assert.equal(client.sent.pop().line, '#MAN:TIMEOUT');
+    });
+
+    test('pending requests fail with NO_PAGE when the page goes away', () => {
+        const relay = new Relay(() => {});
+        const page = fakeConnection();
+        const client = fakeConnection();
+        relay.addPage(page);
+        relay.addClient(client);
+
+        client.onMessage(JSON.stringify({ type: 'command', id: 7, command: 'EVAL:STOP' }));
+        page.onClose();
+        assert.equal(client.sent.find(m => m.type === 'result').code, 'NO_PAGE');
+
+        client.onMessage(JSON.stringify({ type: 'hubs', id: 8 }));
+        assert.equal(client.sent.pop().code, 'NO_PAGE');
+    });
+
+    test('page messages that are not objects are dropped', () => {
+        const relay = new Relay(() => {});
+        const page = fakeConnection();
+        const client = fakeConnection();
+        relay.addPage(page);
+        relay.addClient(client);
+        const before = client.sent.length;
+
+        for (const text of ['null', '42', '"text"', '[1]', '{']) {
+            page.onMessage(text);
+        }
+        assert.equal(client.sent.length, before);
+    });
+
+    test('client messages that are not objects get an error', () => {
+        const relay = new Relay(() => {});
+        const client = fakeConnection();
+        relay.addPage(fakeConnection());
+        relay.addClient(client);
+
+        client.onMessage('null');
+        assert.equal(client.sent.pop().type, 'error');
+    });
+});
+
+describe('Relay server', () => {
+    let server;
+    let port;
+
+    before(async () => {
+        server = startRelay({ port: 0, origins: ['https://tools.example'] });
+        await new Promise(resolve => server.once('listening', resolve));
+        port = server.address().port;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    /**
+     * Try a WebSocket handshake
+     * @returns {Promise<number>} - HTTP status of the answer (101 if accepted)
+     */
+    function handshake(route, origin) {
+        return new Promise((resolve, reject) => {
+            const headers = {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            };
+            if (origin) headers.Origin = origin;
+
+            const request = http.request({ host: '127.0.0.1', port, path: route, headers });
+            request.on('upgrade', (response, socket) => {
+                socket.destroy();
+                resolve(101);
+            });
+            request.on('response', response => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.on('error', reject);
+            request.end();
+        });
+    }
+
+    function get(route) {
+        return new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path: route }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+    }
+
+    test('the page slot refuses foreign origins', async () => {
+        assert.equal(await handshake('/page', 'https://evil.example'), 403);
+        assert.equal(server.relay.page, null);
+    });
+
+    test('clients from foreign origins are refused', async () => {
+        assert.equal(await handshake('/', 'https://evil.example'), 403);
+    });
+
+    test('the own origin, allowed origins and local programs are accepted', async () => {
+        assert.equal(await handshake('/', `http://localhost:${port}`), 101);
+        assert.equal(await handshake('/', 'https://tools.example'), 101);
+        assert.equal(await handshake('/'), 101);
+        assert.equal(await handshake('/page', `http://127.0.0.1:${port}`), 101);
+    });
+
+    test('serves the page files and nothing else', async () => {
+        assert.equal(await get('/'), 200);
+        assert.equal(await get('/vibecue_client.js'), 200);
+        assert.equal(await get('/vibecue_client.classic.js'), 200);
+        assert.equal(await get('/package.json'), 404);
+        assert.equal(await get('/..%2Fetc%2Fpasswd.js'), 404);
+        assert.equal(await get('/%E0%A4%A.js'), 404);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Command script tests (node --test): scripts run against the simulated hub
+ *
+ * vibecue_script.js is a page script; it runs here in a context with the page
+ * functions it calls (sendCommand(), onProtocolEvent(), the DOM) stubbed.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { createRequire } from 'node:module';
+import { VibeCueClient, CommandError } from '../vibecue_client.js';
+
+const require = createRequire(import.meta.url);
+const protocol = require('../vibecue_protocol.js');
+const { SimulatedTransport } = require('../vibecue_sim.js');
+
+const SCRIPT_SOURCE = fs.readFileSync(new URL('../vibecue_script.js', import.meta.url), 'utf8');
+
+let client;
+let page;
+
+/**
+ * Page context with vibecue_script.js loaded and a hub on the simulator
+ * MAN:START is refused by beforeSend, like the mode interlocks do.
+ */
+async function createPage() {
+    client = new VibeCueClient({
+        protocol,
+        timeout: 500,
+        retries: 0,
+        reconnectDelays: [],
+        beforeSend: command => command.startsWith('MAN:START') ? new CommandError('BLOCKED', 'Stop DS first') : null
+    });
+    await client.connect(new SimulatedTransport({ seed: 1 }));
+
+    const hub = { label: 'Hub 1', isConnected: true, transport: { name: 'sim' }, client };
+    const elements = {};
+    const context = {
+        window: { addEventListener: () => {} },
+        document: {
+            getElementById: id => elements[id] || (elements[id] = { value: '', innerHTML: '', disabled: false })
+        },
+        selectedHub: hub,
+        CommandError,
+        sendCommand: (command, options = {}) => (options.hub || hub).client.send(command, options),
+        onProtocolEvent: (type, handler) => client.on(type, event => handler({ ...event, hub })),
+        onLanguageChange: () => {},
+        t: key => key,
+        escapeHtml: text => String(text),
+        alert: message => assert.fail(message),
+        logSent: () => {},
+        logReceived: () => {},
+        setTimeout,
+        clearTimeout,
+        console
+    };
+    vm.createContext(context);
+    vm.runInContext(SCRIPT_SOURCE, context);
+    return context;
+}
+
+/**
+ * Run a script and return its report
+ */
+async function run(text) {
+    page.document.getElementById('scriptEditor').value = text;
+    await vm.runInContext('runScript()', page);
+    return vm.runInContext('scriptReport', page);
+}
+
+beforeEach(async () => {
+    page = await createPage();
+});
+
+afterEach(() => {
+    client.disconnect();
+});
+
+test('a command and its expected answer pass', async () => {
+    const report = await run('SEND DM:TYPE:1\nEXPECT #DM:TYPE:OK:1');
+    assert.equal(report.result, 'pass');
+});
+
+test('an #ERR answer is a result to check with EXPECT', async () => {
+    const report = await run('SEND DS:START\nEXPECT #ERR:NO_TYPE');
+    assert.equal(report.result, 'pass');
+    assert.equal(report.steps[0].detail, '#ERR:NO_TYPE');
+});
+
+test('a command refused before it reached the hub fails the step', async () => {
+    const report = await run('SEND MAN:START:50,3,1,1\nLOG not reached');
+    assert.equal(report.result, 'fail');
+    assert.equal(report.steps.length, 1);
+    assert.equal(report.steps[0].status, 'fail');
+    assert.equal(report.error, 'Stop DS first');
+});
+
+test('a command dropped by an emergency stop fails the step', async () => {
+    const running = run('SEND DM:STATUS:REQ');
+    client.cancelPending(new CommandError('CANCELLED', 'Emergency stop'));
+    const report = await running;
+    assert.equal(report.result, 'fail');
+    assert.equal(report.error, 'Emergency stop');
+});
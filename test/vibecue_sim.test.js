@@ -0,0 +1,397 @@
+/**
+ * Simulator and response parser tests (node --test)
+ *
+ * Drives SimulatedHub with protocol lines and checks its replies, and checks
+ * that parseResponse() types every line the hub sends.
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SimulatedHub } = require('../vibecue_sim.js');
+const { parseResponse, checkSensorValue, validateCommand, DEVICE_TYPE_RULES, MAX_SENSOR_SLOTS } = require('../vibecue_protocol.js');
+
+const LINE_TIMEOUT_MS = 2000;
+const MAC_A = '5CF286477359';
+const MAC_B = 'A4C1380F2B11';
+const MAC_C = 'D83A5E91C402';
+
+let hub;
+
+/**
+ * Hub whose lines are collected; waiters resolve on the first matching line
+ */
+function createHub(options = {}) {
+    const created = new SimulatedHub({ seed: 1, ...options });
+    created.lines = [];
+    created.waiters = [];
+    created.onLine = line => {
+        created.lines.push(line);
+        created.waiters = created.waiters.filter(waiter => !waiter(line));
+    };
+    return created;
+}
+
+/**
+ * Next line matching a pattern
+ * @param {RegExp} [pattern]
+ * @returns {Promise<string>}
+ */
+function nextLine(pattern = /./) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No line matching ${pattern}`)), LINE_TIMEOUT_MS);
+        hub.waiters.push(line => {
+            if (!pattern.test(line)) return false;
+            clearTimeout(timer);
+            resolve(line);
+            return true;
+        });
+    });
+}
+
+/**
+ * Send a command and wait for the reply
+ * @param {string} command - Without $ prefix
+ * @returns {Promise<string>}
+ */
+function send(command) {
+    const reply = nextLine(/^#(ERR|[A-Z]+:)/);
+    hub.receive('$' + command);
+    return reply;
+}
+
+async function setType(type) {
+    assert.equal(await send(`DM:TYPE:${type}`), `#DM:TYPE:OK:${type}`);
+}
+
+beforeEach(() => {
+    hub = createHub({ timeScale: 3000 });
+});
+
+afterEach(() => {
+    hub.destroy();
+});
+
+describe('DM:TYPE', () => {
+    test('accepts the known device types', async () => {
+        for (const type of Object.keys(DEVICE_TYPE_RULES)) {
+            await setType(type);
+            assert.equal(hub.type, Number(type));
+        }
+    });
+
+    test('rejects other values', async () => {
+        for (const arg of ['0', '5', '1x', '']) {
+            assert.equal(await send(`DM:TYPE:${arg}`), '#ERR:DM:TYPE:INVALID_ARG');
+        }
+        assert.equal(hub.type, null);
+    });
+});
+
+describe('DM:SCAN', () => {
+    test('needs INIT before START', async () => {
+        assert.equal(await send('DM:SCAN:START'), '#ERR:DM:SCAN:NOT_INIT');
+    });
+
+    test('reports sensors in range until stopped', async () => {
+        assert.equal(await send('DM:SCAN:INIT'), '#DM:SCAN:INIT_OK');
+        assert.equal(await send('DM:SCAN:START'), '#DM:SCAN:SCAN_STARTED');
+
+        const found = parseResponse(await nextLine(/^#DM:SCAN:FOUND:/));
+        assert.equal(found.type, 'scanFound');
+        assert.match(found.mac, /^[0-9A-F]{12}$/);
+        assert.equal(typeof found.rssi, 'number');
+
+        assert.equal(await send('DM:SCAN:STOP'), '#DM:SCAN:STOP_OK');
+        assert.equal(hub.scanning, false);
+    });
+
+    test('RECON reconnects the paired sensors', async () => {
+        await setType(1);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        assert.equal(await send('DM:SCAN:RECON'), '#DM:SCAN:RECON_OK');
+        assert.equal(await nextLine(/^#BLE:RAW:\+CONN/), `#BLE:RAW:+CONN:${MAC_A}`);
+    });
+
+    test('rejects unknown actions', async () => {
+        assert.equal(await send('DM:SCAN:GO'), '#ERR:DM:SCAN:INVALID_ARG');
+    });
+});
+
+describe('DM:CONN', () => {
+    test('pairs a sensor and reports the link', async () => {
+        await setType(2);
+        assert.equal(await send(`DM:CONN:${MAC_A}:LFOOT`), `#DM:CONN:OK:${MAC_A}:LFOOT`);
+        assert.equal(await nextLine(/^#BLE:RAW:\+CONN/), `#BLE:RAW:+CONN:${MAC_A}`);
+        assert.deepEqual(hub.slots, [{ mac: MAC_A, location: 'LFOOT', connected: true }]);
+    });
+
+    test('INVALID_ARG for a malformed MAC or missing location', async () => {
+        await setType(2);
+        assert.equal(await send('DM:CONN:5CF28647:LFOOT'), '#ERR:DM:CONN:INVALID_ARG');
+        assert.equal(await send(`DM:CONN:${MAC_A}`), '#ERR:DM:CONN:INVALID_ARG');
+    });
+
+    test('NO_TYPE before DM:TYPE', async () => {
+        assert.equal(await send(`DM:CONN:${MAC_A}:LFOOT`), '#ERR:NO_TYPE');
+    });
+
+    test('SLOT_FULL when every slot is taken', async () => {
+        await setType(2);
+        hub.slots = Array.from({ length: MAX_SENSOR_SLOTS }, (_, i) =>
+            ({ mac: `00000000000${i}`, location: 'BACK', connected: true }));
+        assert.equal(await send(`DM:CONN:${MAC_A}:LFOOT`), `#ERR:SLOT_FULL:${MAX_SENSOR_SLOTS}`);
+    });
+
+    test('DUP_MAC for a sensor already paired', async () => {
+        await setType(2);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        assert.equal(await send(`DM:CONN:${MAC_A}:RFOOT`), `#ERR:DUP_MAC:${MAC_A}:LFOOT`);
+    });
+
+    test('LOC_NOT_ALLOWED for a location outside the type', async () => {
+        await setType(1);
+        assert.equal(await send(`DM:CONN:${MAC_A}:BACK`), '#ERR:LOC_NOT_ALLOWED:BACK:TYPE1');
+    });
+
+    test('TYPE_FULL when the type has its maximum', async () => {
+        await setType(3);
+        await send(`DM:CONN:${MAC_A}:BACK`);
+        assert.equal(await send(`DM:CONN:${MAC_B}:BACK`), `#ERR:TYPE_FULL:3:${DEVICE_TYPE_RULES[3].max}`);
+    });
+
+    test('DUP_LOC for a location already assigned', async () => {
+        await setType(2);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        assert.equal(await send(`DM:CONN:${MAC_B}:LFOOT`), `#ERR:DUP_LOC:LFOOT:${MAC_A}`);
+    });
+
+    test('error lines parse with their named arguments', async () => {
+        await setType(2);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        const event = parseResponse(await send(`DM:CONN:${MAC_C}:LFOOT`));
+        assert.equal(event.type, 'error');
+        assert.equal(event.code, 'DUP_LOC');
+        assert.deepEqual(event.args, { location: 'LFOOT', mac: MAC_A });
+    });
+});
+
+describe('DM:STATUS, RESET and SETUP', () => {
+    test('STATUS reports type and slots', async () => {
+        assert.equal(await send('DM:STATUS:REQ'), '#DM:STATUS:0,0');
+
+        await setType(2);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        await nextLine(/^#BLE:RAW:\+CONN/);
+        const line = await send('DM:STATUS:REQ');
+        assert.equal(line, `#DM:STATUS:2,1,${MAC_A}/LFOOT/1`);
+
+        const event = parseResponse(line);
+        assert.equal(event.type, 'status');
+        assert.equal(event.deviceType, 2);
+        assert.deepEqual(event.slots, [{ mac: MAC_A, location: 'LFOOT', connected: true }]);
+    });
+
+    test('STATUS rejects other arguments', async () => {
+        assert.equal(await send('DM:STATUS:NOW'), '#ERR:DM:STATUS:INVALID_ARG');
+    });
+
+    test('RESET:CONFIRM returns to power-on state', async () => {
+        await setType(2);
+        await send(`DM:CONN:${MAC_A}:LFOOT`);
+        assert.equal(await send('DM:RESET:CONFIRM'), '#DM:RESET:OK');
+        assert.equal(hub.type, null);
+        assert.deepEqual(hub.slots, []);
+    });
+
+    test('SETUP:DONE is followed by +READY', async () => {
+        assert.equal(await send('DM:SETUP:DONE'), '#DM:SETUP:DONE_OK');
+        assert.equal(await nextLine(/^#BLE:RAW:/), '#BLE:RAW:+READY');
+    });
+});
+
+describe('MAN', () => {
+    test('START runs until STOP', async () => {
+        assert.equal(await send('MAN:START:50,3,5,1,4'), '#MAN:START:OK');
+        assert.equal(hub.mode, 'MAN');
+        assert.equal(await send('MAN:STOP'), '#MAN:STOP:OK');
+        assert.equal(hub.mode, 'IDLE');
+    });
+
+    test('TIMEOUT after the set minutes', async () => {
+        await send('MAN:START:50,3,1,1');
+        const event = parseResponse(await nextLine(/^#MAN:TIMEOUT/));
+        assert.equal(event.type, 'manTimeout');
+        assert.equal(hub.mode, 'IDLE');
+    });
+
+    test('START rejects parameters out of range', async () => {
+        for (const params of ['5,3,1,1', '50,6,1,1', '50,3,21,1', '50,3,1']) {
+            assert.equal(await send(`MAN:START:${params}`), '#ERR:MAN:START:INVALID_ARG');
+        }
+    });
+
+    test('START is BUSY while another mode runs', async () => {
+        await setType(2);
+        await send('DS:START');
+        assert.equal(await send('MAN:START:50,3,1,1'), '#ERR:MAN:START:BUSY');
+    });
+});
+
+describe('DS', () => {
+    test('needs a device type', async () => {
+        assert.equal(await send('DS:START'), '#ERR:NO_TYPE');
+    });
+
+    test('START and STOP', async () => {
+        await setType(2);
+        assert.equal(await send('DS:START'), '#DS:START:OK');
+        assert.equal(hub.mode, 'DS');
+        assert.equal(await send('DS:STOP'), '#DS:STOP:OK');
+        assert.equal(hub.mode, 'IDLE');
+    });
+
+    test('START is BUSY while EVAL runs', async () => {
+        await setType(2);
+        await send('EVAL:START');
+        assert.equal(await send('DS:START'), '#ERR:DS:START:BUSY');
+    });
+});
+
+describe('EVAL', () => {
+    test('needs a device type', async () => {
+        assert.equal(await send('EVAL:START'), '#ERR:NO_TYPE');
+    });
+
+    test('STOP without START is NOT_STARTED', async () => {
+        await setType(2);
+        assert.equal(await send('EVAL:STOP'), '#ERR:EVAL:STOP:NOT_STARTED');
+    });
+
+    test('foot types stream 4 values and stop with their averages', async () => {
+        await setType(1);
+        assert.equal(await send('EVAL:START'), '#EVAL:START:OK');
+
+        const sample = parseResponse(await nextLine(/^#EVAL:DATA:/));
+        assert.equal(sample.type, 'evalData');
+        assert.equal(sample.kind, 'foot');
+        assert.equal(sample.values.length, 4);
+
+        const result = parseResponse(await send('EVAL:STOP'));
+        assert.equal(result.type, 'evalResult');
+        assert.equal(result.kind, 'foot');
+        assert.deepEqual(Object.keys(result.averages), ['lDist', 'lSpeed', 'rDist', 'rSpeed', 'asymmetry']);
+
+        const samples = hub.evalSamples;
+        const mean = i => Math.round(samples.reduce((sum, s) => sum + s[i], 0) / samples.length);
+        assert.deepEqual(result.values.slice(0, 4), [mean(0), mean(1), mean(2), mean(3)]);
+        assert.equal(hub.mode, 'IDLE');
+    });
+
+    test('the back type streams 2 values and stops with 3', async () => {
+        await setType(3);
+        await send('EVAL:START');
+        assert.equal(parseResponse(await nextLine(/^#EVAL:DATA:/)).kind, 'back');
+
+        const result = parseResponse(await send('EVAL:STOP'));
+        assert.equal(result.kind, 'back');
+        assert.deepEqual(Object.keys(result.averages), ['lTilt', 'rTilt', 'asymmetry']);
+    });
+
+    test('SEN sets a parameter within its range', async () => {
+        assert.equal(await send('EVAL:SEN:<posf_sl0.15>'), '#EVAL:SEN:OK:<posf_sl0.15>');
+        assert.equal(hub.sensorSettings.posf_sl, 0.15);
+    });
+
+    test('SEN rejects values out of range, unknown parameters and bad syntax', async () => {
+        for (const arg of ['<posf_sl0.5>', '<gain1>', 'posf_sl0.2']) {
+            assert.equal(await send(`EVAL:SEN:${arg}`), '#ERR:EVAL:SEN:INVALID_ARG');
+        }
+        assert.equal(hub.sensorSettings.posf_sl, 0.2);
+    });
+});
+
+describe('input framing', () => {
+    test('commands may arrive split and several per write', async () => {
+        const encoder = new TextEncoder();
+        const replies = [nextLine(/^#DM:TYPE/), nextLine(/^#DM:STATUS/)];
+        hub.receiveBytes(encoder.encode('$DM:TY'));
+        hub.receiveBytes(encoder.encode('PE:4\r\n$DM:STATUS:REQ\r\n'));
+        assert.deepEqual(await Promise.all(replies), ['#DM:TYPE:OK:4', '#DM:STATUS:4,0']);
+    });
+
+    test('lines without $ are UNKNOWN_CMD', async () => {
+        const reply = nextLine();
+        hub.receive('DM:TYPE:1');
+        assert.equal(await reply, '#ERR:UNKNOWN_CMD:DM:TYPE:1');
+    });
+});
+
+describe('parseResponse', () => {
+    test('command responses', () => {
+        assert.deepEqual(parseResponse('#DM:TYPE:OK:2'),
+            { type: 'response', group: 'DM', sub: 'TYPE', result: 'OK', data: '2', line: '#DM:TYPE:OK:2' });
+        assert.equal(parseResponse('#DM:SCAN:SCAN_DONE').result, 'SCAN_DONE');
+    });
+
+    test('EVAL results by kind', () => {
+        assert.deepEqual(parseResponse('#EVAL:STOP:STOP_OK:48,80,42,72,13').averages,
+            { lDist: 48, lSpeed: 80, rDist: 42, rSpeed: 72, asymmetry: 13 });
+        assert.deepEqual(parseResponse('#EVAL:STOP:STOP_OK:12,9,25').averages, { lTilt: 12, rTilt: 9, asymmetry: 25 });
+        assert.equal(parseResponse('#EVAL:STOP:STOP_OK:1,2').kind, null);
+    });
+
+    test('errors with and without group', () => {
+        const scoped = parseResponse('#ERR:DM:SCAN:NOT_INIT');
+        assert.equal(scoped.group, 'DM');
+        assert.equal(scoped.sub, 'SCAN');
+        assert.equal(scoped.code, 'NOT_INIT');
+
+        const coded = parseResponse('#ERR:TYPE_FULL:3:1');
+        assert.equal(coded.code, 'TYPE_FULL');
+        assert.deepEqual(coded.args, { type: '3', max: '1' });
+        assert.equal(coded.known, true);
+
+        assert.equal(parseResponse('#ERR:SOMETHING_NEW').known, false);
+    });
+
+    test('unsolicited events', () => {
+        assert.equal(parseResponse('#MAN:TIMEOUT').type, 'manTimeout');
+        assert.deepEqual(parseResponse('#DM:SCAN:FOUND:5CF286477359,VC-SENSOR,-61'),
+            { type: 'scanFound', group: 'DM', sub: 'SCAN:FOUND', mac: MAC_A, name: 'VC-SENSOR', rssi: -61, line: '#DM:SCAN:FOUND:5CF286477359,VC-SENSOR,-61' });
+
+        const raw = parseResponse(`#BLE:RAW:+DISCONN:${MAC_A}`);
+        assert.equal(raw.type, 'bleRaw');
+        assert.equal(raw.event, 'DISCONN');
+        assert.equal(raw.mac, MAC_A);
+    });
+
+    test('lines it does not know', () => {
+        assert.equal(parseResponse('hello').type, 'unknown');
+        assert.equal(parseResponse('#DM:TYPE:MAYBE').type, 'unknown');
+        assert.equal(parseResponse('#XYZ:ABC').type, 'unknown');
+    });
+});
+
+describe('checkSensorValue', () => {
+    test('problem codes', () => {
+        assert.equal(checkSensorValue('posf_sl', '0.2'), null);
+        assert.equal(checkSensorValue('nope', '1').code, 'UNKNOWN');
+        assert.equal(checkSensorValue('posf_sl', '').code, 'NUMBER');
+        assert.equal(checkSensorValue('posf_sl', 'abc').code, 'NUMBER');
+        assert.equal(checkSensorValue('posf_sl', '0.5').code, 'RANGE');
+    });
+
+    test('surrounding whitespace is ignored, blank is not a number', () => {
+        assert.equal(checkSensorValue('posf_sl', ' 0.2 '), null);
+        assert.equal(checkSensorValue('posf_sl', 0.2), null);
+        assert.equal(checkSensorValue('posf_sl', '   ').code, 'NUMBER');
+    });
+
+    test('command check and simulator use the same rules', async () => {
+        assert.match(validateCommand('EVAL:SEN:<posf_sl0.5>').error, /posf_sl must be 0.05 ~ 0.3/);
+        assert.equal(validateCommand('EVAL:SEN:<posf_sl0.1>').valid, true);
+        assert.equal(await send('EVAL:SEN:<posf_sl0.5>'), '#ERR:EVAL:SEN:INVALID_ARG');
+        assert.equal(await send('EVAL:SEN:<posf_sl0.1>'), '#EVAL:SEN:OK:<posf_sl0.1>');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Trial statistics tests (node --test): summaries and session comparisons
+ *
+ * vibecue_stats.js is a page script; it runs here in a context with the
+ * Evaluation table columns of vibecue_v2.js and the page functions stubbed.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+const EVAL_COLUMNS_SOURCE = read('vibecue_v2.js').match(/^const EVAL_COLUMNS = \{[\s\S]*?^\};/m)[0];
+
+const page = vm.createContext({
+    window: { addEventListener: () => {} },
+    onLanguageChange: () => {},
+    t: key => key
+});
+vm.runInContext(EVAL_COLUMNS_SOURCE, page);
+vm.runInContext(read('vibecue_stats.js'), page);
+
+const { describeValues, computeTrialStats, compareTrialStats } = page;
+
+/**
+ * Foot trial row as in hub.evalDataRows
+ */
+function footTrial(lDist, asymmetry = 0) {
+    return { type: 'foot', lDist, lSpeed: 1, rDist: lDist, rSpeed: 1, asymmetry };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+describe('describeValues', () => {
+    test('mean, sample SD, min and max', () => {
+        const summary = describeValues([2, 4, 4, 4, 5, 5, 7, 9]);
+        assert.equal(summary.n, 8);
+        assert.equal(summary.mean, 5);
+        assertClose(summary.sd, Math.sqrt(32 / 7));
+        assert.equal(summary.min, 2);
+        assert.equal(summary.max, 9);
+    });
+
+    test('no values give no statistics', () => {
+        assert.deepEqual({ ...describeValues([]) }, { n: 0, mean: null, sd: null, min: null, max: null });
+    });
+
+    test('a single value has no SD', () => {
+        assert.deepEqual({ ...describeValues([-3.5]) }, { n: 1, mean: -3.5, sd: null, min: -3.5, max: -3.5 });
+    });
+});
+
+describe('computeTrialStats', () => {
+    test('per data type, without missing values, flagging asymmetry above the threshold', () => {
+        const stats = computeTrialStats([
+            footTrial(10, 5),
+            footTrial(20, -12),
+            { type: 'foot', lDist: NaN, asymmetry: 0 },
+            { type: 'back', lTilt: 2, rTilt: 4, asymmetry: 1 }
+        ]);
+        assert.deepEqual(Object.keys(stats), ['foot', 'back']);
+        assert.equal(stats.foot.trials, 3);
+        assert.equal(stats.foot.flagged, 1);
+        assert.equal(stats.foot.metrics.lDist.n, 2);
+        assert.equal(stats.foot.metrics.lDist.mean, 15);
+        assert.equal(stats.foot.metrics.lSpeed.n, 2);
+        assert.equal(stats.back.trials, 1);
+        assert.equal(stats.back.metrics.rTilt.sd, null);
+    });
+
+    test('no trials give no data types', () => {
+        assert.deepEqual({ ...computeTrialStats([]) }, {});
+    });
+});
+
+describe('compareTrialStats', () => {
+    test('difference and change of the means with unequal numbers of trials', () => {
+        const a = computeTrialStats([footTrial(10)]);
+        const b = computeTrialStats([footTrial(12), footTrial(14), footTrial(16)]);
+        const lDist = compareTrialStats(a, b).foot.find(row => row.key === 'lDist');
+        assert.equal(lDist.a.n, 1);
+        assert.equal(lDist.b.n, 3);
+        assert.equal(lDist.diff, 4);
+        assertClose(lDist.change, 40);
+    });
+
+    test('change is relative to the size of a negative mean', () => {
+        const a = computeTrialStats([footTrial(-10)]);
+        const b = computeTrialStats([footTrial(-5)]);
+        const lDist = compareTrialStats(a, b).foot.find(row => row.key === 'lDist');
+        assert.equal(lDist.diff, 5);
+        assertClose(lDist.change, 50);
+    });
+
+    test('no change in % of a zero mean', () => {
+        const a = computeTrialStats([footTrial(1, 0)]);
+        const b = computeTrialStats([footTrial(1, 3)]);
+        const asymmetry = compareTrialStats(a, b).foot.find(row => row.key === 'asymmetry');
+        assert.equal(asymmetry.diff, 3);
+        assert.equal(asymmetry.change, null);
+    });
+
+    test('a metric without values in one session has no difference', () => {
+        const a = computeTrialStats([footTrial(10)]);
+        const b = computeTrialStats([{ type: 'foot', lDist: NaN, asymmetry: 0 }]);
+        const lDist = compareTrialStats(a, b).foot.find(row => row.key === 'lDist');
+        assert.equal(lDist.b.n, 0);
+        assert.equal(lDist.diff, null);
+        assert.equal(lDist.change, null);
+    });
+
+    test('only data types both sessions have are compared', () => {
+        const a = computeTrialStats([footTrial(10), { type: 'back', lTilt: 1, rTilt: 1, asymmetry: 0 }]);
+        const b = computeTrialStats([footTrial(12)]);
+        assert.deepEqual(Object.keys(compareTrialStats(a, b)), ['foot']);
+        assert.deepEqual(Object.keys(compareTrialStats(b, computeTrialStats([]))), []);
+    });
+});
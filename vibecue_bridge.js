@@ -0,0 +1,243 @@
+/**
+ * VibeCue Remote Bridge
+ *
+ * Optional link from the page to a local WebSocket endpoint (vibecue_relay.js
+ * is the reference server), so tools outside the browser can drive a session
+ * over the hub link only the browser has. Commands from the socket go out
+ * through sendCommand() - with the same validation, interlock confirmations and
+ * command results as typed ones - and every received protocol line and EVAL
+ * result is streamed back. Messages are JSON objects, one per WebSocket message.
+ *
+ * From the socket:
+ *   {type: 'command', id, command: 'DM:TYPE:1', hub?, timeout?, retries?, force?}
+ *   {type: 'hubs', id}
+ * To the socket:
+ *   {type: 'hello', app: 'VibeCue', version, hubs}                 on connect
+ *   {type: 'result', id, ok: true, response} or {type: 'result', id, ok: false, code, message}
+ *   {type: 'hubs', id, hubs: [{id, label, connected, device, deviceType, mode}]}
+ *   {type: 'line', hub, time, line, event}                          every received line
+ *   {type: 'evalResult', hub, time, kind, averages, deviceType, sensorSettings, sensors}
+ *   {type: 'error', id?, message}                                   message not understood
+ *
+ * hub is the hub number (Hub 1, Hub 2, ...); commands without one go to the
+ * selected hub. timeout (ms, 100-60000) and retries (0-5) are integers; a
+ * command with anything else is answered with INVALID_OPTION and not sent. Interlock confirmations show in the page and hold the command
+ * until the clinician answers. The bridge only connects when started from its
+ * section and does not reconnect by itself.
+ */
+
+const BRIDGE_URL_KEY = 'vibecue_bridge_url';
+const BRIDGE_DEFAULT_URL = 'ws://localhost:8765/page';
+const BRIDGE_VERSION = 1;
+const BRIDGE_TIMEOUT_RANGE_MS = { min: 100, max: 60000 };
+const BRIDGE_RETRIES_RANGE = { min: 0, max: 5 };
+
+let bridgeSocket = null;
+let bridgeStats = { commands: 0, lines: 0 };
+
+/**
+ * Open the bridge to the endpoint in the bridge section
+ */
+function connectBridge() {
+    if (bridgeSocket) return;
+
+    const url = document.getElementById('bridgeUrl').value.trim();
+    if (!/^wss?:\/\//.test(url)) {
+        alert(t('bridge.invalidUrl'));
+        return;
+    }
+    localStorage.setItem(BRIDGE_URL_KEY, url);
+
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        alert(t('bridge.failed', { error: error.message }));
+        return;
+    }
+    bridgeSocket = socket;
+    bridgeStats = { commands: 0, lines: 0 };
+
+    socket.onopen = () => {
+        logSent(`🌐 Bridge connected: ${url}`);
+        sendBridgeMessage({ type: 'hello', app: 'VibeCue', version: BRIDGE_VERSION, hubs: bridgeHubList() });
+        updateBridgeStatus();
+    };
+    socket.onmessage = message => handleBridgeMessage(message.data);
+    socket.onclose = event => {
+        if (bridgeSocket !== socket) return;
+        bridgeSocket = null;
+        logSent(`🌐 Bridge closed${event.code !== 1000 ? ` (${event.code})` : ''}`);
+        updateBridgeStatus();
+    };
+    socket.onerror = () => console.warn('Bridge socket error:', url);
+    updateBridgeStatus();
+}
+
+function disconnectBridge() {
+    if (!bridgeSocket) return;
+    bridgeSocket.close(1000);
+}
+
+/**
+ * @param {Object} message
+ */
+function sendBridgeMessage(message) {
+    if (bridgeSocket && bridgeSocket.readyState === WebSocket.OPEN) {
+        bridgeSocket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Hubs as reported to the socket
+ */
+function bridgeHubList() {
+    return hubs.map(hub => ({
+        id: hub.id,
+        label: hub.label,
+        connected: hub.isConnected,
+        device: hub.transport ? hub.transport.name : null,
+        deviceType: hub.deviceState.type,
+        mode: hub.deviceState.mode
+    }));
+}
+
+/**
+ * Handle one message from the socket
+ * @param {string} data
+ */
+function handleBridgeMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        sendBridgeMessage({ type: 'error', message: 'Invalid JSON' });
+        return;
+    }
+    if (!message || typeof message !== 'object') {
+        sendBridgeMessage({ type: 'error', message: 'Expected a JSON object' });
+        return;
+    }
+
+    switch (message.type) {
+        case 'command':
+            runBridgeCommand(message);
+            break;
+        case 'hubs':
+            sendBridgeMessage({ type: 'hubs', id: message.id, hubs: bridgeHubList() });
+            break;
+        default:
+            sendBridgeMessage({ type: 'error', id: message.id, message: `Unknown message type: ${message.type}` });
+    }
+}
+
+/**
+ * Send a command from the socket and answer with its result
+ * @param {Object} message - 'command' message
+ */
+async function runBridgeCommand(message) {
+    const { id } = message;
+    const reply = (error, response) => sendBridgeMessage(error
+        ? { type: 'result', id, ok: false, code: error.code || 'ERROR', message: error.message }
+        : { type: 'result', id, ok: true, response });
+
+    const command = typeof message.command === 'string' ? message.command.trim().replace(/^\$/, '') : '';
+    if (!command) {
+        reply({ code: 'INVALID_COMMAND', message: 'command missing' });
+        return;
+    }
+    for (const [name, range] of [['timeout', BRIDGE_TIMEOUT_RANGE_MS], ['retries', BRIDGE_RETRIES_RANGE]]) {
+        const value = message[name];
+        if (value !== undefined && !(Number.isInteger(value) && value >= range.min && value <= range.max)) {
+            reply({ code: 'INVALID_OPTION', message: `${name} must be an integer from ${range.min} to ${range.max}` });
+            return;
+        }
+    }
+    const hub = message.hub === undefined ? selectedHub : hubs.find(h => h.id === message.hub);
+    if (!hub) {
+        reply({ code: 'NO_HUB', message: `No hub ${message.hub}` });
+        return;
+    }
+    // Answered here: sendCommand() would show an alert for it
+    if (!hub.isConnected) {
+        reply({ code: 'NOT_CONNECTED', message: `${hub.label} not connected` });
+        return;
+    }
+
+    bridgeStats.commands++;
+    updateBridgeStatus();
+    logSent(`🌐 Bridge command: ${command}`, hub);
+
+    try {
+        reply(null, await sendCommand(command, {
+            hub,
+            timeout: message.timeout,
+            retries: message.retries,
+            force: !!message.force
+        }));
+    } catch (error) {
+        reply(error);
+    }
+}
+
+/**
+ * Stream a received line
+ * @param {Object} event - Protocol event
+ */
+function streamBridgeLine(event) {
+    if (!bridgeSocket) return;
+
+    const { hub, ...data } = event;
+    sendBridgeMessage({ type: 'line', hub: hub.id, time: new Date().toISOString(), line: event.line, event: data });
+    bridgeStats.lines++;
+
+    if (event.type === 'evalResult') {
+        streamBridgeEvalResult(event);
+    }
+}
+
+/**
+ * Stream an EVAL:STOP result with the conditions of the trial
+ * @param {Object} event - 'evalResult' event
+ */
+function streamBridgeEvalResult(event) {
+    if (!event.kind) return;
+
+    const { hub } = event;
+    sendBridgeMessage({
+        type: 'evalResult',
+        hub: hub.id,
+        time: new Date().toISOString(),
+        kind: event.kind,
+        averages: event.averages,
+        deviceType: hub.deviceState.type,
+        sensorSettings: { ...hub.deviceState.sensorSettings },
+        sensors: hub.deviceState.sensors.map(s => ({ ...s }))
+    });
+}
+
+function updateBridgeStatus() {
+    const status = document.getElementById('bridgeStatus');
+    const state = !bridgeSocket ? 'off' : (bridgeSocket.readyState === WebSocket.OPEN ? 'on' : 'connecting');
+
+    status.className = `status-badge ${{ off: 'status-disconnected', connecting: 'status-reconnecting', on: 'status-connected' }[state]}`;
+    status.textContent = state === 'on'
+        ? t('bridge.on', { commands: bridgeStats.commands, lines: bridgeStats.lines })
+        : t(`bridge.${state}`);
+    document.getElementById('bridgeConnectBtn').disabled = !!bridgeSocket;
+    document.getElementById('bridgeDisconnectBtn').disabled = !bridgeSocket;
+    document.getElementById('bridgeUrl').disabled = !!bridgeSocket;
+}
+
+onProtocolEvent('*', streamBridgeLine);
+
+onLanguageChange(updateBridgeStatus);
+
+window.addEventListener('load', () => {
+    document.getElementById('bridgeUrl').value = localStorage.getItem(BRIDGE_URL_KEY) || BRIDGE_DEFAULT_URL;
+    updateBridgeStatus();
+    // Line counter between commands
+    setInterval(() => {
+        if (bridgeSocket) updateBridgeStatus();
+    }, 1000);
+});
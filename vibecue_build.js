@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * VibeCue Classic Client Build
+ *
+ * Browsers refuse ES module imports on pages opened from disk (file://), so
+ * index.html loads a classic-script copy of the client instead of the module.
+ * This script writes that copy from the module (Node only, no dependencies):
+ *
+ *   npm run build   (node vibecue_build.js)
+ *
+ *   vibecue_client.js           ES module: Node scripts, tests, the source to edit
+ *   vibecue_client.classic.js   generated, committed: the module body in a function,
+ *                               its exports assigned to window
+ *
+ * Run it after every change to vibecue_client.js; the tests fail while the
+ * copy is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODULE_FILE = path.join(__dirname, 'vibecue_client.js');
+const CLASSIC_FILE = path.join(__dirname, 'vibecue_client.classic.js');
+
+/**
+ * Turn the client module into a classic script
+ * @param {string} source - Text of vibecue_client.js
+ * @returns {string} - Text of vibecue_client.classic.js
+ */
+function buildClassicClient(source) {
+    // Keep the line endings of the checkout
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    source = source.replace(/\r\n/g, '\n');
+
+    if (/^\s*import\b/m.test(source)) {
+        throw new Error('vibecue_client.js must not import other modules');
+    }
+
+    const names = [];
+    const body = source.replace(/^export (const|let|class|function) ([A-Za-z_$][\w$]*)/gm, (match, kind, name) => {
+        names.push(name);
+        return `${kind} ${name}`;
+    });
+    if (/^export\b/m.test(body)) {
+        throw new Error('Unsupported export form in vibecue_client.js (use export const/class/function)');
+    }
+
+    return [
+        '// Generated by vibecue_build.js from vibecue_client.js - do not edit, run npm run build',
+        '(function () {',
+        "'use strict';",
+        '',
+        body.trimEnd(),
+        '',
+        `Object.assign(window, { ${names.join(', ')} });`,
+        '})();',
+        ''
+    ].join('\n').replace(/\n/g, eol);
+}
+
+function build() {
+    const classic = buildClassicClient(fs.readFileSync(MODULE_FILE, 'utf8'));
+    fs.writeFileSync(CLASSIC_FILE, classic);
+    console.log(`Wrote ${path.basename(CLASSIC_FILE)}`);
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { buildClassicClient, MODULE_FILE, CLASSIC_FILE };
@@ -0,0 +1,330 @@
+/**
+ * VibeCue Live EVAL Charts
+ *
+ * Plots #EVAL:DATA samples while an evaluation is running:
+ * - Foot (type 1,2,4): L/R distance and L/R speed
+ * - Back (type 3): L/R tilt
+ * Rolling time window with pause/zoom and a running asymmetry indicator.
+ * Raw samples are kept per hub (hub.evalSamples [{trial, timestamp, elapsed, kind, values}],
+ * hub.evalTrial incremented on every EVAL:START, hub.evalTrialStart) for export next to
+ * the EVAL:STOP averages (vibecue_export.js). The charts show the selected hub.
+ */
+
+let chartWindowSec = 30;     // Visible time window (0: whole trial)
+let chartPaused = false;
+let chartPausedAt = null;    // Elapsed time (s) shown at the right edge while paused
+let chartRedrawPending = false;
+
+const CHART_MIN_WINDOW_SEC = 5;
+const CHART_MAX_WINDOW_SEC = 600;
+const CHART_COLORS = { left: '#6678b8', right: '#d4944a' };
+
+// Chart layout per sample kind: which value index goes to which chart
+const CHART_LAYOUT = {
+    foot: [
+        { titleKey: 'chart.distance', left: 0, right: 2 },
+        { titleKey: 'chart.speed', left: 1, right: 3 }
+    ],
+    back: [
+        { titleKey: 'chart.tilt', left: 0, right: 1 }
+    ]
+};
+
+/**
+ * Start a new trial (EVAL:START acknowledged)
+ * @param {Hub} hub
+ */
+function startEvalTrial(hub) {
+    hub.evalTrial++;
+    hub.evalTrialStart = Date.now();
+    if (hub === selectedHub) {
+        chartPausedAt = null;
+        scheduleChartRedraw();
+    }
+}
+
+/**
+ * Store one streamed sample and update the charts
+ * @param {Object} event - 'evalData' event ({kind, values})
+ */
+function addEvalSample(event) {
+    if (!event.kind) {
+        console.warn('Unknown EVAL DATA format:', event.line);
+        return;
+    }
+
+    const hub = event.hub;
+
+    // Data without a seen EVAL:START (e.g. page opened mid-trial)
+    if (hub.evalTrialStart === null) {
+        startEvalTrial(hub);
+    }
+
+    const now = Date.now();
+    hub.evalSamples.push({
+        trial: hub.evalTrial,
+        timestamp: new Date(now).toISOString(),
+        elapsed: (now - hub.evalTrialStart) / 1000,
+        kind: event.kind,
+        values: event.values
+    });
+
+    if (hub === selectedHub) {
+        scheduleChartRedraw();
+    }
+}
+
+/**
+ * Clear all raw samples of the selected hub and the charts
+ */
+function clearEvalSamples() {
+    selectedHub.evalSamples = [];
+    selectedHub.evalTrial = 0;
+    selectedHub.evalTrialStart = null;
+    chartPausedAt = null;
+    scheduleChartRedraw();
+}
+
+/**
+ * Samples of the selected hub's current trial
+ */
+function currentTrialSamples() {
+    return selectedHub.evalSamples.filter(sample => sample.trial === selectedHub.evalTrial);
+}
+
+/**
+ * Pause/resume the live view (samples keep being recorded)
+ */
+function toggleChartPause() {
+    chartPaused = !chartPaused;
+    const samples = currentTrialSamples();
+    chartPausedAt = chartPaused && samples.length ? samples[samples.length - 1].elapsed : null;
+
+    updateChartLabels();
+    scheduleChartRedraw();
+}
+
+/**
+ * Texts of the pause button and the window select box
+ */
+function updateChartLabels() {
+    document.getElementById('chartPauseBtn').textContent = t(chartPaused ? 'chart.resume' : 'chart.pause');
+    Array.from(document.getElementById('chartWindow').options).forEach(option => {
+        if (option.value === '') return;
+        const seconds = parseInt(option.value);
+        option.textContent = seconds ? t('chart.windowSec', { seconds }) : t('chart.all');
+    });
+}
+
+/**
+ * Change the visible time window
+ * @param {number} factor - < 1 zooms in, > 1 zooms out
+ */
+function zoomChart(factor) {
+    const current = chartWindowSec || currentTrialDuration() || 30;
+    chartWindowSec = Math.min(CHART_MAX_WINDOW_SEC, Math.max(CHART_MIN_WINDOW_SEC, Math.round(current * factor)));
+    syncChartWindowSelect();
+    scheduleChartRedraw();
+}
+
+/**
+ * Apply the window chosen in the select box
+ */
+function setChartWindow(value) {
+    chartWindowSec = parseInt(value) || 0;
+    scheduleChartRedraw();
+}
+
+function syncChartWindowSelect() {
+    const select = document.getElementById('chartWindow');
+    let option = Array.from(select.options).find(opt => parseInt(opt.value) === chartWindowSec);
+    if (!option) {
+        option = document.getElementById('chartWindowCustom');
+        option.value = chartWindowSec;
+        option.textContent = t('chart.windowSec', { seconds: chartWindowSec });
+        option.hidden = false;
+    }
+    select.value = option.value;
+}
+
+function currentTrialDuration() {
+    const samples = currentTrialSamples();
+    return samples.length ? Math.ceil(samples[samples.length - 1].elapsed) : 0;
+}
+
+/**
+ * Redraw at most once per animation frame
+ */
+function scheduleChartRedraw() {
+    if (chartRedrawPending) return;
+    chartRedrawPending = true;
+    requestAnimationFrame(() => {
+        chartRedrawPending = false;
+        drawEvalCharts();
+    });
+}
+
+/**
+ * Draw all charts and the asymmetry indicator for the visible window
+ */
+function drawEvalCharts() {
+    const samples = currentTrialSamples();
+    const kind = samples.length ? samples[samples.length - 1].kind : 'foot';
+    const layout = CHART_LAYOUT[kind];
+
+    // Visible time range
+    const end = chartPaused && chartPausedAt !== null
+        ? chartPausedAt
+        : (samples.length ? samples[samples.length - 1].elapsed : 0);
+    const start = chartWindowSec ? Math.max(0, end - chartWindowSec) : 0;
+    const visible = samples.filter(s => s.kind === kind && s.elapsed >= start && s.elapsed <= end);
+
+    ['evalChart1', 'evalChart2'].forEach((id, i) => {
+        const canvas = document.getElementById(id);
+        const chart = layout[i];
+        canvas.style.display = chart ? '' : 'none';
+        if (!chart) return;
+
+        drawLineChart(canvas, t(chart.titleKey), [
+            { label: 'L', color: CHART_COLORS.left, points: visible.map(s => [s.elapsed, s.values[chart.left]]) },
+            { label: 'R', color: CHART_COLORS.right, points: visible.map(s => [s.elapsed, s.values[chart.right]]) }
+        ], start, Math.max(end, start + (chartWindowSec || 1)));
+    });
+
+    updateAsymmetryIndicator(visible, layout[0]);
+
+    document.getElementById('chartInfo').textContent = samples.length
+        ? t('chart.info', { trial: selectedHub.evalTrial, count: samples.length, time: end.toFixed(1) }) + (chartPaused ? ' ' + t('chart.paused') : '')
+        : t('chart.empty');
+}
+
+/**
+ * Running asymmetry (%) of the visible samples: |L - R| / max(L, R)
+ * Uses distance for foot sensors and tilt for the back sensor.
+ */
+function updateAsymmetryIndicator(samples, chart) {
+    const fill = document.getElementById('asymFill');
+    const label = document.getElementById('asymValue');
+
+    if (samples.length === 0) {
+        fill.style.width = '0%';
+        label.textContent = '-';
+        return;
+    }
+
+    const avg = (index) => samples.reduce((sum, s) => sum + s.values[index], 0) / samples.length;
+    const left = avg(chart.left);
+    const right = avg(chart.right);
+    const max = Math.max(Math.abs(left), Math.abs(right));
+    const asym = max ? Math.abs(left - right) / max * 100 : 0;
+
+    fill.style.width = Math.min(100, asym * 2) + '%';
+    fill.style.background = asym < 10 ? 'var(--success)' : (asym < 20 ? 'var(--warning)' : 'var(--danger)');
+    label.textContent = `${asym.toFixed(1)}% (${left > right ? 'L' : 'R'} ↑)`;
+}
+
+/**
+ * Draw a simple time series chart
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} title - Chart title (with unit)
+ * @param {Array} series - [{label, color, points: [[t, value], ...]}]
+ * @param {number} tStart - Left edge (s)
+ * @param {number} tEnd - Right edge (s)
+ */
+function drawLineChart(canvas, title, series, tStart, tEnd) {
+    // Match the canvas resolution to its displayed size
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const pad = { left: 34, right: 8, top: 16, bottom: 16 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    // Value range over all series
+    const values = series.flatMap(s => s.points.map(p => p[1]));
+    let min = values.length ? Math.min(...values) : 0;
+    let max = values.length ? Math.max(...values) : 1;
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const margin = (max - min) * 0.1;
+    min -= margin;
+    max += margin;
+
+    const x = (t) => pad.left + (t - tStart) / (tEnd - tStart) * plotW;
+    const y = (v) => pad.top + (1 - (v - min) / (max - min)) * plotH;
+
+    // Grid and axis labels
+    ctx.font = '9px sans-serif';
+    ctx.fillStyle = '#9aa0aa';
+    ctx.strokeStyle = '#eaecf0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const v = min + (max - min) * i / 4;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y(v));
+        ctx.lineTo(width - pad.right, y(v));
+        ctx.stroke();
+        ctx.fillText(v.toFixed(0), 2, y(v) + 3);
+    }
+    ctx.fillText(`${tStart.toFixed(0)}s`, pad.left, height - 4);
+    ctx.fillText(`${tEnd.toFixed(0)}s`, width - pad.right - 20, height - 4);
+
+    // Title and legend
+    ctx.fillStyle = '#3a3f4a';
+    ctx.fillText(title, pad.left, 11);
+    series.forEach((s, i) => {
+        ctx.fillStyle = s.color;
+        ctx.fillText(`■ ${s.label}`, width - pad.right - 50 + i * 25, 11);
+    });
+
+    // Lines
+    series.forEach(s => {
+        if (s.points.length === 0) return;
+        ctx.strokeStyle = s.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        s.points.forEach(([t, v], i) => {
+            if (i === 0) ctx.moveTo(x(t), y(v));
+            else ctx.lineTo(x(t), y(v));
+        });
+        ctx.stroke();
+    });
+}
+
+// Protocol event subscriptions
+onProtocolEvent('evalData', addEvalSample);
+onProtocolEvent('response', event => {
+    if (event.group === 'EVAL' && event.sub === 'START') {
+        startEvalTrial(event.hub);
+    }
+});
+
+onLanguageChange(() => {
+    updateChartLabels();
+    scheduleChartRedraw();
+});
+
+window.addEventListener('load', () => {
+    // Mouse wheel zooms the time window
+    ['evalChart1', 'evalChart2'].forEach(id => {
+        document.getElementById(id).addEventListener('wheel', (event) => {
+            event.preventDefault();
+            zoomChart(event.deltaY < 0 ? 0.8 : 1.25);
+        }, { passive: false });
+    });
+
+    window.addEventListener('resize', scheduleChartRedraw);
+    updateChartLabels();
+    scheduleChartRedraw();
+});
@@ -0,0 +1,814 @@
+// Generated by vibecue_build.js from vibecue_client.js - do not edit, run npm run build
+(function () {
+'use strict';
+
+/**
+ * VibeCue Client
+ *
+ * Headless connection to one hub: line framing, the command queue (one command
+ * in flight, response correlation, timeouts and retries), automatic
+ * reconnection and the hub state tracked from the commands it accepted and the
+ * lines it sent. No DOM access (ES module): the page (vibecue_v2.js) is one
+ * consumer, Node scripts are another:
+ *
+ *   import { createRequire } from 'node:module';
+ *   import { VibeCueClient } from './vibecue_client.js';
+ *   const require = createRequire(import.meta.url);
+ *   const { SimulatedTransport } = require('./vibecue_sim.js');
+ *
+ *   const client = new VibeCueClient({ protocol: require('./vibecue_protocol.js') });
+ *   client.on('evalData', event => console.log(event.values));
+ *   await client.connect(new SimulatedTransport());
+ *   await client.setType(1);
+ *   await client.evalStart();
+ *   const result = await client.evalStop();  // result.averages
+ *
+ * The protocol catalog (vibecue_protocol.js) is passed in, so this module has
+ * no imports. Transports: see BleTransport in vibecue_v2.js.
+ *
+ * Events (on() returns a function that removes the handler):
+ * - protocol events by type: 'scanFound', 'evalData', 'evalResult', 'error', 'status',
+ *   'response', 'manTimeout', 'bleRaw', 'unknown' (see parseResponse()); '*' for all of them.
+ *   The reply to a quiet command carries quiet: true.
+ * - 'connect' {name}, 'disconnect' {reason: 'closed' | 'lost' | 'failed', attempts}
+ * - 'reconnecting' {attempt, attempts, delay}, 'reconnectFailed' {attempt, error}, 'reconnect' {downtime, attempts}
+ * - 'queued' {job}, 'commandStatus' {job, status: 'pending' | 'ok' | 'timeout' | 'error', detail, elapsed}
+ * - 'refused' {command, error}: rejected before it was queued
+ * - 'retry' {command, attempt, retries}, 'tx' {line, packet, quiet}, 'sendFailed' {command, error}
+ * - 'framingError' {reason: 'too_long' | 'unterminated', text, limit}
+ * - 'state' {command | event}, 'mode' {mode, previous}
+ */
+
+// Line framing limits
+const MAX_LINE_LENGTH = 256;     // Longest accepted response line (chars, without \r\n)
+const LINE_TIMEOUT_MS = 1000;    // Partial line not terminated within this time is reported
+
+// Command queue defaults
+const DEFAULT_COMMAND_TIMEOUT_MS = 3000;
+const DEFAULT_COMMAND_RETRIES = 1;
+
+// Automatic reconnection: delay before each attempt (ms), gives up after the last one
+const RECONNECT_DELAYS_MS = [1000, 2000, 4000, 8000, 16000];
+
+// Command groups that run as a hub mode (X:START / X:STOP)
+const MODE_GROUPS = ['MAN', 'DS', 'EVAL'];
+
+// Commands not resent after a timeout by default: the hub may have acted on the
+// first copy with only the reply lost, and a second START or CONN is not harmless
+const NOT_RESENT_COMMANDS = ['MAN:START', 'DS:START', 'EVAL:START', 'DM:CONN'];
+
+/**
+ * Whether a command is resent after a timeout unless retries are given explicitly
+ * @param {string} command - Command without $ prefix
+ * @returns {boolean}
+ */
+function isResendable(command) {
+    return !NOT_RESENT_COMMANDS.some(prefix => command === prefix || command.startsWith(prefix + ':'));
+}
+
+/**
+ * Error of a queued command (firmware #ERR reply, timeout, send failure, ...)
+ */
+class CommandError extends Error {
+    /**
+     * @param {string} code - Firmware error code (e.g. "DUP_MAC") or 'TIMEOUT', 'SEND_FAILED', 'NOT_CONNECTED', 'DISCONNECTED', 'INVALID_COMMAND',
+     *                        'BLOCKED', 'CANCELLED' (refused by beforeSend, e.g. the mode interlocks of vibecue_mode.js)
+     * @param {string} message - Human readable description
+     * @param {string|null} response - Raw #ERR line, if any
+     */
+    constructor(code, message, response = null) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+        this.response = response;
+    }
+}
+
+/**
+ * Build simple text protocol packet
+ * @param {string} payload - Text payload (e.g., "$DM:STATUS:REQ")
+ * @returns {Uint8Array} - Complete packet bytes
+ */
+function buildPacket(payload) {
+    // Firmware expects simple text protocol: $<command>\r\n
+    // NO binary wrapper (0xAA 0x55), NO length field, NO checksum
+
+    // Add \r\n if not already present
+    if (!payload.endsWith('\r\n')) {
+        payload += '\r\n';
+    }
+
+    // Any length: the transport splits it into writes that fit the link (see chunkPacket)
+    return new TextEncoder().encode(payload);
+}
+
+/**
+ * Extract received bytes from a BLE notification
+ * A notification may hold part of a line or several lines - use LineFramer to split them
+ * @param {DataView} dataView - Received data
+ * @returns {Uint8Array} - Raw bytes of this notification
+ */
+function parsePacket(dataView) {
+    // Respect offset/length: the DataView may be a window into a larger buffer
+    return new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+}
+
+/**
+ * Streaming line framer for the text protocol
+ * Buffers partial data across notifications, splits on \r\n and emits each complete line.
+ * Multi-byte UTF-8 characters split across chunk boundaries are decoded correctly.
+ */
+class LineFramer {
+    /**
+     * @param {function(string)} onLine - Called with each complete line (without \r\n)
+     * @param {function(string, string)} onError - Called with (reason, text) for 'too_long' or 'unterminated' lines
+     */
+    constructor(onLine, onError) {
+        this.onLine = onLine;
+        this.onError = onError;
+        this.timer = null;
+        this.reset();
+    }
+
+    /**
+     * Feed received bytes
+     * @param {Uint8Array} bytes - Chunk from one notification
+     */
+    push(bytes) {
+        this.buffer += this.decoder.decode(bytes, { stream: true });
+
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.substring(0, index);
+            this.buffer = this.buffer.substring(index + 2);
+
+            if (this.discarding) {
+                // Tail of an overlong line (already reported)
+                this.discarding = false;
+                continue;
+            }
+            if (line.length > MAX_LINE_LENGTH) {
+                this.onError('too_long', line);
+                continue;
+            }
+            if (line.length > 0) {
+                this.onLine(line);
+            }
+        }
+
+        // No terminator in sight - drop the data until the next \r\n
+        if (this.buffer.length > MAX_LINE_LENGTH) {
+            if (!this.discarding) {
+                this.onError('too_long', this.buffer);
+            }
+            this.discarding = true;
+            // Keep a trailing \r, it may be the first half of the terminator
+            this.buffer = this.buffer.endsWith('\r') ? '\r' : '';
+        }
+
+        this.armTimer();
+    }
+
+    /**
+     * Report any pending partial line and clear state (e.g. on disconnect)
+     */
+    flush() {
+        const rest = this.buffer + this.decoder.decode();
+        if (rest && !this.discarding) {
+            this.onError('unterminated', rest);
+        }
+        this.reset();
+    }
+
+    /**
+     * Clear buffered data without reporting
+     */
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.decoder = new TextDecoder();
+        this.buffer = '';
+        this.discarding = false;
+    }
+
+    /**
+     * (Re)start the timer that reports a line that never gets terminated
+     */
+    armTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer || this.discarding) {
+            this.timer = setTimeout(() => this.flush(), LINE_TIMEOUT_MS);
+        }
+    }
+}
+
+/**
+ * Connection to one hub
+ */
+class VibeCueClient {
+    /**
+     * @param {Object} options - { protocol: exports of vibecue_protocol.js (required),
+     *                             timeout, retries: command defaults,
+     *                             reconnectDelays: ms before each reconnection attempt ([] disables reconnection),
+     *                             restoreSettings: re-send the last DM:TYPE and EVAL:SEN commands after a reconnect,
+     *                             beforeSend: function(command) returning a CommandError to refuse a command, or null }
+     */
+    constructor(options = {}) {
+        if (!options.protocol) {
+            throw new Error('VibeCueClient needs the protocol catalog (vibecue_protocol.js)');
+        }
+        this.protocol = options.protocol;
+        this.timeout = options.timeout ?? DEFAULT_COMMAND_TIMEOUT_MS;
+        this.retries = options.retries ?? DEFAULT_COMMAND_RETRIES;
+        this.reconnectDelays = options.reconnectDelays || RECONNECT_DELAYS_MS;
+        this.restoreSettings = !!options.restoreSettings;
+        this.beforeSend = options.beforeSend || null;
+
+        this.transport = null;      // Link while connected or reconnecting
+        this.connected = false;
+        this.framer = new LineFramer(line => this.handleLine(line), (reason, text) => {
+            this.emit('framingError', { reason, text, limit: MAX_LINE_LENGTH });
+        });
+        this.listeners = {};
+
+        this.commandQueue = [];     // Jobs waiting to be sent [{command, timeout, retries, resolve, reject}]
+        this.activeCommand = null;  // Job sent and waiting for its response
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.disconnectedAt = null; // Time of the last unexpected link drop
+
+        this.sessionSettings = { type: null, sensors: {} };  // Last DM:TYPE and per-parameter EVAL:SEN commands that succeeded
+        this.state = VibeCueClient.initialState();
+    }
+
+    /**
+     * Hub state before any command was accepted
+     * type: DM:TYPE, sensorSettings: accepted EVAL:SEN values, sensors: paired [{mac, location}],
+     * mode: running mode ('MAN', 'DS', 'EVAL' or null) and modeSince: its start time (ms)
+     */
+    static initialState() {
+        return { type: null, sensorSettings: {}, sensors: [], mode: null, modeSince: null };
+    }
+
+    /**
+     * Connected device name
+     */
+    get name() {
+        return this.transport ? this.transport.name : '';
+    }
+
+    /**
+     * A command is in flight or waiting
+     */
+    get busy() {
+        return !!this.activeCommand || this.commandQueue.length > 0;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event type (see the header), '*' for every protocol event
+     * @param {function(Object)} handler
+     * @returns {function()} - Removes the handler
+     */
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        this.listeners[type] = (this.listeners[type] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * Pass an event to its handlers (one failing handler does not stop the others)
+     * @param {string} type
+     * @param {Object} data
+     * @param {boolean} [protocol] - Protocol event: '*' handlers get it too
+     */
+    emit(type, data, protocol = false) {
+        const handlers = [...(this.listeners[type] || []), ...(protocol ? this.listeners['*'] || [] : [])];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error('Client event handler failed:', type, error);
+            }
+        });
+    }
+
+    /**
+     * Open a link
+     * @param {Object} transport - BleTransport, SerialTransport, SimulatedTransport, ...
+     * @returns {Promise<string>} - Device name
+     */
+    async connect(transport) {
+        if (this.transport) {
+            throw new Error('Already connected');
+        }
+
+        transport.onData = bytes => this.receive(bytes);
+        transport.onDisconnect = () => this.handleLinkLost();
+        this.framer.reset();
+
+        let name;
+        try {
+            name = await transport.connect();
+        } catch (error) {
+            transport.disconnect();
+            throw error;
+        }
+
+        this.transport = transport;
+        this.connected = true;
+        this.emit('connect', { name });
+        return name;
+    }
+
+    /**
+     * Close the link (also cancels a running reconnection)
+     * @param {string} [reason] - 'closed', or 'failed' when reconnection gave up
+     */
+    disconnect(reason = 'closed') {
+        const attempts = this.reconnectAttempt;
+        this.stopReconnect();
+
+        if (this.transport) {
+            this.transport.disconnect();
+        }
+
+        this.framer.flush();
+        this.cancelPending(new CommandError('DISCONNECTED', 'Disconnected'));
+
+        this.connected = false;
+        this.transport = null;
+        this.emit('disconnect', { reason, attempts });
+    }
+
+    /**
+     * Feed received bytes (called by the transport; also used to replay traces)
+     * @param {Uint8Array} bytes
+     */
+    receive(bytes) {
+        this.framer.push(bytes);
+    }
+
+    /**
+     * Handle unexpected link loss (hub out of range, power off, ...)
+     */
+    handleLinkLost() {
+        if (!this.connected) return;
+
+        this.disconnectedAt = Date.now();
+        this.framer.flush();
+        this.cancelPending(new CommandError('DISCONNECTED', 'Connection lost'));
+        this.connected = false;
+        this.emit('disconnect', { reason: 'lost', attempts: 0 });
+
+        this.reconnectAttempt = 0;
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Schedule the next reconnection attempt with backoff
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= this.reconnectDelays.length) {
+            this.disconnect('failed');
+            return;
+        }
+
+        const delay = this.reconnectDelays[this.reconnectAttempt];
+        this.reconnectAttempt++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, attempts: this.reconnectDelays.length, delay });
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+    }
+
+    /**
+     * Reconnect to the same device (no chooser prompt)
+     */
+    async attemptReconnect() {
+        this.reconnectTimer = null;
+        if (!this.transport) return;
+
+        try {
+            this.framer.reset();
+            await this.transport.reconnect();
+        } catch (error) {
+            this.emit('reconnectFailed', { attempt: this.reconnectAttempt, error });
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.connected = true;
+        this.emit('reconnect', { downtime: Date.now() - this.disconnectedAt, attempts: this.reconnectAttempt });
+        this.reconnectAttempt = 0;
+
+        if (this.restoreSettings) {
+            this.restoreSession();
+        }
+    }
+
+    stopReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+    }
+
+    /**
+     * Commands that bring a reconnected hub back to the session settings
+     * @returns {string[]} - Last DM:TYPE and EVAL:SEN commands
+     */
+    get sessionCommands() {
+        return [this.sessionSettings.type, ...Object.values(this.sessionSettings.sensors)].filter(cmd => cmd);
+    }
+
+    /**
+     * Re-send the session settings
+     * @returns {Promise<Array>} - Promise.allSettled() results per command
+     */
+    restoreSession() {
+        return Promise.allSettled(this.sessionCommands.map(cmd => this.send(cmd)));
+    }
+
+    /**
+     * Handle one complete protocol line
+     * Protocol handlers see the event before the command waiting for it completes.
+     * @param {string} line - Line without \r\n
+     */
+    handleLine(line) {
+        const event = this.protocol.parseResponse(line);
+
+        if (event.type === 'status') {
+            if (event.deviceType) {
+                this.state.type = String(event.deviceType);
+            }
+            this.state.sensors = event.slots.map(slot => ({ mac: slot.mac, location: slot.location }));
+            this.emit('state', { event });
+        }
+
+        // Reply to the command waiting for it (completed below, after the listeners saw it)
+        const active = this.activeCommand;
+        const answer = active && active.onResponse && this.protocol.isResponseEvent(active.command, event);
+        if (answer && active.quiet) {
+            event.quiet = true;
+        }
+
+        this.emit(event.type, event, true);
+
+        // Mode answers that are not a success reply of a command
+        if (event.type === 'manTimeout' && this.state.mode === 'MAN') {
+            this.setMode(null);
+        } else if (event.type === 'error' && event.code === 'NOT_STARTED' && event.sub === 'STOP' && event.group === this.state.mode) {
+            // X:STOP answered NOT_STARTED: the hub is not in the mode we assumed
+            this.setMode(null);
+        }
+
+        // Complete the command waiting for this response
+        if (answer && active.onResponse) {
+            active.onResponse(event);
+        }
+    }
+
+    /**
+     * Send a command through the queue
+     * Commands are written one at a time; the next one goes out after the previous got its response.
+     * @param {string} command - Command without $ prefix (e.g., "DM:STATUS:REQ")
+     * @param {Object} [options] - { timeout: ms to wait for the response,
+     *                              retries: resends after a timeout (default: 0 for MAN/DS/EVAL:START and DM:CONN),
+     *                              force: send even if the command is not valid per the protocol catalog,
+     *                              priority: go ahead of the commands queued without priority,
+     *                              quiet: routine command (status polls) the page leaves out of its logs }
+     * @returns {Promise<string>} - Resolves with the correlated response line, rejects with CommandError
+     */
+    send(command, options = {}) {
+        const check = this.protocol.validateCommand(command);
+        let error = null;
+        if (!check.valid && !options.force) {
+            error = new CommandError('INVALID_COMMAND', check.error);
+        } else if (!this.connected) {
+            error = new CommandError('NOT_CONNECTED', 'Not connected');
+        } else if (this.beforeSend) {
+            error = this.beforeSend(command);
+        }
+        if (error) {
+            this.emit('refused', { command, error });
+            return Promise.reject(error);
+        }
+
+        const job = {
+            command,
+            timeout: options.timeout ?? this.timeout,
+            retries: options.retries ?? (isResendable(command) ? this.retries : 0),
+            priority: !!options.priority,
+            quiet: !!options.quiet
+        };
+
+        return new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+            const position = job.priority ? this.commandQueue.findIndex(queued => !queued.priority) : -1;
+            this.commandQueue.splice(position === -1 ? this.commandQueue.length : position, 0, job);
+            this.emit('queued', { job });
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Send the next queued command if none is in flight
+     */
+    async processQueue() {
+        if (this.activeCommand || this.commandQueue.length === 0) return;
+
+        const job = this.commandQueue.shift();
+        this.activeCommand = job;
+        job.startTime = Date.now();
+        this.emit('commandStatus', { job, status: 'pending' });
+
+        try {
+            const response = await this.transmit(job);
+            this.emit('commandStatus', { job, status: 'ok', detail: response, elapsed: Date.now() - job.startTime });
+            this.trackCommand(job.command);
+            job.resolve(response);
+        } catch (error) {
+            const status = error.code === 'TIMEOUT' ? 'timeout' : 'error';
+            this.emit('commandStatus', { job, status, detail: error.response || error.message, elapsed: Date.now() - job.startTime });
+            job.reject(error);
+        }
+
+        this.activeCommand = null;
+        this.processQueue();
+    }
+
+    /**
+     * Write a command and wait for its response, resending after a timeout
+     * @param {Object} job - Queue entry
+     * @returns {Promise<string>} - Response line
+     */
+    async transmit(job) {
+        for (let attempt = 0; attempt <= job.retries; attempt++) {
+            if (attempt > 0) {
+                this.emit('retry', { command: job.command, attempt, retries: job.retries });
+            }
+
+            // Start listening before writing so a fast reply is not missed
+            let response;
+            try {
+                [response] = await Promise.all([this.waitForResponse(job), this.write(job.command, job.quiet)]);
+            } catch (error) {
+                job.cancel?.(error);
+                throw error;
+            }
+
+            if (response !== null) {
+                return response;
+            }
+        }
+
+        throw new CommandError('TIMEOUT', `No response within ${job.timeout} ms`);
+    }
+
+    /**
+     * Build and write one command packet
+     * @param {string} command - Command without $ prefix
+     * @param {boolean} [quiet] - Passed on in the 'tx' event
+     */
+    async write(command, quiet = false) {
+        const line = `$${command}`;
+        const packet = buildPacket(line);
+
+        try {
+            await this.transport.write(packet);
+        } catch (error) {
+            this.emit('sendFailed', { command, error });
+            throw new CommandError('SEND_FAILED', 'Send failed: ' + error.message);
+        }
+
+        this.emit('tx', { line, packet, quiet });
+    }
+
+    /**
+     * Wait for the response correlated with the active command
+     * @param {Object} job - Queue entry
+     * @returns {Promise<string|null>} - Response line, null on timeout; rejects on #ERR
+     */
+    waitForResponse(job) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                job.onResponse = null;
+                job.cancel = null;
+                resolve(null);
+            }, job.timeout);
+
+            job.onResponse = (event) => {
+                clearTimeout(timer);
+                job.onResponse = null;
+                job.cancel = null;
+                if (event.type === 'error') {
+                    reject(new CommandError(event.code, `${job.command} failed: ${event.code}`, event.line));
+                } else {
+                    resolve(event.line);
+                }
+            };
+
+            job.cancel = (error) => {
+                clearTimeout(timer);
+                job.onResponse = null;
+                job.cancel = null;
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Reject the commands waiting in the queue (the one in flight completes)
+     * @param {CommandError} error - Rejection reason
+     */
+    clearQueue(error) {
+        const queued = this.commandQueue;
+        this.commandQueue = [];
+
+        queued.forEach(job => {
+            this.emit('commandStatus', { job, status: 'error', detail: error.message });
+            job.reject(error);
+        });
+    }
+
+    /**
+     * Reject the active and all queued commands (e.g. on disconnect)
+     * @param {CommandError} error - Rejection reason
+     */
+    cancelPending(error) {
+        this.clearQueue(error);
+        if (this.activeCommand && this.activeCommand.cancel) {
+            this.activeCommand.cancel(error);
+        }
+    }
+
+    /**
+     * Update the state from a command the hub accepted
+     * @param {string} command
+     */
+    trackCommand(command) {
+        const [group, sub, ...args] = command.split(':');
+        const state = this.state;
+
+        if (group === 'DM' && sub === 'TYPE') {
+            state.type = args[0];
+            this.sessionSettings.type = command;
+        } else if (group === 'DM' && sub === 'CONN') {
+            const [mac, location] = args;
+            state.sensors = state.sensors.filter(s => s.mac !== mac && s.location !== location);
+            state.sensors.push({ mac, location });
+        } else if (group === 'DM' && sub === 'RESET') {
+            this.setMode(null);
+            this.state = VibeCueClient.initialState();
+        } else if (MODE_GROUPS.includes(group) && sub === 'START') {
+            this.setMode(group);
+        } else if (group === state.mode && sub === 'STOP') {
+            this.setMode(null);
+        } else if (group === 'EVAL' && sub === 'SEN') {
+            // <posf_sl0.2> -> posf_sl: 0.2
+            const match = args.join(':').match(/^<([a-z_]+?)(-?[0-9.]+)>$/);
+            if (match) {
+                state.sensorSettings[match[1]] = parseFloat(match[2]);
+                this.sessionSettings.sensors[match[1]] = command;
+            }
+        } else {
+            return;
+        }
+        this.emit('state', { command });
+    }
+
+    /**
+     * Set the running mode
+     * @param {string|null} mode - 'MAN', 'DS', 'EVAL' or null (idle)
+     */
+    setMode(mode) {
+        // MAN:START while MAN runs only changes the vibration (pattern steps); EVAL:START starts a new trial
+        if (this.state.mode === mode && mode !== 'EVAL') return;
+
+        const previous = this.state.mode;
+        this.state.mode = mode;
+        this.state.modeSince = mode ? Date.now() : null;
+        this.emit('mode', { mode, previous });
+    }
+
+    // Typed commands: each resolves with the response line unless noted, options as for send()
+
+    /**
+     * @param {number|string} type - Device type 1-4
+     */
+    setType(type, options) {
+        return this.send(`DM:TYPE:${type}`, options);
+    }
+
+    /**
+     * @returns {Promise<Object>} - 'status' event (deviceType, slots)
+     */
+    async requestStatus(options) {
+        return this.protocol.parseResponse(await this.send('DM:STATUS:REQ', options));
+    }
+
+    reset(options) {
+        return this.send('DM:RESET:CONFIRM', options);
+    }
+
+    /**
+     * Start a fresh scan (DM:SCAN:INIT, then DM:SCAN:START); results arrive as 'scanFound' events
+     */
+    async scan(options) {
+        await this.send('DM:SCAN:INIT', options);
+        return this.send('DM:SCAN:START', options);
+    }
+
+    stopScan(options) {
+        return this.send('DM:SCAN:STOP', options);
+    }
+
+    /**
+     * Pair a sensor
+     * @param {string} mac - With or without separators
+     * @param {string} location - SENSOR_LOCATIONS entry
+     */
+    connectSensor(mac, location, options) {
+        return this.send(`DM:CONN:${mac.replace(/[:-]/g, '').toUpperCase()}:${location}`, options);
+    }
+
+    finishSetup(options) {
+        return this.send('DM:SETUP:DONE', options);
+    }
+
+    /**
+     * @param {Object} params - { frequency: Hz, level: 1-5, minutes, locations: vibration locations 1-8 }
+     */
+    manualStart({ frequency, level, minutes, locations }, options) {
+        return this.send(`MAN:START:${frequency},${level},${minutes},${locations.join(',')}`, options);
+    }
+
+    manualStop(options) {
+        return this.send('MAN:STOP', options);
+    }
+
+    dsStart(options) {
+        return this.send('DS:START', options);
+    }
+
+    dsStop(options) {
+        return this.send('DS:STOP', options);
+    }
+
+    evalStart(options) {
+        return this.send('EVAL:START', options);
+    }
+
+    /**
+     * @returns {Promise<Object>} - 'evalResult' event (kind, values, averages)
+     */
+    async evalStop(options) {
+        return this.protocol.parseResponse(await this.send('EVAL:STOP', options));
+    }
+
+    /**
+     * @param {string} name - SENSOR_PARAMS entry (e.g. "posf_sl")
+     * @param {number|string} value
+     */
+    setSensorParam(name, value, options) {
+        const problem = this.protocol.checkSensorValue(name, value);
+        if (problem) {
+            const error = new CommandError('INVALID_COMMAND', problem.message);
+            this.emit('refused', { command: `EVAL:SEN:<${name}${value}>`, error });
+            return Promise.reject(error);
+        }
+        return this.send(this.protocol.sensorCommand(name, value), options);
+    }
+
+    /**
+     * Stop the running mode (resolves with null when idle)
+     */
+    stopMode(options) {
+        return this.state.mode ? this.send(`${this.state.mode}:STOP`, options) : Promise.resolve(null);
+    }
+
+    /**
+     * Stop the hub without waiting for anything queued or in flight
+     * The queued commands and the one in flight are rejected (a late reply to that
+     * one is no longer waited for), then the stop goes out first. The mode is only
+     * known from commands this client saw accepted - one started before it
+     * connected or by another tool is not - so with no known mode every mode's
+     * stop command is sent.
+     * @param {CommandError} error - Rejection reason of the dropped commands
+     * @returns {Promise<Array>} - Settled results of the stop commands (Promise.allSettled)
+     */
+    emergencyStop(error) {
+        this.cancelPending(error);
+        const commands = this.state.mode ? [`${this.state.mode}:STOP`] : MODE_GROUPS.map(group => `${group}:STOP`);
+        return Promise.allSettled(commands.map(command => this.send(command, { priority: true })));
+    }
+}
+
+Object.assign(window, { MAX_LINE_LENGTH, LINE_TIMEOUT_MS, DEFAULT_COMMAND_TIMEOUT_MS, DEFAULT_COMMAND_RETRIES, RECONNECT_DELAYS_MS, CommandError, buildPacket, parsePacket, LineFramer, VibeCueClient });
+})();
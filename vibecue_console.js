@@ -0,0 +1,242 @@
+/**
+ * VibeCue Command Console
+ *
+ * The custom command input as a console: completion of groups, subcommands and
+ * argument values from the protocol catalog (MACs from the scan results and
+ * paired sensors of the selected hub), a check of the typed command against the
+ * catalog while typing, a history browsed with the up/down keys and pinned
+ * favourite commands sent with one click. History and favourites are kept in
+ * localStorage.
+ *
+ * Keys: Tab/Enter take the highlighted completion, up/down move through the
+ * completions (or the history while none are shown), Esc closes the
+ * completions (and is the emergency stop while none are shown).
+ */
+
+const CONSOLE_HISTORY_KEY = 'vibecue_console_history';
+const CONSOLE_FAVORITES_KEY = 'vibecue_console_favorites';
+const CONSOLE_HISTORY_MAX = 50;
+
+let consoleHistory = [];
+let consoleFavorites = [];
+let historyIndex = null;   // Position while browsing the history, null when not browsing
+let historyDraft = '';     // Text typed before browsing started
+let consoleSuggestions = [];
+let suggestionIndex = -1;
+
+function loadConsoleStorage() {
+    try {
+        consoleHistory = JSON.parse(localStorage.getItem(CONSOLE_HISTORY_KEY) || '[]').filter(cmd => typeof cmd === 'string');
+        consoleFavorites = JSON.parse(localStorage.getItem(CONSOLE_FAVORITES_KEY) || '[]').filter(cmd => typeof cmd === 'string');
+    } catch (error) {
+        console.warn('Saved console history unreadable:', error);
+        consoleHistory = [];
+        consoleFavorites = [];
+    }
+}
+
+/**
+ * Send the console input
+ */
+function sendCustomCommand() {
+    const input = document.getElementById('customCmd');
+    if (runConsoleCommand(input.value.trim())) {
+        input.value = '';
+        updateConsole();
+    }
+}
+
+/**
+ * Send a command typed or picked in the console and add it to the history
+ * @param {string} cmd
+ * @returns {boolean} - false if nothing was sent
+ */
+function runConsoleCommand(cmd) {
+    if (!cmd) {
+        alert(t('common.enterCommand'));
+        return false;
+    }
+
+    const check = validateCommand(cmd);
+    if (!check.valid && !confirm(t('common.notInCatalog', { error: check.error }))) {
+        return false;
+    }
+
+    consoleHistory = consoleHistory.filter(entry => entry !== cmd);
+    consoleHistory.push(cmd);
+    consoleHistory = consoleHistory.slice(-CONSOLE_HISTORY_MAX);
+    localStorage.setItem(CONSOLE_HISTORY_KEY, JSON.stringify(consoleHistory));
+    historyIndex = null;
+
+    sendCommand(cmd, { force: !check.valid }).catch(ignoreCommandError);
+    return true;
+}
+
+/**
+ * Typing in the console: new completions and check
+ */
+function updateConsole() {
+    const text = document.getElementById('customCmd').value;
+    const hub = selectedHub;
+    const macs = [...new Set([...hub.scanResults, ...hub.sensorSlots].map(entry => entry.mac))];
+
+    historyIndex = null;
+    consoleSuggestions = text.trim() ? completeCommand(text.trim(), macs).filter(s => s.value !== text.trim()) : [];
+    suggestionIndex = -1;
+    showConsoleSuggestions();
+    updateConsoleCheck();
+}
+
+/**
+ * Show whether the typed command is valid per the protocol catalog
+ */
+function updateConsoleCheck() {
+    const input = document.getElementById('customCmd');
+    const status = document.getElementById('consoleCheck');
+    const text = input.value.trim();
+
+    if (!text) {
+        status.textContent = '';
+        status.className = 'console-check';
+        input.classList.remove('console-invalid');
+        return;
+    }
+
+    const check = validateCommand(text);
+    status.textContent = check.valid ? `✓ ${commandUsage(check.group, check.sub)}` : `✗ ${check.error}`;
+    status.className = `console-check ${check.valid ? 'console-check-ok' : 'console-check-error'}`;
+    status.title = check.valid ? PROTOCOL_CATALOG[check.group].label : '';
+    input.classList.toggle('console-invalid', !check.valid);
+}
+
+function showConsoleSuggestions() {
+    const list = document.getElementById('consoleSuggest');
+    list.style.display = consoleSuggestions.length ? '' : 'none';
+    list.innerHTML = consoleSuggestions.map((suggestion, i) =>
+        `<li class="${i === suggestionIndex ? 'active' : ''}" onmousedown="event.preventDefault(); acceptSuggestion(${i})">` +
+        `<span class="console-suggest-value">${escapeHtml(suggestion.value)}</span>` +
+        `<span class="console-suggest-detail">${escapeHtml(suggestion.detail)}</span></li>`).join('');
+}
+
+function hideConsoleSuggestions() {
+    consoleSuggestions = [];
+    suggestionIndex = -1;
+    showConsoleSuggestions();
+}
+
+/**
+ * Put a completion into the input and offer the next part
+ * @param {number} index
+ */
+function acceptSuggestion(index) {
+    const input = document.getElementById('customCmd');
+    input.value = consoleSuggestions[index].value;
+    input.focus();
+    updateConsole();
+}
+
+/**
+ * Step through the history (-1: older, 1: newer)
+ */
+function browseHistory(step) {
+    const input = document.getElementById('customCmd');
+    if (consoleHistory.length === 0) return;
+
+    if (historyIndex === null) {
+        if (step > 0) return;
+        historyDraft = input.value;
+        historyIndex = consoleHistory.length;
+    }
+    const index = Math.max(0, historyIndex + step);
+    if (index >= consoleHistory.length) {
+        historyIndex = null;
+        input.value = historyDraft;
+    } else {
+        historyIndex = index;
+        input.value = consoleHistory[index];
+    }
+    updateConsoleCheck();
+}
+
+/**
+ * Console keys
+ * @param {KeyboardEvent} event
+ */
+function handleConsoleKey(event) {
+    const open = consoleSuggestions.length > 0;
+
+    switch (event.key) {
+        case 'ArrowUp':
+        case 'ArrowDown': {
+            const step = event.key === 'ArrowUp' ? -1 : 1;
+            if (open) {
+                suggestionIndex = (suggestionIndex + step + consoleSuggestions.length) % consoleSuggestions.length;
+                showConsoleSuggestions();
+            } else {
+                browseHistory(step);
+            }
+            break;
+        }
+        case 'Tab':
+            if (!open) return;
+            acceptSuggestion(Math.max(0, suggestionIndex));
+            break;
+        case 'Enter':
+            if (open && suggestionIndex >= 0) {
+                acceptSuggestion(suggestionIndex);
+            } else {
+                hideConsoleSuggestions();
+                sendCustomCommand();
+            }
+            break;
+        case 'Escape':
+            // Open completions take Esc before the emergency stop
+            if (!open) return;
+            hideConsoleSuggestions();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Pin the console input as a favourite
+ */
+function pinConsoleCommand() {
+    const cmd = document.getElementById('customCmd').value.trim();
+    if (!cmd) {
+        alert(t('common.enterCommand'));
+        return;
+    }
+    if (consoleFavorites.includes(cmd)) return;
+
+    consoleFavorites.push(cmd);
+    saveConsoleFavorites();
+}
+
+function unpinConsoleCommand(index) {
+    consoleFavorites.splice(index, 1);
+    saveConsoleFavorites();
+}
+
+function saveConsoleFavorites() {
+    localStorage.setItem(CONSOLE_FAVORITES_KEY, JSON.stringify(consoleFavorites));
+    updateConsoleFavorites();
+}
+
+function updateConsoleFavorites() {
+    const view = document.getElementById('consoleFavorites');
+    view.innerHTML = consoleFavorites.length === 0
+        ? `<span class="console-empty">${t('console.noFavorites')}</span>`
+        : consoleFavorites.map((cmd, i) => `<span class="console-favorite">` +
+            `<button class="btn btn-primary" onclick="runConsoleCommand(consoleFavorites[${i}])">${escapeHtml(cmd)}</button>` +
+            `<button class="console-unpin" onclick="unpinConsoleCommand(${i})" title="${t('console.unpin')}">×</button></span>`).join('');
+}
+
+onLanguageChange(updateConsoleFavorites);
+
+window.addEventListener('load', () => {
+    loadConsoleStorage();
+    updateConsoleFavorites();
+});
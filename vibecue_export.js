@@ -0,0 +1,331 @@
+/**
+ * VibeCue EVAL Export
+ *
+ * Saves the EVAL:STOP averages (and optionally the raw EVAL:DATA samples) as
+ * CSV, JSON or XLSX. Every export starts with a metadata header: export time,
+ * device name, DM:TYPE, sensor settings and the paired sensor locations.
+ * Foot and back results may be mixed in one export: CSV and JSON leave the
+ * columns that do not apply to a row empty, XLSX puts them on separate Foot and
+ * Back sheets. Exports cover the selected hub.
+ */
+
+const EXPORT_FORMAT = 'vibecue-eval';
+const EXPORT_VERSION = 1;
+
+// Raw sample columns (value index per sample kind)
+const SAMPLE_COLUMNS = [
+    { exportKey: 'exportCol.lDist', foot: 0 },
+    { exportKey: 'exportCol.lSpeed', foot: 1 },
+    { exportKey: 'exportCol.rDist', foot: 2 },
+    { exportKey: 'exportCol.rSpeed', foot: 3 },
+    { exportKey: 'exportCol.lTilt', back: 0 },
+    { exportKey: 'exportCol.rTilt', back: 1 }
+];
+
+/**
+ * Export EVAL data in the format chosen in the Evaluation panel
+ */
+function exportEvalData() {
+    const hub = selectedHub;
+    const evalDataRows = hub.evalDataRows;
+    const format = document.getElementById('exportFormat').value;
+    const includeSamples = document.getElementById('exportRaw').checked;
+
+    if (evalDataRows.length === 0 && !(includeSamples && hub.evalSamples.length > 0)) {
+        alert(t('eval.noData'));
+        return;
+    }
+
+    const metadata = buildExportMetadata(hub);
+    const samples = includeSamples ? hub.evalSamples : null;
+    const filename = `eval_data_${hubs.length > 1 ? hub.label.replace(/\s+/g, '') + '_' : ''}${fileTimestamp()}.${format}`;
+
+    if (format === 'csv') {
+        downloadFile(buildEvalCsv(metadata, evalDataRows, samples), filename, 'text/csv');
+    } else if (format === 'json') {
+        const data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, metadata, results: evalDataRows };
+        if (samples) data.samples = samples;
+        downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+    } else if (format === 'xlsx') {
+        downloadFile(buildEvalXlsx(metadata, evalDataRows, samples), filename,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+}
+
+/**
+ * Conditions of the exported data: taken from the last result, or the
+ * current device state when only raw samples exist
+ * @param {Hub} hub
+ */
+function buildExportMetadata(hub) {
+    const evalDataRows = hub.evalDataRows;
+    const last = evalDataRows[evalDataRows.length - 1];
+    const source = last || hub.deviceState;
+    const types = [...new Set(evalDataRows.map(row => row.type))];
+
+    return {
+        exportedAt: new Date().toISOString(),
+        hub: hub.label,
+        device: (last && last.device) || (hub.transport ? hub.transport.name : '') || '',
+        deviceType: (last ? last.deviceType : hub.deviceState.type) || '',
+        sensorSettings: { ...(source.sensorSettings || {}) },
+        sensors: (source.sensors || []).map(s => `${s.location}=${s.mac}`).join(' '),
+        dataTypes: types.join(','),
+        results: evalDataRows.length,
+        samples: hub.evalSamples.length
+    };
+}
+
+/**
+ * Result table with the columns of both data types
+ * @returns {Array<Array>} - Header row followed by one row per result
+ */
+function resultTable(rows) {
+    const columns = [];
+    [...EVAL_COLUMNS.foot, ...EVAL_COLUMNS.back].forEach(col => {
+        if (!columns.some(c => c.key === col.key)) columns.push(col);
+    });
+
+    const params = Object.keys(SENSOR_PARAMS);
+    const header = [t('exportCol.time'), t('exportCol.timestamp'), t('exportCol.type'), t('exportCol.deviceType'), ...params,
+        ...columns.map(col => t(col.exportKey))];
+    const body = rows.map(row => [
+        row.time,
+        row.timestamp || '',
+        row.type,
+        row.deviceType || '',
+        ...resultSettings(row, params),
+        ...columns.map(col => EVAL_COLUMNS[row.type].some(c => c.key === col.key) ? row[col.key] : '')
+    ]);
+    return [header, ...body];
+}
+
+/**
+ * Result table of one data type, with only its own columns
+ * @param {Array<Object>} rows - All results; those of other types are left out
+ * @param {string} type - 'foot' or 'back'
+ * @returns {Array<Array>} - Header row followed by one row per result
+ */
+function typeResultTable(rows, type) {
+    const params = Object.keys(SENSOR_PARAMS);
+    const header = [t('exportCol.time'), t('exportCol.timestamp'), t('exportCol.deviceType'), ...params,
+        ...EVAL_COLUMNS[type].map(col => t(col.exportKey))];
+    const body = rows.filter(row => row.type === type).map(row => [
+        row.time,
+        row.timestamp || '',
+        row.deviceType || '',
+        ...resultSettings(row, params),
+        ...EVAL_COLUMNS[type].map(col => row[col.key])
+    ]);
+    return [header, ...body];
+}
+
+function resultSettings(row, params) {
+    return params.map(name => row.sensorSettings && row.sensorSettings[name] !== undefined ? row.sensorSettings[name] : '');
+}
+
+/**
+ * Raw sample table (blank columns for the other sensor kind)
+ */
+function sampleTable(samples) {
+    const header = [t('exportCol.trial'), t('exportCol.timestamp'), t('exportCol.elapsed'), t('exportCol.type'),
+        ...SAMPLE_COLUMNS.map(col => t(col.exportKey))];
+    const body = samples.map(s => [
+        s.trial,
+        s.timestamp,
+        Number(s.elapsed.toFixed(3)),
+        s.kind,
+        ...SAMPLE_COLUMNS.map(col => col[s.kind] === undefined ? '' : s.values[col[s.kind]])
+    ]);
+    return [header, ...body];
+}
+
+function metadataTable(metadata) {
+    return Object.entries(metadata).map(([key, value]) => [
+        key,
+        typeof value === 'object' && value !== null
+            ? Object.entries(value).map(([k, v]) => `${k}=${v}`).join(' ')
+            : (value === null ? '' : value)
+    ]);
+}
+
+/**
+ * CSV: "# key: value" metadata lines, the result table and optionally
+ * the raw samples as a second table after a blank line
+ */
+function buildEvalCsv(metadata, rows, samples) {
+    const lines = metadataTable(metadata).map(([key, value]) => `# ${key}: ${value}`);
+    lines.push(...resultTable(rows).map(csvRow));
+
+    if (samples) {
+        lines.push('', '# raw samples');
+        lines.push(...sampleTable(samples).map(csvRow));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function csvRow(cells) {
+    return cells.map(cell => {
+        const text = String(cell);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * XLSX workbook with Metadata, Foot and Back results and (optionally) Raw sheets
+ * Both result sheets are always present, with their header even when empty.
+ * @returns {Uint8Array}
+ */
+function buildEvalXlsx(metadata, rows, samples) {
+    const sheets = [
+        { name: 'Metadata', table: metadataTable(metadata) },
+        { name: 'Foot', table: typeResultTable(rows, 'foot') },
+        { name: 'Back', table: typeResultTable(rows, 'back') }
+    ];
+    if (samples) {
+        sheets.push({ name: 'Raw', table: sampleTable(samples) });
+    }
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: xml + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheets.map((s, i) => `<sheet name="${s.name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                '</Relationships>'
+        },
+        ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xml + sheetXml(s.table) }))
+    ];
+
+    return buildZip(files);
+}
+
+/**
+ * SpreadsheetML worksheet: numbers as values, everything else as inline strings
+ */
+function sheetXml(table) {
+    const rows = table.map((cells, r) => {
+        const xmlCells = cells.map((cell, c) => {
+            const ref = columnName(c) + (r + 1);
+            if (cell === '' || cell === null || cell === undefined) return '';
+            if (typeof cell === 'number' && isFinite(cell)) return `<c r="${ref}"><v>${cell}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(cell)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${xmlCells}</row>`;
+    }).join('');
+    return `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>`;
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Uncompressed ZIP archive (enough for XLSX)
+ * @param {Array<{name: string, data: string}>} files
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.data);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // Local file header
+        local.setUint16(4, 20, true);          // Version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // Stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);  // Central directory header
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);  // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
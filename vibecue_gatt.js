@@ -0,0 +1,194 @@
+/**
+ * VibeCue GATT Profiles
+ *
+ * Service and characteristic UUIDs of the BLE hub, the ATT MTU and the write
+ * type, saved as named device profiles in localStorage. The Bluetooth
+ * transport takes the profile shown in the Device Management panel when it
+ * connects; reconnects keep that profile.
+ *
+ * Web Bluetooth does not report the negotiated MTU, so the profile states it.
+ * 23 (the ATT minimum, 20 bytes per write) works on every link; raise it only
+ * for hubs known to negotiate more. Packets longer than MTU - 3 bytes are
+ * written as several chunks, which the hub joins again at the \r\n.
+ *
+ * Profile: { name, serviceUuid, writeUuid, notifyUuid, mtu: 23-517, writeMode: 'withResponse'|'withoutResponse' }
+ */
+
+const GATT_STORAGE_KEY = 'vibecue_gatt_profiles';
+const GATT_SELECTED_KEY = 'vibecue_gatt_selected';
+const ATT_MIN_MTU = 23;
+const ATT_MAX_MTU = 517;
+const ATT_WRITE_HEADER_BYTES = 3;  // Opcode + handle of a write, not available for data
+
+// Hub firmware defaults, always available
+const GATT_DEFAULT_PROFILE = {
+    name: 'VibeCue (FFF0)',
+    serviceUuid: '0000fff0-0000-1000-8000-00805f9b34fb',
+    writeUuid: '0000fff2-0000-1000-8000-00805f9b34fb',
+    notifyUuid: '0000fff1-0000-1000-8000-00805f9b34fb',
+    mtu: ATT_MIN_MTU,
+    writeMode: 'withResponse'
+};
+
+let gattProfiles = [];
+
+/**
+ * Full lowercase 128-bit form of a UUID
+ * @param {string} text - 16/32-bit short form (e.g. "FFF0") or 128-bit UUID
+ * @returns {string|null} - null if the text is no UUID
+ */
+function normalizeUuid(text) {
+    const value = String(text || '').trim().toLowerCase().replace(/^0x/, '');
+    if (/^[0-9a-f]{4}$|^[0-9a-f]{8}$/.test(value)) {
+        return value.padStart(8, '0') + '-0000-1000-8000-00805f9b34fb';
+    }
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value) ? value : null;
+}
+
+/**
+ * Check a profile
+ * @returns {string|null} - Problem description, null if the profile is valid
+ */
+function validateGattProfile(profile) {
+    if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) return t('gatt.problemName');
+
+    const fields = { serviceUuid: 'gatt.service', writeUuid: 'gatt.write', notifyUuid: 'gatt.notify' };
+    for (const [field, labelKey] of Object.entries(fields)) {
+        if (!normalizeUuid(profile[field])) return t('gatt.problemUuid', { field: t(labelKey) });
+    }
+    if (!Number.isInteger(profile.mtu) || profile.mtu < ATT_MIN_MTU || profile.mtu > ATT_MAX_MTU) {
+        return t('gatt.problemMtu', { min: ATT_MIN_MTU, max: ATT_MAX_MTU });
+    }
+    if (!['withResponse', 'withoutResponse'].includes(profile.writeMode)) return t('gatt.problemWriteMode');
+    return null;
+}
+
+/**
+ * Split a packet into writes that fit the profile's MTU
+ * @param {Uint8Array} packet
+ * @param {number} mtu - ATT MTU
+ * @returns {Uint8Array[]}
+ */
+function chunkPacket(packet, mtu) {
+    const size = mtu - ATT_WRITE_HEADER_BYTES;
+    const chunks = [];
+    for (let i = 0; i < packet.length; i += size) {
+        chunks.push(packet.subarray(i, i + size));
+    }
+    return chunks;
+}
+
+function loadGattProfiles() {
+    try {
+        gattProfiles = JSON.parse(localStorage.getItem(GATT_STORAGE_KEY) || '[]')
+            .filter(profile => !validateGattProfile(profile) && profile.name !== GATT_DEFAULT_PROFILE.name);
+    } catch (error) {
+        console.warn('Saved GATT profiles unreadable:', error);
+        gattProfiles = [];
+    }
+}
+
+function allGattProfiles() {
+    return [GATT_DEFAULT_PROFILE, ...gattProfiles];
+}
+
+/**
+ * Profile in the panel fields (may be edited and not saved yet)
+ */
+function gattProfileFromPanel() {
+    return {
+        name: document.getElementById('gattProfileSelect').value,
+        serviceUuid: normalizeUuid(document.getElementById('gattService').value) || document.getElementById('gattService').value.trim(),
+        writeUuid: normalizeUuid(document.getElementById('gattWrite').value) || document.getElementById('gattWrite').value.trim(),
+        notifyUuid: normalizeUuid(document.getElementById('gattNotify').value) || document.getElementById('gattNotify').value.trim(),
+        mtu: parseInt(document.getElementById('gattMtu').value),
+        writeMode: document.getElementById('gattWriteMode').value
+    };
+}
+
+/**
+ * Show a profile in the panel fields
+ * @param {string} name
+ */
+function selectGattProfile(name) {
+    const profile = allGattProfiles().find(p => p.name === name) || GATT_DEFAULT_PROFILE;
+
+    document.getElementById('gattProfileSelect').value = profile.name;
+    document.getElementById('gattService').value = profile.serviceUuid;
+    document.getElementById('gattWrite').value = profile.writeUuid;
+    document.getElementById('gattNotify').value = profile.notifyUuid;
+    document.getElementById('gattMtu').value = profile.mtu;
+    document.getElementById('gattWriteMode').value = profile.writeMode;
+    localStorage.setItem(GATT_SELECTED_KEY, profile.name);
+    updateGattHint();
+}
+
+/**
+ * Save the panel fields as a named profile
+ */
+function saveGattProfile() {
+    const current = document.getElementById('gattProfileSelect').value;
+    const name = prompt(t('gatt.namePrompt'), current === GATT_DEFAULT_PROFILE.name ? '' : current);
+    if (!name || !name.trim()) return;
+    if (name.trim() === GATT_DEFAULT_PROFILE.name) {
+        alert(t('gatt.builtIn'));
+        return;
+    }
+
+    const profile = { ...gattProfileFromPanel(), name: name.trim() };
+    const problem = validateGattProfile(profile);
+    if (problem) {
+        alert(t('gatt.invalid', { problem }));
+        return;
+    }
+
+    gattProfiles = gattProfiles.filter(p => p.name !== profile.name);
+    gattProfiles.push(profile);
+    gattProfiles.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem(GATT_STORAGE_KEY, JSON.stringify(gattProfiles));
+    updateGattProfileList(profile.name);
+    logSent(`💾 GATT profile saved: ${profile.name} (MTU ${profile.mtu}, ${profile.writeMode})`);
+}
+
+/**
+ * Delete the selected profile (the built-in one stays)
+ */
+function deleteGattProfile() {
+    const name = document.getElementById('gattProfileSelect').value;
+    if (name === GATT_DEFAULT_PROFILE.name) {
+        alert(t('gatt.builtIn'));
+        return;
+    }
+    if (!confirm(t('gatt.deleteConfirm', { name }))) return;
+
+    gattProfiles = gattProfiles.filter(p => p.name !== name);
+    localStorage.setItem(GATT_STORAGE_KEY, JSON.stringify(gattProfiles));
+    updateGattProfileList(GATT_DEFAULT_PROFILE.name);
+}
+
+/**
+ * Fill the profile select box and show the given profile
+ */
+function updateGattProfileList(selected) {
+    document.getElementById('gattProfileSelect').innerHTML = allGattProfiles()
+        .map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}</option>`).join('');
+    selectGattProfile(selected);
+}
+
+/**
+ * Chunk size of the MTU in the panel
+ */
+function updateGattHint() {
+    const mtu = parseInt(document.getElementById('gattMtu').value);
+    const valid = mtu >= ATT_MIN_MTU && mtu <= ATT_MAX_MTU;
+    document.getElementById('gattHint').textContent = valid
+        ? t('gatt.hint', { size: mtu - ATT_WRITE_HEADER_BYTES })
+        : t('gatt.problemMtu', { min: ATT_MIN_MTU, max: ATT_MAX_MTU });
+}
+
+onLanguageChange(updateGattHint);
+
+window.addEventListener('load', () => {
+    loadGattProfiles();
+    updateGattProfileList(localStorage.getItem(GATT_SELECTED_KEY) || GATT_DEFAULT_PROFILE.name);
+});
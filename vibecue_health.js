@@ -0,0 +1,216 @@
+/**
+ * VibeCue Sensor Health
+ *
+ * Dashboard of the sensors paired to the selected hub: link state, link uptime,
+ * number of drops, RSSI trend and the time each sensor was last seen. Fed by
+ * DM:STATUS replies, #BLE:RAW:+CONN/+DISCONN events and the scan results of
+ * addScanResult(). An optional poller sends DM:STATUS:REQ to every connected
+ * hub at a set interval, so drops the hub does not report as events still show.
+ * The polls are sent quiet: they stay out of the logs and the command results.
+ *
+ * RSSI is only known while the hub scans (DM:SCAN:START); the trend keeps the
+ * last HEALTH_RSSI_SAMPLES results per sensor. Uptime counts from the first time
+ * the dashboard saw the link up, not from when the hub paired the sensor.
+ *
+ * A paired sensor that drops while its hub runs DS or EVAL raises an alert in
+ * the dashboard. It is not an alert() box: that would block the event loop and
+ * stall the session data still coming in from the other sensors.
+ *
+ * Per hub: hub.sensorHealth {mac: {connected: true|false|null, upSince, lastSeen, drops, rssi: [{time, rssi}]}}
+ */
+
+const HEALTH_RSSI_SAMPLES = 60;
+const HEALTH_RSSI_RANGE = [-100, -30];  // dBm range of the trend graph
+const HEALTH_MAX_ALERTS = 20;
+
+let healthPollTimer = null;
+let healthAlerts = [];  // [{hub, time, mac, location, mode}] newest first
+
+/**
+ * Health record of a sensor (created on first use)
+ * @param {Hub} hub
+ * @param {string} mac
+ */
+function sensorHealthRecord(hub, mac) {
+    if (!hub.sensorHealth[mac]) {
+        hub.sensorHealth[mac] = { connected: null, upSince: null, lastSeen: null, drops: 0, rssi: [] };
+    }
+    return hub.sensorHealth[mac];
+}
+
+/**
+ * Record the link state of a sensor
+ * @param {Hub} hub
+ * @param {string} mac
+ * @param {boolean} connected
+ */
+function setSensorLink(hub, mac, connected) {
+    const record = sensorHealthRecord(hub, mac);
+    const now = Date.now();
+
+    if (connected) {
+        if (record.connected !== true) record.upSince = now;
+        record.lastSeen = now;
+    } else if (record.connected !== false) {
+        record.upSince = null;
+        if (record.connected === true) {
+            record.drops++;
+            checkSensorDrop(hub, mac);
+        }
+    }
+    record.connected = connected;
+}
+
+/**
+ * Add a scan result to the RSSI trend of a sensor
+ * @param {Hub} hub
+ * @param {string} mac
+ * @param {number} rssi - dBm
+ */
+function recordSensorRssi(hub, mac, rssi) {
+    const record = sensorHealthRecord(hub, mac);
+    record.lastSeen = Date.now();
+    record.rssi.push({ time: record.lastSeen, rssi });
+    if (record.rssi.length > HEALTH_RSSI_SAMPLES) {
+        record.rssi.shift();
+    }
+}
+
+/**
+ * Raise an alert when a paired sensor drops during DS or EVAL
+ */
+function checkSensorDrop(hub, mac) {
+    const mode = hub.deviceState.mode;
+    const slot = hub.sensorSlots.find(s => s.mac === mac);
+    if (!slot || (mode !== 'DS' && mode !== 'EVAL')) return;
+
+    healthAlerts.unshift({ hub, time: new Date(), mac, location: slot.location, mode });
+    healthAlerts.length = Math.min(healthAlerts.length, HEALTH_MAX_ALERTS);
+    logReceived(`⚠️ Sensor ${slot.location} (${mac}) disconnected during ${mode}`, hub);
+    updateHealthAlerts();
+}
+
+/**
+ * Update the health records from a protocol event
+ * @param {Object} event - 'status' or 'bleRaw' event
+ */
+function handleHealthEvent(event) {
+    const hub = event.hub;
+
+    if (event.type === 'status') {
+        event.slots.forEach(slot => setSensorLink(hub, slot.mac, slot.connected));
+    } else if ((event.event === 'CONN' || event.event === 'DISCONN') && event.mac) {
+        setSensorLink(hub, event.mac, event.event === 'CONN');
+    } else {
+        return;
+    }
+    if (hub === selectedHub) {
+        updateHealthView();
+    }
+}
+
+/**
+ * Start or stop the DM:STATUS poller from the dashboard controls
+ */
+function updateHealthPolling() {
+    clearInterval(healthPollTimer);
+    healthPollTimer = null;
+    if (!document.getElementById('healthPoll').checked) return;
+
+    const interval = parseInt(document.getElementById('healthInterval').value) * 1000;
+    healthPollTimer = setInterval(pollHubStatus, interval);
+    pollHubStatus();
+}
+
+/**
+ * Ask every connected hub for its status (skipped for hubs with commands waiting)
+ */
+function pollHubStatus() {
+    hubs.filter(hub => hub.isConnected && !hub.client.busy).forEach(hub => {
+        sendCommand('DM:STATUS:REQ', { hub, retries: 0, quiet: true }).catch(() => {});
+    });
+}
+
+function dismissHealthAlerts() {
+    healthAlerts = [];
+    updateHealthAlerts();
+}
+
+function updateHealthAlerts() {
+    const box = document.getElementById('healthAlerts');
+    box.style.display = healthAlerts.length ? '' : 'none';
+    box.innerHTML = healthAlerts.map(entry => {
+        const text = t('health.dropAlert', { hub: entry.hub.label, location: locationLabel(entry.location), mac: entry.mac, mode: entry.mode });
+        return `<div>⚠️ [${entry.time.toLocaleTimeString()}] ${escapeHtml(text)}</div>`;
+    }).join('') +
+        `<button class="btn btn-danger" onclick="dismissHealthAlerts()">${t('health.dismiss')}</button>`;
+}
+
+/**
+ * Small SVG line of the RSSI samples
+ * @param {Array<{rssi: number}>} samples
+ */
+function rssiSparkline(samples) {
+    if (samples.length === 0) return '-';
+
+    const [min, max] = HEALTH_RSSI_RANGE;
+    const width = 80;
+    const height = 16;
+    const step = samples.length > 1 ? width / (samples.length - 1) : 0;
+    const points = samples.map((sample, i) => {
+        const level = (Math.min(max, Math.max(min, sample.rssi)) - min) / (max - min);
+        return `${(i * step).toFixed(1)},${(height - level * height).toFixed(1)}`;
+    }).join(' ');
+    const values = samples.map(s => s.rssi);
+
+    return `<svg class="health-rssi" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<title>${Math.min(...values)} ~ ${Math.max(...values)} dBm</title>` +
+        `<polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg> ` +
+        `${values[values.length - 1]} dBm`;
+}
+
+/**
+ * Draw the dashboard table (selected hub's paired sensors)
+ */
+function updateHealthView() {
+    const hub = selectedHub;
+    const view = document.getElementById('healthTable');
+    const now = Date.now();
+
+    if (hub.sensorSlots.length === 0) {
+        view.innerHTML = `<tr class="slot-empty"><td colspan="7">${t('health.noSensors')}</td></tr>`;
+        return;
+    }
+
+    view.innerHTML = hub.sensorSlots.map(slot => {
+        const record = hub.sensorHealth[slot.mac] || { connected: null, upSince: null, lastSeen: null, drops: 0, rssi: [] };
+        // The link state is unknown while the hub itself is not connected
+        const connected = hub.isConnected ? record.connected : null;
+        const link = connected === null ? ['unknown', '?'] : (connected ? ['up', t('slots.up')] : ['down', t('slots.down')]);
+
+        return `<tr>
+            <td>${escapeHtml(locationLabel(slot.location))}</td>
+            <td class="slot-mac">${escapeHtml(slot.mac)}</td>
+            <td><span class="slot-link slot-link-${link[0]}"></span>${link[1]}</td>
+            <td>${connected && record.upSince ? formatDuration((now - record.upSince) / 1000) : '-'}</td>
+            <td${record.drops ? ' class="slot-invalid"' : ''}>${record.drops}</td>
+            <td>${rssiSparkline(record.rssi)}</td>
+            <td>${record.lastSeen ? new Date(record.lastSeen).toLocaleTimeString() : '-'}</td>
+        </tr>`;
+    }).join('');
+}
+
+// Protocol event subscriptions
+['status', 'bleRaw'].forEach(type => onProtocolEvent(type, handleHealthEvent));
+
+onLanguageChange(() => {
+    updateHealthView();
+    updateHealthAlerts();
+});
+
+window.addEventListener('load', () => {
+    updateHealthView();
+    updateHealthAlerts();
+    // Uptime runs on between events
+    setInterval(updateHealthView, 1000);
+});
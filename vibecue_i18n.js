@@ -0,0 +1,551 @@
+/**
+ * VibeCue Localization
+ *
+ * Korean/English UI text. Static labels in index.html name their message with
+ * data-i18n (text), data-i18n-placeholder or data-i18n-title; scripts use t().
+ * The chosen language is saved in localStorage. Modules that render text
+ * register with onLanguageChange() to redraw after a switch.
+ *
+ * Messages may contain {name} placeholders, filled from the params of t().
+ * Protocol lines, commands and log entries are not translated.
+ */
+
+const I18N_STORAGE_KEY = 'vibecue_language';
+const I18N_LANGUAGES = ['ko', 'en'];
+
+const I18N_MESSAGES = {
+    // Header, hubs, tabs
+    'layout.grid': { ko: '그리드', en: 'Grid' },
+    'layout.tab': { ko: '탭', en: 'Tabs' },
+    'hub.add': { ko: '+ 허브', en: '+ Hub' },
+    'hub.remove': { ko: '허브 제거', en: 'Remove hub' },
+    'hub.removeConfirm': { ko: '{hub}이(가) 연결되어 있습니다. 연결을 해제하고 제거할까요?', en: '{hub} is connected. Disconnect and remove it?' },
+    'hub.broadcastPlaceholder': { ko: '전체 전송 명령 (예: DM:STATUS:REQ)', en: 'Command for all hubs (e.g. DM:STATUS:REQ)' },
+    'hub.broadcast': { ko: '전체 전송', en: 'Send to all' },
+    'mode.idle': { ko: '대기', en: 'Idle' },
+    'mode.emergency': { ko: '■ 긴급 정지 (Esc)', en: '■ Emergency stop (Esc)' },
+    'mode.emergencyHint': { ko: '모든 허브의 실행 중인 모드를 정지합니다 (Esc)', en: 'Stops the running mode on every hub (Esc)' },
+    'mode.running': { ko: '{hub}: {mode} 모드가 실행 중입니다.', en: '{hub}: {mode} mode is running.' },
+    'mode.busy': { ko: '{hub}: {mode} 모드가 실행 중입니다.\n{command}을(를) 보내기 전에 {stop}으로 정지하세요.', en: '{hub}: {mode} mode is running.\nStop it with {stop} before sending {command}.' },
+    'mode.evalRestart': { ko: '{hub}: EVAL이 이미 기록 중입니다.\n다시 시작하면 현재 시행이 끝납니다. 계속할까요?', en: '{hub}: EVAL is already recording.\nStarting again ends the current trial. Continue?' },
+    'mode.setupConfirm': { ko: '그래도 {command}을(를) 보낼까요?', en: 'Send {command} anyway?' },
+    'mode.resetConfirm': { ko: '{hub}: DM:RESET은 장치 타입, 페어링된 센서와 센서 설정을 모두 지웁니다.{running}\n초기화할까요?', en: '{hub}: DM:RESET clears the device type, paired sensors and sensor settings.{running}\nReset the hub?' },
+    'mode.resetStops': { ko: '실행 중인 {mode} 모드도 정지됩니다.', en: 'The running {mode} mode stops too.' },
+    'tab.dm': { ko: '장치 관리', en: 'Device' },
+    'tab.man': { ko: '수동 모드', en: 'Manual' },
+    'tab.ds': { ko: '일상 지원', en: 'Daily support' },
+    'tab.eval': { ko: '평가 모드', en: 'Evaluation' },
+    'tab.script': { ko: '스크립트', en: 'Script' },
+
+    // Common
+    'common.save': { ko: '저장', en: 'Save' },
+    'common.delete': { ko: '삭제', en: 'Delete' },
+    'common.send': { ko: '전송', en: 'Send' },
+    'common.stop': { ko: '중지', en: 'Stop' },
+    'common.export': { ko: '내보내기', en: 'Export' },
+    'common.import': { ko: '가져오기', en: 'Import' },
+    'common.play': { ko: '▶ 재생', en: '▶ Play' },
+    'common.stopIcon': { ko: '■ 정지', en: '■ Stop' },
+    'common.connectFirst': { ko: '먼저 장치를 연결해주세요', en: 'Please connect to device first' },
+    'common.enterCommand': { ko: '명령을 입력해주세요', en: 'Please enter a command' },
+    'common.notInCatalog': { ko: '프로토콜 카탈로그에 없는 명령입니다:\n{error}\n\n그래도 전송할까요?', en: 'Command is not in the protocol catalog:\n{error}\n\nSend anyway?' },
+
+    // Connection
+    'dm.title': { ko: '장치 관리 및 연결', en: 'Device Management & Connection' },
+    'conn.ble': { ko: '블루투스', en: 'Bluetooth' },
+    'conn.serial': { ko: 'USB 시리얼', en: 'USB Serial' },
+    'conn.sim': { ko: '시뮬레이터', en: 'Simulator' },
+    'conn.deviceName': { ko: '장치 이름', en: 'Device name' },
+    'conn.connect': { ko: '연결', en: 'Connect' },
+    'conn.disconnect': { ko: '해제', en: 'Disconnect' },
+    'conn.dropLink': { ko: '링크 끊기', en: 'Drop link' },
+    'conn.restore': { ko: '재연결 시 설정 복원 (DM:TYPE, EVAL:SEN)', en: 'Restore settings after reconnect (DM:TYPE, EVAL:SEN)' },
+    'conn.statusDisconnected': { ko: '🔴 연결 안됨', en: '🔴 Disconnected' },
+    'conn.statusConnected': { ko: '🟢 연결됨 [{via}]', en: '🟢 Connected [{via}]' },
+    'conn.statusReconnecting': { ko: '🟡 재연결 중 [{via}]', en: '🟡 Reconnecting [{via}]' },
+    'conn.failed': { ko: '연결 실패: {error}', en: 'Connection failed: {error}' },
+    'conn.noBluetooth': {
+        ko: '⚠️ 이 브라우저는 Web Bluetooth API를 지원하지 않습니다.\n\n데스크톱/Android의 Chrome, Edge 또는 Opera를 사용해주세요.\nUSB 시리얼(지원되는 경우)과 시뮬레이터는 사용할 수 있습니다.',
+        en: '⚠️ Web Bluetooth API is not supported in this browser.\n\nPlease use Chrome, Edge, or Opera on desktop/Android.\nUSB serial (if supported) and the simulator can still be used.'
+    },
+    'cmd.notConnected': { ko: '연결되지 않았습니다! {hub}를 먼저 장치에 연결해주세요.', en: 'Not connected! Please connect {hub} to a device first.' },
+    'cmd.noHubConnected': { ko: '연결되지 않았습니다! 먼저 장치를 연결해주세요.', en: 'Not connected! Please connect to a device first.' },
+
+    // GATT profiles
+    'gatt.title': { ko: 'BLE GATT 프로필', en: 'BLE GATT Profile' },
+    'gatt.service': { ko: '서비스 UUID', en: 'Service UUID' },
+    'gatt.write': { ko: '쓰기 특성 UUID', en: 'Write characteristic UUID' },
+    'gatt.notify': { ko: '알림 특성 UUID', en: 'Notify characteristic UUID' },
+    'gatt.mtu': { ko: 'MTU', en: 'MTU' },
+    'gatt.writeMode': { ko: '쓰기 방식', en: 'Write type' },
+    'gatt.withResponse': { ko: '응답 있음 (Write Request)', en: 'With response (Write Request)' },
+    'gatt.withoutResponse': { ko: '응답 없음 (Write Command)', en: 'Without response (Write Command)' },
+    'gatt.hint': { ko: '쓰기 1회 최대 {size}바이트 · 다음 연결부터 적용', en: 'Up to {size} bytes per write · applies from the next connection' },
+    'gatt.namePrompt': { ko: '프로필 이름:', en: 'Profile name:' },
+    'gatt.deleteConfirm': { ko: 'GATT 프로필 "{name}"을(를) 삭제할까요?', en: 'Delete GATT profile "{name}"?' },
+    'gatt.builtIn': { ko: '기본 프로필은 바꾸거나 삭제할 수 없습니다', en: 'The built-in profile cannot be replaced or deleted' },
+    'gatt.invalid': { ko: '잘못된 GATT 프로필: {problem}', en: 'Invalid GATT profile: {problem}' },
+    'gatt.problemName': { ko: '프로필 이름이 없습니다', en: 'profile name is missing' },
+    'gatt.problemUuid': { ko: '{field}: 잘못된 UUID (16비트 예: FFF0 또는 128비트)', en: '{field}: invalid UUID (16-bit like FFF0 or 128-bit)' },
+    'gatt.problemMtu': { ko: 'MTU는 {min}-{max}여야 합니다', en: 'MTU must be {min}-{max}' },
+    'gatt.problemWriteMode': { ko: '알 수 없는 쓰기 방식', en: 'unknown write type' },
+
+    // Device management
+    'dm.deviceType': { ko: '장치 타입', en: 'Device type' },
+    'dm.type1': { ko: '타입 1(센서2)', en: 'Type 1 (2 sensors)' },
+    'dm.type2': { ko: '타입 2(센서2+서브2)', en: 'Type 2 (2 sensors + 2 sub)' },
+    'dm.type3': { ko: '타입 3(센서1)', en: 'Type 3 (1 sensor)' },
+    'dm.type4': { ko: '타입 4(센서2+서브4)', en: 'Type 4 (2 sensors + 4 sub)' },
+    'dm.setType': { ko: '타입 설정(DM:TYPE)', en: 'Set type (DM:TYPE)' },
+    'dm.statusReq': { ko: '상태정보 요청 (DM:STATUS)', en: 'Request status (DM:STATUS)' },
+    'dm.reset': { ko: '장치 초기화 (DM:RESET)', en: 'Reset device (DM:RESET)' },
+    'dm.selectType': { ko: '장치 타입을 선택해주세요', en: 'Please select a device type' },
+    'scan.title': { ko: 'BLE 장치 스캔', en: 'BLE Device Scan' },
+    'scan.init': { ko: 'BLE 초기화 (INIT)', en: 'Init BLE (INIT)' },
+    'scan.start': { ko: '스캔시작 (START)', en: 'Start scan (START)' },
+    'scan.stop': { ko: '스캔정지 (STOP)', en: 'Stop scan (STOP)' },
+    'scan.done': { ko: 'BLE 연결설정 완료 (DONE)', en: 'Finish BLE setup (DONE)' },
+    'scan.recon': { ko: 'BLE 재연결 (RECON)', en: 'BLE reconnect (RECON)' },
+    'scan.results': { ko: '스캔 결과', en: 'Scan results' },
+    'scan.empty': { ko: '스캔 결과 없음. SCAN:INIT 후 SCAN:START를 누르세요.', en: 'No scan results yet. Click SCAN:INIT then SCAN:START.' },
+    'pair.title': { ko: '장치 연결', en: 'Pair sensor' },
+    'pair.mac': { ko: 'MAC 주소', en: 'MAC address' },
+    'pair.enterMac': { ko: 'MAC 주소를 입력해주세요', en: 'Please enter MAC address' },
+    'pair.invalidMac': { ko: '잘못된 MAC 주소입니다. 형식: 5CF286477359 또는 5C:F2:86:47:73:59', en: 'Invalid MAC address. Use format: 5CF286477359 or 5C:F2:86:47:73:59' },
+    'pair.conflict': { ko: '{title}: {text}\n\n허브가 이 연결을 거부할 가능성이 높습니다. 그래도 전송할까요?', en: '{title}: {text}\n\nThe hub will likely reject this pairing. Send anyway?' },
+    'pair.conflictProvisional': { ko: '{title}: {text}\n\n임시 위치 규칙에 따른 예상입니다. 허브의 응답이 우선합니다. 그래도 전송할까요?', en: '{title}: {text}\n\nPredicted from provisional location rules; the hub\'s answer decides. Send anyway?' },
+    'location.LFOOT': { ko: '왼발', en: 'Left foot' },
+    'location.RFOOT': { ko: '오른발', en: 'Right foot' },
+    'location.LARM': { ko: '왼팔', en: 'Left arm' },
+    'location.RARM': { ko: '오른팔', en: 'Right arm' },
+    'location.LTHIGH': { ko: '왼허벅지', en: 'Left thigh' },
+    'location.RTHIGH': { ko: '오른허벅지', en: 'Right thigh' },
+    'location.BACK': { ko: '등', en: 'Back' },
+
+    // Sensor slots
+    'slots.title': { ko: '센서 슬롯', en: 'Sensor Slots' },
+    'slots.refresh': { ko: '새로고침', en: 'Refresh' },
+    'slots.location': { ko: '위치', en: 'Location' },
+    'slots.link': { ko: '링크', en: 'Link' },
+    'slots.up': { ko: '연결됨', en: 'Connected' },
+    'slots.down': { ko: '끊김', en: 'Disconnected' },
+    'slots.invalid': { ko: '이 타입에서 허용되지 않는 위치', en: 'Not allowed for this type' },
+    'rules.provisional': { ko: '(임시 위치 규칙, 허브의 응답이 우선)', en: '(provisional location rules, the hub decides)' },
+    'slots.summaryType': { ko: '타입 {type} · 센서 {count}/{max}', en: 'Type {type} · sensors {count}/{max}' },
+    'slots.noType': { ko: '타입 미설정', en: 'Type not set' },
+    'slots.summarySlots': { ko: '슬롯 {count}/{max}', en: 'slots {count}/{max}' },
+
+    // Sensor kits
+    'kit.title': { ko: '센서 키트', en: 'Sensor Kits' },
+    'kit.select': { ko: '- 키트 선택 -', en: '- Select kit -' },
+    'kit.saveCurrent': { ko: '현재 구성 저장', en: 'Save current setup' },
+    'kit.provision': { ko: '프로비저닝', en: 'Provision' },
+    'kit.details': { ko: '타입 {type} · {sensors}', en: 'Type {type} · {sensors}' },
+    'kit.needSetup': { ko: '장치 타입과 연결된 센서가 필요합니다 (DM:TYPE, DM:CONN 또는 DM:STATUS)', en: 'A device type and paired sensors are needed (DM:TYPE, DM:CONN or DM:STATUS)' },
+    'kit.namePrompt': { ko: '키트 이름:', en: 'Kit name:' },
+    'kit.invalid': { ko: '잘못된 키트: {problem}', en: 'Invalid kit: {problem}' },
+    'kit.deleteConfirm': { ko: '키트 "{name}"을(를) 삭제할까요?', en: 'Delete kit "{name}"?' },
+    'kit.noKits': { ko: '내보낼 키트가 없습니다', en: 'No kits to export' },
+    'kit.importFailed': { ko: '키트 가져오기 실패: {error}', en: 'Failed to import kits: {error}' },
+    'kit.notKitFile': { ko: 'VibeCue 키트 파일이 아닙니다', en: 'Not a VibeCue kit file' },
+    'kit.selectFirst': { ko: '키트를 선택해주세요', en: 'Please select a kit' },
+    'kit.scanStep': { ko: '스캔: {count}개 센서 찾기', en: 'Scan: find {count} sensors' },
+    'kit.alreadyPaired': { ko: '이미 연결됨', en: 'already paired' },
+    'kit.cancelled': { ko: '취소됨', en: 'Cancelled' },
+    'kit.notFound': { ko: '찾지 못함: {sensors}', en: 'Not found: {sensors}' },
+    'kit.problemName': { ko: '키트 이름이 없습니다', en: 'kit name is missing' },
+    'kit.problemType': { ko: '{name}: 장치 타입은 1-4여야 합니다', en: '{name}: device type must be 1-4' },
+    'kit.problemNoSensors': { ko: '{name}: 센서가 없습니다', en: '{name}: no sensors' },
+    'kit.problemMax': { ko: '{name}: 타입 {type}은(는) 최대 {max}개 센서', en: '{name}: type {type} allows max {max} sensors' },
+    'kit.problemMac': { ko: '{name}: 잘못된 MAC {mac}', en: '{name}: invalid MAC {mac}' },
+    'kit.problemLocation': { ko: '{name}: 알 수 없는 위치 {location}', en: '{name}: unknown location {location}' },
+    'kit.warnLocation': { ko: '{name}: {location}은(는) 타입 {type}의 위치 목록에 없습니다', en: '{name}: {location} is not in the location list of type {type}' },
+    'kit.importWarnings': { ko: '가져온 키트의 경고:\n{warnings}', en: 'Warnings for the imported kits:\n{warnings}' },
+    'kit.problemDupMac': { ko: '{name}: MAC 중복', en: '{name}: duplicate MAC' },
+    'kit.problemDupLocation': { ko: '{name}: 위치 중복', en: '{name}: duplicate location' },
+
+    // Custom command
+    'custom.title': { ko: '사용자 명령', en: 'Custom Command' },
+    'custom.placeholder': { ko: '예: DM:STATUS:REQ', en: 'e.g. DM:STATUS:REQ' },
+    'console.pin': { ko: '☆ 고정', en: '☆ Pin' },
+    'console.pinHint': { ko: '즐겨찾기에 고정', en: 'Pin as favourite' },
+    'console.unpin': { ko: '고정 해제', en: 'Unpin' },
+    'console.noFavorites': { ko: '고정한 명령 없음', en: 'No pinned commands' },
+    'custom.timeout': { ko: '응답 대기 (ms)', en: 'Response timeout (ms)' },
+    'custom.retries': { ko: '재시도', en: 'Retries' },
+    'custom.retriesHint': { ko: 'MAN·DS·EVAL:START 및 DM:CONN 명령은 재전송하지 않음', en: 'MAN, DS and EVAL:START and DM:CONN are never resent' },
+
+    // Manual mode and patterns
+    'man.title': { ko: '수동 모드', en: 'Manual Mode' },
+    'man.freq': { ko: '주파수 (Hz)', en: 'Frequency (Hz)' },
+    'man.level': { ko: '강도', en: 'Intensity' },
+    'man.minutes': { ko: '시간 (분)', en: 'Duration (min)' },
+    'man.locations': { ko: '위치 선택', en: 'Locations' },
+    'man.start': { ko: '시작 (MAN:START)', en: 'Start (MAN:START)' },
+    'man.stop': { ko: '정지 (MAN:STOP)', en: 'Stop (MAN:STOP)' },
+    'man.missingParams': { ko: '주파수, 강도, 시간을 입력해주세요', en: 'Please enter frequency, intensity and duration' },
+    'man.selectLocation': { ko: '위치를 선택해주세요', en: 'Please select a location' },
+    'manLocation.1': { ko: '가슴', en: 'Chest' },
+    'manLocation.4': { ko: '왼팔', en: 'Left arm' },
+    'manLocation.5': { ko: '오른팔', en: 'Right arm' },
+    'manLocation.6': { ko: '왼허벅지', en: 'Left thigh' },
+    'manLocation.7': { ko: '오른허벅지', en: 'Right thigh' },
+    'pattern.title': { ko: '패턴 시퀀서', en: 'Pattern Sequencer' },
+    'pattern.select': { ko: '- 패턴 선택 -', en: '- Select pattern -' },
+    'pattern.seconds': { ko: '초', en: 'Sec' },
+    'pattern.locations': { ko: '위치 (없으면 쉼)', en: 'Locations (none = pause)' },
+    'pattern.addStep': { ko: '+ 단계', en: '+ Step' },
+    'pattern.repeat': { ko: '반복', en: 'Repeat' },
+    'pattern.pause': { ko: '쉼', en: 'Pause' },
+    'pattern.total': { ko: '총 {time}', en: 'Total {time}' },
+    'pattern.statusStep': { ko: '▶ 단계 {step}/{steps}', en: '▶ Step {step}/{steps}' },
+    'pattern.statusRound': { ko: '반복 {round}/{repeat}', en: 'Repeat {round}/{repeat}' },
+    'pattern.statusLeft': { ko: '{time} 남음', en: '{time} left' },
+    'pattern.statusTotal': { ko: '전체 {time}', en: 'Total {time}' },
+    'pattern.problemFreq': { ko: '{step}단계: 주파수는 10-100 Hz여야 합니다', en: 'Step {step}: frequency must be 10-100 Hz' },
+    'pattern.problemLevel': { ko: '{step}단계: 강도는 1-5여야 합니다', en: 'Step {step}: intensity must be 1-5' },
+    'pattern.problemSeconds': { ko: '{step}단계: 시간은 1-{max}초여야 합니다', en: 'Step {step}: duration must be 1-{max} s' },
+    'pattern.addOne': { ko: '단계를 하나 이상 추가해주세요', en: 'Add at least one step' },
+    'pattern.needLocations': { ko: '하나 이상의 단계에서 위치를 선택해주세요', en: 'Select locations in at least one step' },
+    'pattern.namePrompt': { ko: '패턴 이름:', en: 'Pattern name:' },
+    'pattern.deleteConfirm': { ko: '패턴 "{name}"을(를) 삭제할까요?', en: 'Delete pattern "{name}"?' },
+    'pattern.exampleAlternateArms': { ko: '좌우 교대 (팔)', en: 'Alternating (arms)' },
+    'pattern.exampleRampUp': { ko: '강도 증가', en: 'Rising intensity' },
+    'pattern.exampleInterval': { ko: '인터벌 (30초 on/off)', en: 'Interval (30 s on/off)' },
+
+    // Daily support
+    'ds.title': { ko: '일상 지원 모드', en: 'Daily Support Mode' },
+    'ds.start': { ko: '시작 (DS:START)', en: 'Start (DS:START)' },
+    'ds.stop': { ko: '정지 (DS:STOP)', en: 'Stop (DS:STOP)' },
+
+    // Evaluation
+    'eval.title': { ko: '평가 모드', en: 'Evaluation Mode' },
+    'eval.start': { ko: '시작 (EVAL:START)', en: 'Start (EVAL:START)' },
+    'eval.stop': { ko: '정지 (EVAL:STOP)', en: 'Stop (EVAL:STOP)' },
+    'eval.sensorSettings': { ko: '센서 설정', en: 'Sensor Settings' },
+    'params.colParam': { ko: '파라미터', en: 'Parameter' },
+    'params.colValue': { ko: '값', en: 'Value' },
+    'params.colUnit': { ko: '단위', en: 'Unit' },
+    'params.colRange': { ko: '범위', en: 'Range' },
+    'params.colDefault': { ko: '기본값', en: 'Default' },
+    'params.colDevice': { ko: '장치 값', en: 'Device' },
+    'params.deviceHint': { ko: '이 연결에서 허브가 수락한 값 (펌웨어에 조회 명령이 없음)', en: 'Value the hub accepted on this connection (the firmware has no query command)' },
+    'params.catalogHint': { ko: '펌웨어 문서에 있는 파라미터만 표시됩니다 (현재 posf_sl). 다른 EVAL:SEN 파라미터는 보낼 수 없습니다', en: 'Only parameters documented by the firmware are listed (posf_sl so far). Other EVAL:SEN parameters cannot be sent' },
+    'params.sendChanged': { ko: '변경값 전송', en: 'Send changes' },
+    'params.defaults': { ko: '기본값으로', en: 'Defaults' },
+    'params.selectPreset': { ko: '- 프리셋 선택 -', en: '- Select preset -' },
+    'params.typeTag': { ko: '타입 {type}', en: 'type {type}' },
+    'params.presetPrompt': { ko: '프리셋 이름 (환자 또는 장치 타입):', en: 'Preset name (patient or device type):' },
+    'params.deleteConfirm': { ko: '프리셋 "{name}"을(를) 삭제할까요?', en: 'Delete preset "{name}"?' },
+    'params.invalid': { ko: '잘못된 값:\n{problems}', en: 'Invalid values:\n{problems}' },
+    'params.noChanges': { ko: '장치 값과 다른 파라미터가 없습니다', en: 'No parameter differs from the device' },
+    'params.problemNumber': { ko: '{name}: 숫자를 입력하세요', en: '{name}: enter a number' },
+    'params.problemInteger': { ko: '{name}: 정수를 입력하세요', en: '{name}: enter a whole number' },
+    'params.problemRange': { ko: '{name}: {min} ~ {max} 범위여야 합니다', en: '{name}: must be {min} ~ {max}' },
+    'param.posf_sl': { ko: '위치 필터', en: 'Position filter' },
+    'eval.monitor': { ko: '평가 데이터 모니터', en: 'Evaluation Data Monitor' },
+    'eval.clear': { ko: '초기화', en: 'Clear' },
+    'eval.includeRaw': { ko: '원시 데이터 포함', en: 'Include raw data' },
+    'eval.noData': { ko: '다운로드할 데이터가 없습니다', en: 'No data to download' },
+    'evalCol.time': { ko: '시간', en: 'Time' },
+    'evalCol.lDist': { ko: 'L 평균 거리(cm)', en: 'L Avg Dist(cm)' },
+    'evalCol.lSpeed': { ko: 'L 평균 속도(cm/s)', en: 'L Avg Spd(cm/s)' },
+    'evalCol.rDist': { ko: 'R 평균 거리(cm)', en: 'R Avg Dist(cm)' },
+    'evalCol.rSpeed': { ko: 'R 평균 속도(cm/s)', en: 'R Avg Spd(cm/s)' },
+    'evalCol.lTilt': { ko: 'L 평균 기울기(°)', en: 'L Avg Tilt(°)' },
+    'evalCol.rTilt': { ko: 'R 평균 기울기(°)', en: 'R Avg Tilt(°)' },
+    'evalCol.asymmetry': { ko: '비대칭(%)', en: 'Asym(%)' },
+
+    // Export column names
+    'exportCol.time': { ko: '시간', en: 'Time' },
+    'exportCol.timestamp': { ko: '타임스탬프', en: 'Timestamp' },
+    'exportCol.type': { ko: '종류', en: 'Type' },
+    'exportCol.deviceType': { ko: '장치타입', en: 'DeviceType' },
+    'exportCol.trial': { ko: '시행', en: 'Trial' },
+    'exportCol.elapsed': { ko: '경과(s)', en: 'Elapsed(s)' },
+    'exportCol.lAvgDist': { ko: 'L_평균거리(cm)', en: 'L_Avg_Dist(cm)' },
+    'exportCol.lAvgSpeed': { ko: 'L_평균속도(cm/s)', en: 'L_Avg_Speed(cm/s)' },
+    'exportCol.rAvgDist': { ko: 'R_평균거리(cm)', en: 'R_Avg_Dist(cm)' },
+    'exportCol.rAvgSpeed': { ko: 'R_평균속도(cm/s)', en: 'R_Avg_Speed(cm/s)' },
+    'exportCol.lAvgTilt': { ko: 'L_평균기울기(deg)', en: 'L_Avg_Tilt(deg)' },
+    'exportCol.rAvgTilt': { ko: 'R_평균기울기(deg)', en: 'R_Avg_Tilt(deg)' },
+    'exportCol.asymmetry': { ko: '비대칭(%)', en: 'Asymmetry(%)' },
+    'exportCol.lDist': { ko: 'L_거리(cm)', en: 'L_Dist(cm)' },
+    'exportCol.lSpeed': { ko: 'L_속도(cm/s)', en: 'L_Speed(cm/s)' },
+    'exportCol.rDist': { ko: 'R_거리(cm)', en: 'R_Dist(cm)' },
+    'exportCol.rSpeed': { ko: 'R_속도(cm/s)', en: 'R_Speed(cm/s)' },
+    'exportCol.lTilt': { ko: 'L_기울기(deg)', en: 'L_Tilt(deg)' },
+    'exportCol.rTilt': { ko: 'R_기울기(deg)', en: 'R_Tilt(deg)' },
+    'exportCol.hub': { ko: '허브', en: 'Hub' },
+    'exportCol.direction': { ko: '방향', en: 'Direction' },
+    'exportCol.group': { ko: '그룹', en: 'Group' },
+    'exportCol.severity': { ko: '심각도', en: 'Severity' },
+    'exportCol.message': { ko: '메시지', en: 'Message' },
+    'exportCol.hex': { ko: 'HEX', en: 'Hex' },
+
+    // EVAL history
+    'history.selectSubject': { ko: '- 피험자 선택 -', en: '- Select subject -' },
+    'history.newSubject': { ko: '새 피험자', en: 'New subject' },
+    'history.selectSession': { ko: '- 세션 선택 -', en: '- Select session -' },
+    'history.newSession': { ko: '새 세션', en: 'New session' },
+    'history.show': { ko: '기록 보기', en: 'History' },
+    'history.subjectPrompt': { ko: '피험자 이름 또는 ID:', en: 'Subject name or ID:' },
+    'history.sessionPrompt': { ko: '세션 이름:', en: 'Session name:' },
+    'history.defaultSession': { ko: '{date} 평가', en: '{date} evaluation' },
+    'history.selectSubjectFirst': { ko: '피험자를 먼저 선택해주세요', en: 'Please select a subject first' },
+    'history.createSubjectFailed': { ko: '피험자 생성 실패: {error}', en: 'Failed to create subject: {error}' },
+    'history.createSessionFailed': { ko: '세션 생성 실패: {error}', en: 'Failed to create session: {error}' },
+    'history.loadFailed': { ko: '세션 불러오기 실패: {error}', en: 'Failed to load session: {error}' },
+    'history.deleteFailed': { ko: '세션 삭제 실패: {error}', en: 'Failed to delete session: {error}' },
+    'history.deleteConfirm': { ko: '이 세션과 모든 평가 결과를 삭제할까요?', en: 'Delete this session and all its results?' },
+    'history.hint': { ko: '피험자를 선택하면 기록이 표시됩니다', en: 'Select a subject to see the history' },
+    'history.noSessions': { ko: '저장된 세션 없음', en: 'No saved sessions' },
+    'history.trials': { ko: '{count}회', en: '{count} trials' },
+    'history.load': { ko: '불러오기', en: 'Load' },
+
+    // Trial statistics
+    'stats.title': { ko: '시행 통계', en: 'Trial Statistics' },
+    'stats.threshold': { ko: '비대칭 기준', en: 'Asymmetry limit' },
+    'stats.invalidThreshold': { ko: '비대칭 기준은 0~100 사이의 숫자여야 합니다', en: 'The asymmetry limit must be a number from 0 to 100' },
+    'stats.noTrials': { ko: '평가 결과가 없습니다', en: 'No evaluation results' },
+    'stats.type.foot': { ko: '발 (거리/속도)', en: 'Foot (distance/speed)' },
+    'stats.type.back': { ko: '등 (기울기)', en: 'Back (tilt)' },
+    'stats.flagged': { ko: '비대칭 {threshold}% 초과 {count}회', en: '{count} above {threshold}% asymmetry' },
+    'stats.noneFlagged': { ko: '비대칭 {threshold}% 초과 없음', en: 'none above {threshold}% asymmetry' },
+    'stats.flaggedTrials': { ko: '비대칭 {threshold}% 초과 시행', en: 'Trials above {threshold}% asymmetry' },
+    'stats.flaggedList': { ko: '기준 초과 시행', en: 'Trials above the limit' },
+    'stats.colMetric': { ko: '항목', en: 'Metric' },
+    'stats.colMeanSd': { ko: '평균 ± SD', en: 'Mean ± SD' },
+    'stats.colMin': { ko: '최소', en: 'Min' },
+    'stats.colMax': { ko: '최대', en: 'Max' },
+    'stats.colDiff': { ko: '차이 (B−A)', en: 'Diff (B−A)' },
+    'stats.colChange': { ko: '변화율', en: 'Change' },
+    'stats.currentTable': { ko: '현재 표', en: 'Current table' },
+    'stats.compare': { ko: '비교', en: 'Compare' },
+    'stats.report': { ko: '보고서', en: 'Report' },
+    'stats.sameSource': { ko: 'A와 B에 서로 다른 세션을 선택해주세요', en: 'Please pick different sessions for A and B' },
+    'stats.nothingToCompare': { ko: '두 세션에 같은 종류의 결과가 없습니다', en: 'The two sessions have no results of the same kind' },
+    'stats.popupBlocked': { ko: '보고서 창을 열 수 없습니다. 팝업 차단을 해제해주세요', en: 'Could not open the report window. Please allow pop-ups' },
+    'stats.reportTitle': { ko: '보행 평가 보고서', en: 'Gait Evaluation Report' },
+    'stats.subject': { ko: '피험자', en: 'Subject' },
+    'stats.generated': { ko: '작성', en: 'Generated' },
+    'stats.comparison': { ko: '세션 비교', en: 'Session Comparison' },
+    'stats.charts': { ko: '시행별 추이', en: 'Trials' },
+    'stats.trialAxis': { ko: '시행 (1~{count})', en: 'Trial (1-{count})' },
+    'stats.print': { ko: '인쇄', en: 'Print' },
+
+    // Live charts
+    'chart.title': { ko: '실시간 데이터', en: 'Live Data' },
+    'chart.windowSec': { ko: '{seconds}초', en: '{seconds} s' },
+    'chart.all': { ko: '전체', en: 'All' },
+    'chart.zoomIn': { ko: '확대 +', en: 'Zoom in +' },
+    'chart.zoomOut': { ko: '축소 −', en: 'Zoom out −' },
+    'chart.pause': { ko: '일시정지', en: 'Pause' },
+    'chart.resume': { ko: '재개', en: 'Resume' },
+    'chart.asymmetry': { ko: '비대칭', en: 'Asymmetry' },
+    'chart.empty': { ko: 'EVAL:START 후 실시간 데이터가 표시됩니다', en: 'Live data appears after EVAL:START' },
+    'chart.info': { ko: '시행 {trial} · 샘플 {count}개 · {time}초', en: 'Trial {trial} · {count} samples · {time}s' },
+    'chart.paused': { ko: '(일시정지)', en: '(paused)' },
+    'chart.distance': { ko: '거리 (cm)', en: 'Distance (cm)' },
+    'chart.speed': { ko: '속도 (cm/s)', en: 'Speed (cm/s)' },
+    'chart.tilt': { ko: '기울기 (°)', en: 'Tilt (°)' },
+
+    // Scripts
+    'script.title': { ko: '명령 스크립트', en: 'Command Script' },
+    'script.select': { ko: '- 스크립트 선택 -', en: '- Select script -' },
+    'script.namePlaceholder': { ko: '스크립트 이름', en: 'Script name' },
+    'script.run': { ko: '▶ 실행', en: '▶ Run' },
+    'script.saveReport': { ko: '보고서 저장', en: 'Save report' },
+    'script.noResult': { ko: '실행 결과 없음', en: 'No results yet' },
+    'script.running': { ko: '⏳ {name} 실행 중...', en: '⏳ Running {name}...' },
+    'script.errors': { ko: '스크립트 오류:\n{errors}', en: 'Script errors:\n{errors}' },
+    'script.empty': { ko: '스크립트가 비어 있습니다', en: 'Script is empty' },
+    'script.noReport': { ko: '실행 보고서가 없습니다', en: 'No script report' },
+    'script.nameRequired': { ko: '스크립트 이름을 입력해주세요', en: 'Please enter a script name' },
+    'script.saveWithErrors': { ko: '스크립트에 오류가 있습니다:\n{errors}\n\n그래도 저장할까요?', en: 'Script has errors:\n{errors}\n\nSave anyway?' },
+    'script.deleteConfirm': { ko: '스크립트 "{name}"을(를) 삭제할까요?', en: 'Delete script "{name}"?' },
+
+    // Remote bridge
+    'bridge.title': { ko: '원격 브리지 (WebSocket)', en: 'Remote Bridge (WebSocket)' },
+    'bridge.hint': { ko: '외부 도구의 명령을 이 페이지에서 전송하고 수신 데이터를 돌려보냅니다 (참조 서버: node vibecue_relay.js)', en: 'Sends commands from external tools through this page and streams the received data back (reference server: node vibecue_relay.js)' },
+    'bridge.off': { ko: '꺼짐', en: 'Off' },
+    'bridge.connecting': { ko: '연결 중...', en: 'Connecting...' },
+    'bridge.on': { ko: '연결됨 · 명령 {commands}개 · 수신 {lines}줄', en: 'Connected · {commands} commands · {lines} lines' },
+    'bridge.invalidUrl': { ko: 'ws:// 또는 wss:// 주소를 입력해주세요', en: 'Enter a ws:// or wss:// address' },
+    'bridge.failed': { ko: '브리지 연결 실패: {error}', en: 'Bridge connection failed: {error}' },
+
+    // Status and logs
+    'logs.title': { ko: '상태 및 로그', en: 'Status & Logs' },
+    'logs.deviceStatus': { ko: '장치 상태', en: 'Device Status' },
+    'logs.noStatus': { ko: '상태 정보 없음', en: 'No status yet' },
+    'health.title': { ko: '센서 상태 모니터', en: 'Sensor Health' },
+    'health.poll': { ko: 'DM:STATUS 자동 요청', en: 'Poll DM:STATUS' },
+    'health.uptime': { ko: '연결 시간', en: 'Uptime' },
+    'health.drops': { ko: '끊김', en: 'Drops' },
+    'health.rssi': { ko: 'RSSI 추이', en: 'RSSI trend' },
+    'health.rssiHint': { ko: '스캔 중에만 측정됩니다', en: 'Measured only while scanning' },
+    'health.lastSeen': { ko: '마지막 확인', en: 'Last seen' },
+    'health.noSensors': { ko: '페어링된 센서 없음', en: 'No paired sensors' },
+    'health.dropAlert': { ko: '{hub}: {mode} 실행 중 {location} 센서 ({mac}) 연결 끊김', en: '{hub}: sensor {location} ({mac}) disconnected during {mode}' },
+    'health.dismiss': { ko: '알림 지우기', en: 'Clear alerts' },
+    'logs.commandResults': { ko: '명령 결과', en: 'Command Results' },
+    'logs.noCommands': { ko: '전송한 명령 없음', en: 'No commands sent' },
+    'log.allGroups': { ko: '전체 그룹', en: 'All groups' },
+    'log.app': { ko: '앱 메시지', en: 'App messages' },
+    'log.search': { ko: '검색', en: 'Search' },
+    'log.save': { ko: '로그 저장', en: 'Save log' },
+    'log.clear': { ko: '지우기', en: 'Clear' },
+    'log.count': { ko: '{shown} / {total} (최대 {max})', en: '{shown} / {total} (max {max})' },
+    'log.noEntries': { ko: '내보낼 로그가 없습니다', en: 'No log entries to export' },
+    'status.bleMaster': { ko: 'BLE 마스터', en: 'BLE Master' },
+    'status.scan': { ko: '스캔', en: 'Scan' },
+    'status.scanFound': { ko: '{name} ({mac}) 발견', en: 'Found {name} ({mac})' },
+    'status.evalData': { ko: 'EVAL 데이터', en: 'EVAL Data' },
+    'status.manual': { ko: '수동', en: 'Manual' },
+    'status.manTimeout': { ko: '시간 경과, 진동 정지', en: 'Time elapsed, vibration stopped' },
+    'status.success': { ko: '성공', en: 'Success' },
+    'status.unknown': { ko: '알 수 없음', en: 'Unknown' },
+
+    // Session recorder
+    'rec.record': { ko: '⏺ 녹화', en: '⏺ Record' },
+    'rec.save': { ko: '⏹ 녹화 저장', en: '⏹ Save recording' },
+    'rec.load': { ko: '📂 기록 불러오기', en: '📂 Load trace' },
+    'rec.maxSpeed': { ko: '최대', en: 'Max' },
+    'rec.stopReplay': { ko: '■ 재생 정지', en: '■ Stop replay' },
+    'rec.stopReplayFirst': { ko: '녹화하기 전에 재생을 정지해주세요', en: 'Stop the replay before recording' },
+    'rec.loadFailed': { ko: '기록 불러오기 실패: {error}', en: 'Failed to load trace: {error}' },
+    'rec.notTrace': { ko: 'VibeCue 기록 파일이 아닙니다', en: 'Not a VibeCue trace file' },
+    'rec.unsupportedVersion': { ko: '지원하지 않는 기록 버전 {version}', en: 'Unsupported trace version {version}' },
+    'rec.loadFirst': { ko: '먼저 기록 파일을 불러오세요', en: 'Load a trace file first' },
+    'rec.disconnectFirst': { ko: '재생하기 전에 연결을 해제해주세요 (실시간 데이터가 섞입니다)', en: 'Disconnect before replaying (live data would mix with the trace)' },
+    'rec.recording': { ko: '⏺️ 녹화 중... {count}개 항목', en: '⏺️ Recording... {count} entries' },
+    'rec.replaying': { ko: '▶️ 재생 {index}/{count} ({time}초)', en: '▶️ Replay {index}/{count} ({time}s)' },
+    'rec.loaded': { ko: '📂 {date} · {count}개 항목', en: '📂 {date} · {count} entries' },
+
+    // Hub errors (#ERR:<code>)
+    'error.generic': { ko: '오류', en: 'Error' },
+    'error.NO_TYPE.title': { ko: '타입 없음', en: 'No Type' },
+    'error.NO_TYPE': { ko: '먼저 장치 타입을 설정하세요 (DM:TYPE:1-4)', en: 'Set device type first (DM:TYPE:1-4)' },
+    'error.SLOT_FULL.title': { ko: '슬롯 가득 참', en: 'Slot Full' },
+    'error.SLOT_FULL': { ko: '최대 {max}개 장치까지 연결할 수 있습니다', en: 'Maximum {max} devices allowed' },
+    'error.DUP_MAC.title': { ko: 'MAC 중복', en: 'Duplicate MAC' },
+    'error.DUP_MAC': { ko: '장치 {mac}은(는) 이미 {location}에 연결되어 있습니다', en: 'Device {mac} already connected as {location}' },
+    'error.DUP_LOC.title': { ko: '위치 중복', en: 'Duplicate Location' },
+    'error.DUP_LOC': { ko: '{location}은(는) 이미 {mac}에 할당되어 있습니다', en: '{location} already assigned to {mac}' },
+    'error.LOC_NOT_ALLOWED.title': { ko: '허용되지 않는 위치', en: 'Location Not Allowed' },
+    'error.LOC_NOT_ALLOWED': { ko: '{location}은(는) {type}에서 사용할 수 없습니다', en: '{location} is not valid for {type}' },
+    'error.TYPE_FULL.title': { ko: '타입 가득 참', en: 'Type Full' },
+    'error.TYPE_FULL': { ko: '타입 {type}은(는) 최대 {max}개 장치를 허용합니다', en: 'Type {type} allows max {max} devices' },
+    'error.NOT_INIT.title': { ko: '초기화 안됨', en: 'Not Initialized' },
+    'error.NOT_INIT': { ko: '먼저 DM:SCAN:INIT을 실행하세요', en: 'Run DM:SCAN:INIT first' },
+    'error.NOT_STARTED.title': { ko: '시작 안됨', en: 'Not Started' },
+    'error.NOT_STARTED': { ko: '모드가 실행 중이 아닙니다', en: 'Mode is not running' },
+    'error.BUSY.title': { ko: '사용 중', en: 'Busy' },
+    'error.BUSY': { ko: '다른 모드가 실행 중입니다', en: 'Another mode is running' },
+    'error.INVALID_ARG.title': { ko: '잘못된 인자', en: 'Invalid Argument' },
+    'error.INVALID_ARG': { ko: '허브가 명령 인자를 거부했습니다', en: 'Command argument rejected by the hub' },
+    'error.UNKNOWN_CMD.title': { ko: '알 수 없는 명령', en: 'Unknown Command' },
+    'error.UNKNOWN_CMD': { ko: '허브가 모르는 명령입니다{command}', en: 'Hub does not know this command{command}' }
+};
+
+let currentLanguage = 'ko';
+let languageListeners = [];
+
+/**
+ * Message in the current language
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string} - Message text (the key itself if unknown)
+ */
+function t(key, params = {}) {
+    const message = I18N_MESSAGES[key];
+    if (!message) {
+        console.warn('Missing message:', key);
+        return key;
+    }
+    const text = message[currentLanguage] ?? message.ko;
+    return text.replace(/\{(\w+)\}/g, (whole, name) => (params[name] ?? ''));
+}
+
+/**
+ * Localized title and text of a hub error (describeError() keeps the protocol's English text)
+ * @param {Object} error - 'error' event or {code, args}
+ * @returns {{title: string, text: string, severity: string}}
+ */
+function describeErrorText(error) {
+    const info = describeError(error);
+    if (!ERROR_CODES[error.code]) {
+        return { ...info, title: t('error.generic') };
+    }
+
+    const args = { max: MAX_SENSOR_SLOTS };
+    Object.entries(error.args || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== '') args[name] = value;
+    });
+    if (error.code === 'UNKNOWN_CMD') {
+        args.command = args.command ? ` (${args.command})` : '';
+    }
+    return { ...info, title: t(`error.${error.code}.title`), text: t(`error.${error.code}`, args) };
+}
+
+/**
+ * Display name of a sensor location (LFOOT, BACK, ...)
+ */
+function locationLabel(location) {
+    return I18N_MESSAGES[`location.${location}`] ? t(`location.${location}`) : location;
+}
+
+/**
+ * Subscribe to language switches (for text rendered by scripts)
+ * @param {function(string)} handler - Called with the new language
+ */
+function onLanguageChange(handler) {
+    languageListeners.push(handler);
+}
+
+/**
+ * Switch the UI language and remember it
+ * @param {string} language - 'ko' or 'en'
+ */
+function setLanguage(language) {
+    if (!I18N_LANGUAGES.includes(language)) return;
+
+    currentLanguage = language;
+    localStorage.setItem(I18N_STORAGE_KEY, language);
+    applyTranslations();
+
+    languageListeners.forEach(handler => {
+        try {
+            handler(language);
+        } catch (error) {
+            console.error('Language change handler failed:', error);
+        }
+    });
+}
+
+/**
+ * Translate the static labels marked with data-i18n attributes
+ */
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+    document.getElementById('languageSelect').value = currentLanguage;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
+
+// Saved choice, otherwise Korean unless the browser prefers another language
+currentLanguage = localStorage.getItem(I18N_STORAGE_KEY) ||
+    (!navigator.language || navigator.language.startsWith('ko') ? 'ko' : 'en');
+if (!I18N_LANGUAGES.includes(currentLanguage)) {
+    currentLanguage = 'ko';
+}
+
+window.addEventListener('load', applyTranslations);
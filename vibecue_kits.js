@@ -0,0 +1,350 @@
+/**
+ * VibeCue Sensor Kits
+ *
+ * Named kit profiles (device type + MAC → body location pairs) saved in
+ * localStorage and importable/exportable as JSON. Provisioning a kit runs the
+ * whole setup sequence: DM:TYPE, DM:SCAN:INIT, DM:SCAN:START, wait until every
+ * kit MAC shows up in the scan results, DM:SCAN:STOP, DM:CONN per sensor and
+ * DM:SETUP:DONE. Each step is listed with its result; the first failure stops
+ * the sequence. Provisioning runs on the hub selected when it starts.
+ *
+ * Locations outside the (provisional) location list of the kit's type are
+ * warnings, not problems: such kits are saved, imported and provisioned, and
+ * the hub's DM:CONN answer decides. Stored kits that fail validateKit() are
+ * reported and kept in storage, never dropped.
+ *
+ * Kit: { name, type: '1'-'4', sensors: [{mac, location}] }
+ */
+
+const KIT_STORAGE_KEY = 'vibecue_kits';
+const KIT_FILE_FORMAT = 'vibecue-kits';
+const KIT_SCAN_TIMEOUT_MS = 15000;  // Time the scan may take to find all kit sensors
+
+let kitProfiles = [];
+let kitsNotLoaded = [];      // Stored kits that fail validateKit(): kept in storage, not listed
+let kitProvisioning = null;  // { cancelled } while a provisioning runs
+
+/**
+ * Check a kit against the device type rules (location lists: see kitWarnings())
+ * @returns {string|null} - Problem description, null if the kit is valid
+ */
+function validateKit(kit) {
+    if (!kit || typeof kit.name !== 'string' || !kit.name.trim()) return t('kit.problemName');
+
+    const { name, type } = kit;
+    const rules = DEVICE_TYPE_RULES[type];
+    if (!rules) return t('kit.problemType', { name });
+    if (!Array.isArray(kit.sensors) || kit.sensors.length === 0) return t('kit.problemNoSensors', { name });
+    if (kit.sensors.length > rules.max) return t('kit.problemMax', { name, type, max: rules.max });
+
+    for (const sensor of kit.sensors) {
+        if (!sensor || !/^[0-9A-F]{12}$/.test(sensor.mac)) return t('kit.problemMac', { name, mac: sensor && sensor.mac });
+        if (!SENSOR_LOCATIONS.includes(sensor.location)) return t('kit.problemLocation', { name, location: sensor.location });
+    }
+    if (new Set(kit.sensors.map(s => s.mac)).size !== kit.sensors.length) return t('kit.problemDupMac', { name });
+    if (new Set(kit.sensors.map(s => s.location)).size !== kit.sensors.length) return t('kit.problemDupLocation', { name });
+    return null;
+}
+
+/**
+ * Sensors outside the location list of the kit's type
+ * The lists are provisional (DEVICE_TYPE_RULES), so these only warn.
+ * @param {Object} kit - Kit that passed validateKit()
+ * @returns {string[]} - Warnings
+ */
+function kitWarnings(kit) {
+    const rules = DEVICE_TYPE_RULES[kit.type];
+    return kit.sensors.filter(sensor => !rules.locations.includes(sensor.location))
+        .map(sensor => t('kit.warnLocation', { name: kit.name, location: sensor.location, type: kit.type }) + locationRuleNote());
+}
+
+function loadKits() {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(KIT_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Saved kits unreadable:', error);
+    }
+    if (!Array.isArray(stored)) stored = [];
+
+    kitProfiles = stored.filter(kit => !validateKit(kit));
+    kitsNotLoaded = stored.filter(kit => validateKit(kit));
+    if (kitsNotLoaded.length) {
+        logReceived(`⚠️ ${kitsNotLoaded.length} saved kit(s) not loaded, kept in storage: ${kitsNotLoaded.map(validateKit).join('; ')}`);
+    }
+}
+
+function saveKits() {
+    localStorage.setItem(KIT_STORAGE_KEY, JSON.stringify([...kitProfiles, ...kitsNotLoaded]));
+    updateKitList();
+}
+
+/**
+ * Add a kit, replacing one with the same name
+ */
+function storeKit(kit) {
+    kitsNotLoaded = kitsNotLoaded.filter(k => !k || k.name !== kit.name);
+    kitProfiles = kitProfiles.filter(k => k.name !== kit.name);
+    kitProfiles.push(kit);
+    kitProfiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function selectedKit() {
+    const name = document.getElementById('kitSelect').value;
+    return kitProfiles.find(kit => kit.name === name) || null;
+}
+
+/**
+ * Save the hub's current type and paired sensors as a kit
+ */
+function saveCurrentKit() {
+    const { deviceState, sensorSlots } = selectedHub;
+    const type = deviceState.type;
+    const sensors = (sensorSlots.length ? sensorSlots : deviceState.sensors)
+        .map(slot => ({ mac: slot.mac, location: slot.location }));
+
+    if (!type || sensors.length === 0) {
+        alert(t('kit.needSetup'));
+        return;
+    }
+
+    const current = selectedKit();
+    const name = prompt(t('kit.namePrompt'), current ? current.name : '');
+    if (!name || !name.trim()) return;
+
+    // Pairings the hub accepted: no location warnings
+    const kit = { name: name.trim(), type: String(type), sensors };
+    const problem = validateKit(kit);
+    if (problem) {
+        alert(t('kit.invalid', { problem }));
+        return;
+    }
+
+    storeKit(kit);
+    saveKits();
+    document.getElementById('kitSelect').value = kit.name;
+    updateKitDetails();
+    logSent(`🧰 Kit saved: ${kit.name} (type ${kit.type}, ${sensors.length} sensors)`);
+}
+
+/**
+ * Delete the selected kit
+ */
+function deleteKit() {
+    const kit = selectedKit();
+    if (!kit || !confirm(t('kit.deleteConfirm', { name: kit.name }))) return;
+
+    kitProfiles = kitProfiles.filter(k => k !== kit);
+    saveKits();
+}
+
+/**
+ * Download all kits as JSON
+ */
+function exportKits() {
+    if (kitProfiles.length === 0) {
+        alert(t('kit.noKits'));
+        return;
+    }
+    const data = { format: KIT_FILE_FORMAT, version: 1, kits: kitProfiles };
+    downloadFile(JSON.stringify(data, null, 2), `vibecue_kits_${fileTimestamp()}.json`, 'application/json');
+}
+
+/**
+ * Import kits from a JSON file (kits with the same name are replaced)
+ * @param {HTMLInputElement} input
+ */
+function importKits(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            const kits = Array.isArray(data) ? data : data.kits;
+            if (!Array.isArray(kits)) {
+                throw new Error(t('kit.notKitFile'));
+            }
+
+            const imported = kits.map(kit => ({
+                name: String(kit.name || '').trim(),
+                type: String(kit.type),
+                sensors: (kit.sensors || []).map(s => ({
+                    mac: String(s.mac || '').replace(/[:-]/g, '').toUpperCase(),
+                    location: String(s.location || '').toUpperCase()
+                }))
+            }));
+            const problems = imported.map(validateKit).filter(Boolean);
+            if (problems.length) {
+                throw new Error(problems.join('\n'));
+            }
+
+            imported.forEach(storeKit);
+            saveKits();
+            logSent(`📂 Imported ${imported.length} kits from ${file.name}`);
+
+            const warnings = imported.flatMap(kitWarnings);
+            if (warnings.length) {
+                alert(t('kit.importWarnings', { warnings: warnings.join('\n') }));
+            }
+        } catch (error) {
+            alert(t('kit.importFailed', { error: error.message }));
+        }
+        input.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Run the full setup sequence for the selected kit
+ */
+async function provisionKit() {
+    const kit = selectedKit();
+    if (!kit) {
+        alert(t('kit.selectFirst'));
+        return;
+    }
+    const hub = selectedHub;
+    if (!hub.isConnected) {
+        alert(t('common.connectFirst'));
+        return;
+    }
+    if (kitProvisioning) return;
+
+    const run = { hub, cancelled: false };
+    kitProvisioning = run;
+    document.getElementById('kitProgress').innerHTML = '';
+    updateKitButtons();
+    logSent(`🧰 Provisioning kit: ${kit.name} (${hub.label})`, hub);
+
+    const send = (command) => step(command, () => sendCommand(command, { hub }));
+
+    try {
+        await send(`DM:TYPE:${kit.type}`);
+        await send('DM:SCAN:INIT');
+        await send('DM:SCAN:START');
+        try {
+            await step(t('kit.scanStep', { count: kit.sensors.length }), () => waitForKitSensors(kit, run));
+        } catch (error) {
+            sendCommand('DM:SCAN:STOP', { hub }).catch(() => {});
+            throw error;
+        }
+        await send('DM:SCAN:STOP');
+
+        for (const sensor of kit.sensors) {
+            // Already paired at this location (e.g. provisioning again after a reconnect)
+            if (hub.sensorSlots.some(slot => slot.mac === sensor.mac && slot.location === sensor.location)) {
+                await step(`DM:CONN:${sensor.mac}:${sensor.location}`, async () => t('kit.alreadyPaired'));
+                continue;
+            }
+            await send(`DM:CONN:${sensor.mac}:${sensor.location}`);
+        }
+
+        await send('DM:SETUP:DONE');
+        logReceived(`✅ Kit provisioned: ${kit.name}`, hub);
+    } catch (error) {
+        logReceived(`[ERROR] Kit provisioning stopped: ${error.message}`, hub);
+    } finally {
+        kitProvisioning = null;
+        updateKitButtons();
+    }
+
+    /**
+     * Run one step and show its result in the progress list
+     */
+    async function step(label, action) {
+        if (run.cancelled) {
+            throw new Error(t('kit.cancelled'));
+        }
+
+        const item = document.createElement('li');
+        item.className = 'kit-step kit-step-running';
+        item.textContent = `⏳ ${label}`;
+        document.getElementById('kitProgress').appendChild(item);
+
+        try {
+            const result = await action();
+            item.className = 'kit-step kit-step-ok';
+            item.textContent = `✓ ${label}${result ? ' → ' + result : ''}`;
+            return result;
+        } catch (error) {
+            item.className = 'kit-step kit-step-failed';
+            item.textContent = `✗ ${label} → ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Wait until all kit MACs are in the scan results of the provisioned hub
+ * @returns {Promise<string>} - Summary with the RSSI of each sensor
+ */
+function waitForKitSensors(kit, run) {
+    const hub = run.hub;
+    const deadline = Date.now() + KIT_SCAN_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const missing = kit.sensors.filter(sensor => !hub.scanResults.some(r => r.mac === sensor.mac));
+
+            if (missing.length === 0) {
+                resolve(kit.sensors.map(sensor =>
+                    `${sensor.location} ${hub.scanResults.find(r => r.mac === sensor.mac).rssi}dBm`).join(', '));
+            } else if (run.cancelled) {
+                reject(new Error(t('kit.cancelled')));
+            } else if (Date.now() >= deadline || !hub.isConnected) {
+                reject(new Error(t('kit.notFound', { sensors: missing.map(s => `${s.mac} (${s.location})`).join(', ') })));
+            } else {
+                setTimeout(check, 200);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Stop a running provisioning after the current step
+ */
+function cancelProvisioning() {
+    if (kitProvisioning) {
+        kitProvisioning.cancelled = true;
+    }
+}
+
+function updateKitButtons() {
+    document.getElementById('kitProvisionBtn').disabled = !!kitProvisioning;
+    document.getElementById('kitCancelBtn').disabled = !kitProvisioning;
+}
+
+/**
+ * Fill the kit select box
+ */
+function updateKitList() {
+    const select = document.getElementById('kitSelect');
+    const current = select.value;
+
+    select.innerHTML = `<option value="">${t('kit.select')}</option>` +
+        kitProfiles.map(kit => `<option value="${escapeHtml(kit.name)}">${escapeHtml(kit.name)}</option>`).join('');
+    select.value = kitProfiles.some(kit => kit.name === current) ? current : '';
+    updateKitDetails();
+}
+
+/**
+ * Show type and sensors of the selected kit
+ */
+function updateKitDetails() {
+    const kit = selectedKit();
+    document.getElementById('kitDetails').textContent = kit
+        ? [t('kit.details', { type: kit.type, sensors: kit.sensors.map(s => `${locationLabel(s.location)} ${s.mac}`).join(', ') }),
+            ...kitWarnings(kit).map(warning => '⚠ ' + warning)].join(' · ')
+        : '';
+}
+
+onLanguageChange(updateKitList);
+
+window.addEventListener('load', () => {
+    loadKits();
+    updateKitList();
+    updateKitButtons();
+});
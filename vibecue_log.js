@@ -0,0 +1,226 @@
+/**
+ * VibeCue Communication Log
+ *
+ * One log per hub with sent and received entries in time order. Every entry
+ * has a direction, timestamp, command group and severity; protocol lines also
+ * keep their bytes so they can be shown as hex. The view filters by group and
+ * text and only renders the rows in sight, and the buffer is capped at
+ * LOG_MAX_ENTRIES, so long EVAL sessions stay responsive.
+ *
+ * Entry: { time: ms, dir: 'tx'|'rx', group: 'DM'|'MAN'|'DS'|'EVAL'|'BLE:RAW'|'ERR'|'APP'|'OTHER',
+ *          severity: 'info'|'warning'|'error', text, bytes: Uint8Array|null }
+ */
+
+const LOG_MAX_ENTRIES = 5000;
+const LOG_TRIM_ENTRIES = 500;  // Dropped at once when the buffer is full
+const LOG_ROW_HEIGHT = 16;     // px, must match .log-row in index.html
+const LOG_OVERSCAN_ROWS = 10;
+
+const LOG_GROUP_PATTERN = /(?:^|\s)[$#](BLE:RAW|ERR|DM|MAN|DS|EVAL):/;
+
+let logFilter = { group: '', text: '' };
+let logHex = false;
+let logFiltered = [];          // Entries of the selected hub that pass the filter
+let logFollow = true;          // Keep the newest entry in view
+let logRenderPending = false;
+
+const logEncoder = new TextEncoder();
+
+/**
+ * Log sent message
+ * @param {string} message
+ * @param {Hub} [hub] - Hub whose log gets the message (default: the selected hub)
+ */
+function logSent(message, hub = selectedHub) {
+    addLogEntry(hub, { dir: 'tx', text: message, bytes: null, severity: messageSeverity(message) });
+}
+
+/**
+ * Log received message
+ * @param {string} message
+ * @param {Hub} [hub] - Hub whose log gets the message (default: the selected hub)
+ */
+function logReceived(message, hub = selectedHub) {
+    addLogEntry(hub, { dir: 'rx', text: message, bytes: null, severity: messageSeverity(message) });
+}
+
+/**
+ * Log a protocol line
+ * @param {Hub} hub
+ * @param {string} dir - 'tx' or 'rx'
+ * @param {string} line - Line without \r\n (e.g., "$DM:STATUS:REQ")
+ * @param {Uint8Array} [bytes] - Bytes as written (default: the line with \r\n)
+ * @param {Object} [event] - Parsed event of a received line
+ */
+function logTraffic(hub, dir, line, bytes = null, event = null) {
+    const severity = event && event.type === 'error' ? describeError(event).severity : 'info';
+    addLogEntry(hub, { dir, text: line, bytes: bytes || logEncoder.encode(line + '\r\n'), severity });
+}
+
+/**
+ * Severity of an app message from its markers
+ */
+function messageSeverity(message) {
+    if (/\[ERROR\]|❌|✗/.test(message)) return 'error';
+    if (/⚠️/.test(message)) return 'warning';
+    return 'info';
+}
+
+/**
+ * Command group of a log entry
+ * @returns {string} - Protocol group, 'OTHER' for other protocol lines, 'APP' for app messages
+ */
+function logGroup(entry) {
+    const match = entry.text.match(LOG_GROUP_PATTERN);
+    if (match) return match[1];
+    return entry.bytes ? 'OTHER' : 'APP';
+}
+
+/**
+ * Add an entry to the hub's log (oldest entries are dropped when the buffer is full)
+ */
+function addLogEntry(hub, entry) {
+    entry.time = Date.now();
+    entry.group = logGroup(entry);
+    hub.logEntries.push(entry);
+
+    if (hub.logEntries.length > LOG_MAX_ENTRIES) {
+        hub.logEntries.splice(0, LOG_TRIM_ENTRIES);
+        if (hub === selectedHub) {
+            applyLogFilter();
+            return;
+        }
+    }
+
+    if (hub === selectedHub && logEntryMatches(entry)) {
+        logFiltered.push(entry);
+        scheduleLogRender();
+    }
+}
+
+function logEntryMatches(entry) {
+    if (logFilter.group && entry.group !== logFilter.group) return false;
+    if (!logFilter.text) return true;
+    const text = logFilter.text.toLowerCase();
+    return entry.text.toLowerCase().includes(text) ||
+        (logHex && entry.bytes !== null && arrayToHex(entry.bytes).toLowerCase().includes(text));
+}
+
+/**
+ * Read the filter controls and rebuild the view
+ */
+function updateLogFilter() {
+    logFilter = {
+        group: document.getElementById('logGroupFilter').value,
+        text: document.getElementById('logSearch').value.trim()
+    };
+    logHex = document.getElementById('logHex').checked;
+    applyLogFilter();
+}
+
+/**
+ * Rebuild the filtered list of the selected hub (e.g. after a filter or hub change)
+ */
+function applyLogFilter() {
+    logFiltered = selectedHub.logEntries.filter(logEntryMatches);
+    logFollow = true;
+    scheduleLogRender();
+}
+
+/**
+ * Clear the selected hub's log
+ */
+function clearLog() {
+    selectedHub.logEntries = [];
+    applyLogFilter();
+}
+
+/**
+ * Render at most once per animation frame
+ */
+function scheduleLogRender() {
+    if (logRenderPending) return;
+    logRenderPending = true;
+    requestAnimationFrame(() => {
+        logRenderPending = false;
+        renderLogRows();
+    });
+}
+
+/**
+ * The view was scrolled: follow new entries only while at the bottom
+ */
+function handleLogScroll() {
+    const view = document.getElementById('logView');
+    logFollow = view.scrollTop + view.clientHeight >= view.scrollHeight - LOG_ROW_HEIGHT;
+    renderLogRows();
+}
+
+/**
+ * Draw the rows in sight; a spacer keeps the scrollbar sized for all rows
+ */
+function renderLogRows() {
+    const view = document.getElementById('logView');
+    const rows = document.getElementById('logRows');
+
+    document.getElementById('logSpacer').style.height = (logFiltered.length * LOG_ROW_HEIGHT) + 'px';
+    if (logFollow) {
+        view.scrollTop = view.scrollHeight;
+    }
+
+    const first = Math.max(0, Math.floor(view.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN_ROWS);
+    const last = Math.min(logFiltered.length, Math.ceil((view.scrollTop + view.clientHeight) / LOG_ROW_HEIGHT) + LOG_OVERSCAN_ROWS);
+
+    rows.style.top = (first * LOG_ROW_HEIGHT) + 'px';
+    rows.innerHTML = logFiltered.slice(first, last).map(entry => {
+        const content = logHex && entry.bytes ? arrayToHex(entry.bytes) : entry.text;
+        return `<div class="log-row log-${entry.dir} log-sev-${entry.severity}" title="${escapeHtml(entry.text)}">` +
+            `<span class="log-col-time">${formatLogTime(entry.time)}</span>` +
+            `<span class="log-col-dir">${entry.dir === 'tx' ? '→' : '←'}</span>` +
+            `<span class="log-col-group">${entry.group}</span>` +
+            `<span class="log-col-sev">${entry.severity}</span>` +
+            `<span class="log-col-text">${escapeHtml(content)}</span></div>`;
+    }).join('');
+
+    document.getElementById('logCount').textContent =
+        t('log.count', { shown: logFiltered.length, total: selectedHub.logEntries.length, max: LOG_MAX_ENTRIES });
+}
+
+/**
+ * Time of day with milliseconds (e.g. "14:30:05.123")
+ */
+function formatLogTime(time) {
+    const date = new Date(time);
+    return date.toTimeString().slice(0, 8) + '.' + String(date.getMilliseconds()).padStart(3, '0');
+}
+
+/**
+ * Download the filtered entries as CSV
+ */
+function exportLog() {
+    if (logFiltered.length === 0) {
+        alert(t('log.noEntries'));
+        return;
+    }
+
+    const lines = [csvRow(['time', 'hub', 'direction', 'group', 'severity', 'message', 'hex'].map(key => t('exportCol.' + key)))];
+    logFiltered.forEach(entry => lines.push(csvRow([
+        new Date(entry.time).toISOString(),
+        selectedHub.label,
+        entry.dir,
+        entry.group,
+        entry.severity,
+        entry.text,
+        entry.bytes ? arrayToHex(entry.bytes) : ''
+    ])));
+
+    const hub = selectedHub.label.replace(/\s+/g, '');
+    downloadFile(lines.join('\n') + '\n', `vibecue_log_${hub}_${fileTimestamp()}.csv`, 'text/csv');
+}
+
+onLanguageChange(scheduleLogRender);
+
+window.addEventListener('load', () => {
+    window.addEventListener('resize', scheduleLogRender);
+    scheduleLogRender();
+});
@@ -0,0 +1,112 @@
+/**
+ * VibeCue Mode Tracking
+ *
+ * Shows the mode each hub runs (idle, MAN, DS or EVAL). The hub's client
+ * (vibecue_client.js) tracks it from the commands the hub accepted (X:START /
+ * X:STOP, DM:RESET), #MAN:TIMEOUT and the NOT_STARTED answer to a stop. The hub
+ * does not report its mode, so a mode started before the page was opened is
+ * not known.
+ *
+ * Interlocks, checked by the client (beforeSend) before a command is queued:
+ * - starting a mode while another one runs is blocked (the hub would answer BUSY)
+ * - restarting EVAL (ends the trial being recorded), setup commands while a
+ *   mode runs and DM:RESET always need a confirmation
+ *
+ * The emergency stop (button or Esc) stops pattern playback, scripts and kit
+ * provisioning, drops the queued and in-flight commands of every hub and sends
+ * the stop command of its mode ahead of anything else (MAN:STOP, DS:STOP and
+ * EVAL:STOP to hubs without a known mode).
+ */
+
+// Stop command of each mode
+const MODE_STOP_COMMANDS = { MAN: 'MAN:STOP', DS: 'DS:STOP', EVAL: 'EVAL:STOP' };
+
+// Commands that change the setup under a running mode
+const MODE_SETUP_COMMANDS = ['DM:TYPE', 'DM:SCAN', 'DM:CONN', 'DM:SETUP'];
+
+/**
+ * Show a new running mode of a hub ('mode' event of its client)
+ * @param {Hub} hub
+ * @param {string|null} mode - 'MAN', 'DS', 'EVAL' or null (idle)
+ */
+function handleModeChange(hub, mode) {
+    logReceived(`🔀 Mode: ${mode || 'idle'}`, hub);
+    updateHubBar();
+    updateModeBadge();
+}
+
+/**
+ * Check a command against the hub's running mode
+ * @param {Hub} hub
+ * @param {string} command - Command without $ prefix
+ * @returns {{block: string}|{confirm: string}|null} - Message to show, null if the command may go out
+ */
+function checkModeInterlock(hub, command) {
+    const [group, sub] = command.split(':');
+    const mode = hub.deviceState.mode;
+
+    if (group === 'DM' && sub === 'RESET') {
+        return { confirm: t('mode.resetConfirm', { hub: hub.label, running: mode ? ' ' + t('mode.resetStops', { mode }) : '' }) };
+    }
+    if (!mode) return null;
+
+    if (MODE_STOP_COMMANDS[group] && sub === 'START') {
+        if (group !== mode) {
+            return { block: t('mode.busy', { hub: hub.label, mode, command, stop: MODE_STOP_COMMANDS[mode] }) };
+        }
+        return group === 'EVAL' ? { confirm: t('mode.evalRestart', { hub: hub.label }) } : null;
+    }
+    if (MODE_SETUP_COMMANDS.includes(`${group}:${sub}`)) {
+        return { confirm: t('mode.running', { hub: hub.label, mode }) + '\n' + t('mode.setupConfirm', { command }) };
+    }
+    return null;
+}
+
+/**
+ * Stop everything on every hub
+ */
+function emergencyStop() {
+    stopPattern();
+    stopScript();
+    cancelProvisioning();
+
+    // Queued commands could start a mode again: dropped, the stop goes out first
+    const error = new CommandError('CANCELLED', 'Emergency stop');
+    hubs.forEach(hub => {
+        if (!hub.isConnected) {
+            hub.client.clearQueue(error);
+            return;
+        }
+        const mode = hub.deviceState.mode;
+        logSent(`🛑 Emergency stop: ${mode ? MODE_STOP_COMMANDS[mode] : Object.values(MODE_STOP_COMMANDS).join(', ')}`, hub);
+        hub.client.emergencyStop(error);
+    });
+}
+
+/**
+ * Running mode and its elapsed time (selected hub)
+ */
+function updateModeBadge() {
+    const badge = document.getElementById('modeBadge');
+    const { mode, modeSince } = selectedHub.deviceState;
+
+    badge.className = `mode-badge mode-${mode ? mode.toLowerCase() : 'idle'}`;
+    badge.textContent = mode
+        ? `${mode} ${formatDuration((Date.now() - modeSince) / 1000)}`
+        : t('mode.idle');
+}
+
+onLanguageChange(updateModeBadge);
+
+document.addEventListener('keydown', event => {
+    // Other handlers may use Esc first (and call preventDefault)
+    if (event.key === 'Escape' && !event.repeat && !event.defaultPrevented) {
+        event.preventDefault();
+        emergencyStop();
+    }
+});
+
+window.addEventListener('load', () => {
+    updateModeBadge();
+    setInterval(updateModeBadge, 1000);
+});
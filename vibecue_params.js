@@ -0,0 +1,245 @@
+/**
+ * VibeCue Sensor Parameters
+ *
+ * Editor for the EVAL:SEN parameters listed in SENSOR_PARAMS (type, range,
+ * default and unit come from the protocol catalog). Values are checked while
+ * typing; one parameter or all changed ones are sent as EVAL:SEN commands, one
+ * after the other. Named presets, tagged with the device type they were saved
+ * for, are kept in localStorage.
+ *
+ * The firmware has no command to read sensor parameters back. The "device"
+ * column shows the value the selected hub accepted (#EVAL:SEN:OK) since it was
+ * connected or reset; parameters not set in that time show "-".
+ *
+ * Preset: { name, deviceType: '1'-'4'|null, values: {param: number} }
+ */
+
+const PARAM_PRESET_KEY = 'vibecue_sensor_presets';
+
+let paramPresets = [];
+let paramValues = {};    // Editor text per parameter
+let paramSending = false;
+
+/**
+ * Display name of a parameter
+ */
+function paramLabel(name) {
+    return I18N_MESSAGES[`param.${name}`] ? t(`param.${name}`) : (SENSOR_PARAMS[name].label || name);
+}
+
+// Messages for the problem codes of checkSensorValue()
+const PARAM_PROBLEM_KEYS = {
+    NUMBER: 'params.problemNumber',
+    INTEGER: 'params.problemInteger',
+    RANGE: 'params.problemRange'
+};
+
+/**
+ * Check an editor value (checkSensorValue(), localized)
+ * @returns {string|null} - Problem description, null if valid
+ */
+function paramProblem(name, text) {
+    const problem = checkSensorValue(name, text);
+    if (!problem) return null;
+
+    const param = SENSOR_PARAMS[name];
+    return PARAM_PROBLEM_KEYS[problem.code]
+        ? t(PARAM_PROBLEM_KEYS[problem.code], { name: paramLabel(name), min: param.min, max: param.max })
+        : problem.message;
+}
+
+function paramProblems() {
+    return Object.keys(SENSOR_PARAMS).map(name => paramProblem(name, paramValues[name])).filter(Boolean);
+}
+
+/**
+ * Parameters whose editor value differs from the value the hub accepted (or is unknown)
+ */
+function changedParams(hub) {
+    return Object.keys(SENSOR_PARAMS).filter(name => hub.deviceState.sensorSettings[name] !== Number(paramValues[name]));
+}
+
+/**
+ * Editor input: store the text and mark it while invalid
+ * @param {string} name
+ * @param {HTMLInputElement} input
+ */
+function setParamValue(name, input) {
+    paramValues[name] = input.value;
+    const problem = paramProblem(name, input.value);
+    input.classList.toggle('param-invalid', !!problem);
+    input.title = problem || '';
+}
+
+/**
+ * Put the default values into the editor
+ */
+function resetParamValues() {
+    Object.entries(SENSOR_PARAMS).forEach(([name, param]) => {
+        paramValues[name] = String(param.default);
+    });
+    updateSensorParamView();
+}
+
+/**
+ * Send one parameter to the selected hub
+ * @param {string} name
+ */
+function sendSensorParam(name) {
+    const problem = paramProblem(name, paramValues[name]);
+    if (problem) {
+        alert(problem);
+        return;
+    }
+    if (!selectedHub.isConnected) {
+        alert(t('common.connectFirst'));
+        return;
+    }
+    selectedHub.client.setSensorParam(name, paramValues[name]).catch(ignoreCommandError);
+}
+
+/**
+ * Send every parameter that differs from the hub's value, one after the other
+ * Stops at the first command that fails.
+ */
+async function sendChangedParams() {
+    const problems = paramProblems();
+    if (problems.length) {
+        alert(t('params.invalid', { problems: problems.join('\n') }));
+        return;
+    }
+    const hub = selectedHub;
+    if (!hub.isConnected) {
+        alert(t('common.connectFirst'));
+        return;
+    }
+    const names = changedParams(hub);
+    if (names.length === 0) {
+        alert(t('params.noChanges'));
+        return;
+    }
+    if (paramSending) return;
+
+    paramSending = true;
+    updateParamButtons();
+    logSent(`⚙️ Sending ${names.length} sensor parameters`, hub);
+
+    try {
+        for (const name of names) {
+            await hub.client.setSensorParam(name, paramValues[name]);
+        }
+        logReceived(`✅ Sensor parameters applied: ${names.join(', ')}`, hub);
+    } catch (error) {
+        logReceived(`[ERROR] Sensor parameters stopped: ${error.message}`, hub);
+    } finally {
+        paramSending = false;
+        updateParamButtons();
+    }
+}
+
+function loadParamPresets() {
+    try {
+        paramPresets = JSON.parse(localStorage.getItem(PARAM_PRESET_KEY) || '[]')
+            .filter(preset => preset && typeof preset.name === 'string' && preset.values);
+    } catch (error) {
+        console.warn('Saved sensor presets unreadable:', error);
+        paramPresets = [];
+    }
+}
+
+/**
+ * Save the editor values as a preset for the selected hub's device type
+ */
+function saveParamPreset() {
+    const problems = paramProblems();
+    if (problems.length) {
+        alert(t('params.invalid', { problems: problems.join('\n') }));
+        return;
+    }
+
+    const current = document.getElementById('paramPreset').value;
+    const name = prompt(t('params.presetPrompt'), current);
+    if (!name || !name.trim()) return;
+
+    const preset = {
+        name: name.trim(),
+        deviceType: selectedHub.deviceState.type || null,
+        values: Object.fromEntries(Object.keys(SENSOR_PARAMS).map(param => [param, Number(paramValues[param])]))
+    };
+    paramPresets = paramPresets.filter(p => p.name !== preset.name);
+    paramPresets.push(preset);
+    paramPresets.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem(PARAM_PRESET_KEY, JSON.stringify(paramPresets));
+    updateParamPresetList(preset.name);
+    logSent(`💾 Sensor preset saved: ${preset.name}${preset.deviceType ? ` (type ${preset.deviceType})` : ''}`);
+}
+
+/**
+ * Load a preset into the editor (parameters it lacks get their default)
+ * @param {string} name
+ */
+function selectParamPreset(name) {
+    const preset = paramPresets.find(p => p.name === name);
+    if (!preset) return;
+
+    Object.entries(SENSOR_PARAMS).forEach(([param, spec]) => {
+        paramValues[param] = String(preset.values[param] !== undefined ? preset.values[param] : spec.default);
+    });
+    updateSensorParamView();
+}
+
+function deleteParamPreset() {
+    const name = document.getElementById('paramPreset').value;
+    if (!name || !confirm(t('params.deleteConfirm', { name }))) return;
+
+    paramPresets = paramPresets.filter(p => p.name !== name);
+    localStorage.setItem(PARAM_PRESET_KEY, JSON.stringify(paramPresets));
+    updateParamPresetList();
+}
+
+function updateParamPresetList(selected = '') {
+    const select = document.getElementById('paramPreset');
+    select.innerHTML = `<option value="">${t('params.selectPreset')}</option>` +
+        paramPresets.map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}` +
+            (preset.deviceType ? ` · ${t('params.typeTag', { type: preset.deviceType })}` : '') + '</option>').join('');
+    select.value = selected;
+}
+
+function updateParamButtons() {
+    document.getElementById('paramSendBtn').disabled = paramSending;
+}
+
+/**
+ * Draw the parameter table (editor values and the selected hub's values)
+ */
+function updateSensorParamView() {
+    const settings = selectedHub.deviceState.sensorSettings;
+
+    document.getElementById('sensorParams').innerHTML = Object.entries(SENSOR_PARAMS).map(([name, param]) => {
+        const problem = paramProblem(name, paramValues[name]);
+        const device = settings[name];
+        const changed = device !== Number(paramValues[name]);
+        return `<tr>
+            <td title="${name}">${escapeHtml(paramLabel(name))} <span class="param-name">${name}</span></td>
+            <td><input type="number" min="${param.min}" max="${param.max}" step="${param.type === 'int' ? 1 : param.step}" value="${escapeHtml(paramValues[name])}"` +
+                `${problem ? ` class="param-invalid" title="${escapeHtml(problem)}"` : ''} oninput="setParamValue('${name}', this)"></td>
+            <td>${param.unit}</td>
+            <td>${param.min} ~ ${param.max}</td>
+            <td>${param.default}</td>
+            <td class="${changed ? 'param-changed' : ''}">${device === undefined ? '-' : device}</td>
+            <td><button class="btn btn-warning" onclick="sendSensorParam('${name}')">${t('common.send')}</button></td>
+        </tr>`;
+    }).join('');
+}
+
+onLanguageChange(() => {
+    updateParamPresetList(document.getElementById('paramPreset').value);
+    updateSensorParamView();
+});
+
+window.addEventListener('load', () => {
+    loadParamPresets();
+    updateParamPresetList();
+    resetParamValues();
+    updateParamButtons();
+});
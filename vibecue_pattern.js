@@ -0,0 +1,357 @@
+/**
+ * VibeCue Manual Pattern Sequencer
+ *
+ * Plays a timeline of manual-mode steps (frequency, intensity, duration,
+ * locations) by sending MAN:START at the start of every step and MAN:STOP
+ * before pauses and at the end. A step without locations is a pause.
+ * Patterns are saved as named presets in localStorage; the built-in examples
+ * keep an id as key and take their shown name from I18N_MESSAGES (nameKey).
+ * Playback runs on the hub selected when it starts.
+ *
+ * Pattern: { repeat: 1-99, steps: [{freq: 10-100, level: 1-5, seconds: 1-1200, locations: [1, 4, ...]}] }
+ */
+
+const PATTERN_STORAGE_KEY = 'vibecue_man_patterns';
+const PATTERN_MAX_SECONDS = 1200;  // MAN:START allows 20 minutes
+
+// Vibration motor locations used by MAN:START
+const MAN_LOCATIONS = [
+    { value: 1, labelKey: 'manLocation.1' },
+    { value: 4, labelKey: 'manLocation.4' },
+    { value: 5, labelKey: 'manLocation.5' },
+    { value: 6, labelKey: 'manLocation.6' },
+    { value: 7, labelKey: 'manLocation.7' }
+];
+
+// Presets available before anything was saved
+const PATTERN_EXAMPLES = {
+    'example:alternateArms': {
+        nameKey: 'pattern.exampleAlternateArms',
+        repeat: 5,
+        steps: [
+            { freq: 50, level: 3, seconds: 5, locations: [4] },
+            { freq: 50, level: 3, seconds: 5, locations: [5] }
+        ]
+    },
+    'example:rampUp': {
+        nameKey: 'pattern.exampleRampUp',
+        repeat: 1,
+        steps: [1, 2, 3, 4, 5].map(level => ({ freq: 40, level, seconds: 10, locations: [1] }))
+    },
+    'example:interval': {
+        nameKey: 'pattern.exampleInterval',
+        repeat: 3,
+        steps: [
+            { freq: 60, level: 4, seconds: 30, locations: [4, 5] },
+            { freq: 60, level: 4, seconds: 30, locations: [] }
+        ]
+    }
+};
+
+let patternPresets = {};
+let patternSteps = [{ freq: 50, level: 3, seconds: 10, locations: [1] }];
+let patternRepeat = 1;
+let patternPlayback = null;  // { index, stepEnd, endTime, timer, ticker } while playing
+
+/**
+ * Check a step against the MAN:START limits
+ * @returns {string|null} - Problem description, null if valid
+ */
+function validatePatternStep(step, index) {
+    const n = index + 1;
+    if (!Number.isInteger(step.freq) || step.freq < 10 || step.freq > 100) return t('pattern.problemFreq', { step: n });
+    if (!Number.isInteger(step.level) || step.level < 1 || step.level > 5) return t('pattern.problemLevel', { step: n });
+    if (!Number.isInteger(step.seconds) || step.seconds < 1 || step.seconds > PATTERN_MAX_SECONDS) return t('pattern.problemSeconds', { step: n, max: PATTERN_MAX_SECONDS });
+    return null;
+}
+
+function patternTotalSeconds() {
+    return patternSteps.reduce((sum, step) => sum + step.seconds, 0) * patternRepeat;
+}
+
+/**
+ * Start playing the pattern in the editor
+ */
+function startPattern() {
+    if (patternPlayback) return;
+
+    const problems = patternSteps.map(validatePatternStep).filter(Boolean);
+    if (patternSteps.length === 0) problems.push(t('pattern.addOne'));
+    if (patternSteps.every(step => step.locations.length === 0)) problems.push(t('pattern.needLocations'));
+    if (problems.length) {
+        alert(problems.join('\n'));
+        return;
+    }
+    const hub = selectedHub;
+    if (!hub.isConnected) {
+        alert(t('common.connectFirst'));
+        return;
+    }
+
+    patternPlayback = { hub, index: -1, vibrating: false, endTime: Date.now() + patternTotalSeconds() * 1000 };
+    patternPlayback.ticker = setInterval(updatePatternStatus, 250);
+    logSent(`🎵 Pattern started: ${patternSteps.length} steps × ${patternRepeat}`, hub);
+    playNextStep();
+}
+
+/**
+ * Send the command for the next step and schedule the one after it
+ */
+async function playNextStep() {
+    const playback = patternPlayback;
+    if (!playback) return;
+
+    const hub = playback.hub;
+    playback.index++;
+    const total = patternSteps.length * patternRepeat;
+    if (playback.index >= total) {
+        finishPattern('🎵 Pattern finished');
+        return;
+    }
+
+    const step = patternSteps[playback.index % patternSteps.length];
+    playback.stepEnd = Date.now() + step.seconds * 1000;
+    playback.timer = setTimeout(playNextStep, step.seconds * 1000);
+    updatePatternStatus();
+
+    try {
+        if (step.locations.length) {
+            // Hub timeout covers the step; the next step or MAN:STOP ends it earlier
+            const minutes = Math.ceil(step.seconds / 60);
+            await sendCommand(`MAN:START:${step.freq},${step.level},${minutes},${step.locations.join(',')}`, { hub });
+            playback.vibrating = true;
+        } else if (playback.vibrating) {
+            await sendCommand('MAN:STOP', { hub });
+            playback.vibrating = false;
+        }
+    } catch (error) {
+        if (patternPlayback === playback) {
+            finishPattern(`[ERROR] Pattern stopped at step ${playback.index % patternSteps.length + 1}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Stop playback (MAN:STOP is sent when the hub may be vibrating)
+ */
+function stopPattern() {
+    if (!patternPlayback) return;
+    finishPattern('⏹️ Pattern stopped');
+}
+
+function finishPattern(message) {
+    const playback = patternPlayback;
+    clearTimeout(playback.timer);
+    clearInterval(playback.ticker);
+    patternPlayback = null;
+
+    if (playback.hub.isConnected) {
+        sendCommand('MAN:STOP', { hub: playback.hub }).catch(() => {});
+    }
+    logReceived(message, playback.hub);
+    updatePatternStatus();
+    updatePatternEditor();
+}
+
+/**
+ * Countdown, current step and timeline highlight
+ */
+function updatePatternStatus() {
+    const status = document.getElementById('patternStatus');
+    document.getElementById('patternPlayBtn').disabled = !!patternPlayback;
+    document.getElementById('patternStopBtn').disabled = !patternPlayback;
+
+    document.querySelectorAll('#patternTimeline .pattern-block').forEach((block, i) => {
+        block.classList.toggle('pattern-block-active', !!patternPlayback && patternPlayback.index % patternSteps.length === i);
+    });
+
+    if (!patternPlayback || patternPlayback.index < 0) {
+        status.textContent = t('pattern.total', { time: formatDuration(patternTotalSeconds()) });
+        return;
+    }
+
+    const now = Date.now();
+    const stepNo = patternPlayback.index % patternSteps.length + 1;
+    const round = Math.floor(patternPlayback.index / patternSteps.length) + 1;
+    status.textContent = t('pattern.statusStep', { step: stepNo, steps: patternSteps.length }) +
+        (patternRepeat > 1 ? ' · ' + t('pattern.statusRound', { round, repeat: patternRepeat }) : '') +
+        ' · ' + t('pattern.statusLeft', { time: formatDuration((patternPlayback.stepEnd - now) / 1000) }) +
+        ' · ' + t('pattern.statusTotal', { time: formatDuration((patternPlayback.endTime - now) / 1000) });
+}
+
+function formatDuration(seconds) {
+    const s = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Edit actions from the step table
+ */
+function addPatternStep() {
+    const last = patternSteps[patternSteps.length - 1];
+    patternSteps.push(last ? { ...last, locations: [...last.locations] } : { freq: 50, level: 3, seconds: 10, locations: [1] });
+    updatePatternEditor();
+}
+
+function removePatternStep(index) {
+    patternSteps.splice(index, 1);
+    updatePatternEditor();
+}
+
+function movePatternStep(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= patternSteps.length) return;
+    [patternSteps[index], patternSteps[target]] = [patternSteps[target], patternSteps[index]];
+    updatePatternEditor();
+}
+
+function setPatternValue(index, field, value) {
+    patternSteps[index][field] = parseInt(value);
+    updatePatternEditor();
+}
+
+function togglePatternLocation(index, location, checked) {
+    const step = patternSteps[index];
+    step.locations = checked
+        ? [...step.locations, location].sort((a, b) => a - b)
+        : step.locations.filter(loc => loc !== location);
+    updatePatternEditor();
+}
+
+function setPatternRepeat(value) {
+    patternRepeat = Math.min(99, Math.max(1, parseInt(value) || 1));
+    updatePatternEditor();
+}
+
+/**
+ * Draw the step table and the timeline bar
+ */
+function updatePatternEditor() {
+    const locked = patternPlayback ? ' disabled' : '';
+
+    document.getElementById('patternSteps').innerHTML = patternSteps.map((step, i) => `
+        <tr${validatePatternStep(step, i) ? ' class="pattern-invalid"' : ''}>
+            <td>${i + 1}</td>
+            <td><input type="number" min="10" max="100" step="10" value="${step.freq}" onchange="setPatternValue(${i}, 'freq', this.value)"${locked}></td>
+            <td><input type="number" min="1" max="5" value="${step.level}" onchange="setPatternValue(${i}, 'level', this.value)"${locked}></td>
+            <td><input type="number" min="1" max="${PATTERN_MAX_SECONDS}" value="${step.seconds}" onchange="setPatternValue(${i}, 'seconds', this.value)"${locked}></td>
+            <td class="pattern-locations">${MAN_LOCATIONS.map(loc => `<label title="${t(loc.labelKey)}"><input type="checkbox"${step.locations.includes(loc.value) ? ' checked' : ''} onchange="togglePatternLocation(${i}, ${loc.value}, this.checked)"${locked}>${t(loc.labelKey)}</label>`).join('')}</td>
+            <td class="pattern-actions">
+                <button class="btn" onclick="movePatternStep(${i}, -1)"${locked}>↑</button>
+                <button class="btn" onclick="movePatternStep(${i}, 1)"${locked}>↓</button>
+                <button class="btn btn-danger" onclick="removePatternStep(${i})"${locked}>✕</button>
+            </td>
+        </tr>`).join('');
+
+    const cycle = patternSteps.reduce((sum, step) => sum + step.seconds, 0) || 1;
+    document.getElementById('patternTimeline').innerHTML = patternSteps.map((step, i) => {
+        const label = step.locations.length
+            ? step.locations.map(value => manLocationLabel(value)).join('+') + ` L${step.level}`
+            : t('pattern.pause');
+        return `<div class="pattern-block${step.locations.length ? '' : ' pattern-block-pause'}" style="flex: ${step.seconds / cycle}; opacity: ${0.4 + step.level * 0.12};" title="${i + 1}: ${step.freq}Hz · ${step.seconds}s">${label}</div>`;
+    }).join('');
+
+    document.getElementById('patternRepeat').value = patternRepeat;
+    document.getElementById('patternRepeat').disabled = !!patternPlayback;
+    updatePatternStatus();
+}
+
+function manLocationLabel(value) {
+    const location = MAN_LOCATIONS.find(loc => loc.value === value);
+    return location ? t(location.labelKey) : value;
+}
+
+function loadPatternPresets() {
+    try {
+        const saved = localStorage.getItem(PATTERN_STORAGE_KEY);
+        const stored = saved ? JSON.parse(saved) : null;
+        patternPresets = stored && typeof stored === 'object' && !Array.isArray(stored)
+            ? stored
+            : { ...PATTERN_EXAMPLES };
+    } catch (error) {
+        console.warn('Saved patterns unreadable:', error);
+        patternPresets = { ...PATTERN_EXAMPLES };
+    }
+}
+
+/**
+ * Shown name of a preset: examples in the current language, saved patterns as named
+ * @param {string} key - Key in patternPresets
+ */
+function patternPresetName(key) {
+    const preset = patternPresets[key];
+    return preset && preset.nameKey ? t(preset.nameKey) : key;
+}
+
+function updatePatternPresetList(selected = '') {
+    const select = document.getElementById('patternPreset');
+    const keys = Object.keys(patternPresets).sort((a, b) => patternPresetName(a).localeCompare(patternPresetName(b)));
+    select.innerHTML = `<option value="">${t('pattern.select')}</option>` +
+        keys.map(key => `<option value="${escapeHtml(key)}">${escapeHtml(patternPresetName(key))}</option>`).join('');
+    select.value = selected;
+}
+
+/**
+ * Load a preset into the editor
+ */
+function selectPatternPreset(name) {
+    const preset = patternPresets[name];
+    if (!preset || patternPlayback) return;
+
+    patternSteps = preset.steps.map(step => ({ ...step, locations: [...step.locations] }));
+    patternRepeat = preset.repeat || 1;
+    updatePatternEditor();
+}
+
+/**
+ * Save the editor content as a named preset
+ */
+function savePatternPreset() {
+    const problems = patternSteps.map(validatePatternStep).filter(Boolean);
+    if (patternSteps.length === 0 || problems.length) {
+        alert(problems.join('\n') || t('pattern.addOne'));
+        return;
+    }
+
+    const current = document.getElementById('patternPreset').value;
+    const name = prompt(t('pattern.namePrompt'), current ? patternPresetName(current) : '');
+    if (!name || !name.trim()) return;
+
+    // Saved under the shown name of the selected example: it stays that example
+    const key = current && name.trim() === patternPresetName(current) ? current : name.trim();
+    const nameKey = key === current ? patternPresets[current].nameKey : undefined;
+    patternPresets[key] = { nameKey, repeat: patternRepeat, steps: patternSteps.map(step => ({ ...step, locations: [...step.locations] })) };
+    localStorage.setItem(PATTERN_STORAGE_KEY, JSON.stringify(patternPresets));
+    updatePatternPresetList(key);
+    logSent(`💾 Pattern saved: ${name.trim()}`);
+}
+
+/**
+ * Delete the selected preset
+ */
+function deletePatternPreset() {
+    const key = document.getElementById('patternPreset').value;
+    if (!key || !confirm(t('pattern.deleteConfirm', { name: patternPresetName(key) }))) return;
+
+    delete patternPresets[key];
+    localStorage.setItem(PATTERN_STORAGE_KEY, JSON.stringify(patternPresets));
+    updatePatternPresetList();
+}
+
+// The hub ended the step itself (should not happen while the pattern is in time)
+onProtocolEvent('manTimeout', event => {
+    if (patternPlayback && patternPlayback.hub === event.hub) {
+        patternPlayback.vibrating = false;
+    }
+});
+
+onLanguageChange(() => {
+    updatePatternPresetList(document.getElementById('patternPreset').value);
+    updatePatternEditor();
+});
+
+window.addEventListener('load', () => {
+    loadPatternPresets();
+    updatePatternPresetList();
+    updatePatternEditor();
+});
@@ -0,0 +1,542 @@
+/**
+ * VibeCue Protocol Catalog
+ *
+ * Single description of every command group, its subcommands, argument grammar,
+ * success responses and error codes. Used to validate outgoing commands and to
+ * parse incoming lines into typed events. No DOM access: also loads under Node.
+ *
+ * Command:  $GROUP:SUB[:arg...]\r\n
+ * Response: #GROUP:SUB:RESULT[:data]\r\n
+ * Error:    #ERR:GROUP:SUB:code or #ERR:code[:arg...]
+ * Event:    unsolicited line (#DM:SCAN:FOUND, #EVAL:DATA, #MAN:TIMEOUT, #BLE:RAW:...)
+ */
+
+// Body locations of sensors (DM:CONN)
+const SENSOR_LOCATIONS = ['LFOOT', 'RFOOT', 'LARM', 'RARM', 'LTHIGH', 'RTHIGH', 'BACK'];
+
+// Sensor rules per device type: allowed body locations and max sensor count
+// The max counts follow the device type labels (1: 2 sensors, 2: 2 + 2 sub,
+// 3: 1 sensor, 4: 2 + 4 sub). The location lists are provisional: they are not
+// taken from a firmware spec, so checks built on them only warn and the hub's
+// answer (#ERR:LOC_NOT_ALLOWED, #ERR:TYPE_FULL) is authoritative.
+const DEVICE_TYPE_RULES = {
+    1: { max: 2, locations: ['LFOOT', 'RFOOT'] },
+    2: { max: 4, locations: ['LFOOT', 'RFOOT', 'LARM', 'RARM'] },
+    3: { max: 1, locations: ['BACK'] },
+    4: { max: 6, locations: ['LFOOT', 'RFOOT', 'LARM', 'RARM', 'LTHIGH', 'RTHIGH'] }
+};
+const DEVICE_TYPE_LOCATIONS_PROVISIONAL = true;  // Set to false once the firmware documents the lists
+
+const MAX_SENSOR_SLOTS = 8;
+
+// Names of the EVAL:STOP averages per data kind
+const EVAL_RESULT_FIELDS = {
+    foot: ['lDist', 'lSpeed', 'rDist', 'rSpeed', 'asymmetry'],
+    back: ['lTilt', 'rTilt', 'asymmetry']
+};
+
+// Sensor parameters accepted by EVAL:SEN:<name{value}>
+// type: 'float' or 'int'; step is the input granularity, unit is shown next to the value
+// Only posf_sl is documented so far; other names are refused until the firmware lists them here.
+const SENSOR_PARAMS = {
+    posf_sl: { label: 'Position filter', type: 'float', min: 0.05, max: 0.3, step: 0.01, default: 0.2, unit: '' }
+};
+
+/**
+ * Command catalog
+ * commands: args - ':'-separated argument grammar, see validateArg()
+ *           responses - RESULT values of a success reply (null: whole payload is data)
+ *           event - typed event emitted for the success reply (default 'response')
+ *           errors - error codes the firmware may answer with
+ * events:   unsolicited lines, keyed by the text after "#GROUP:"
+ */
+const PROTOCOL_CATALOG = {
+    DM: {
+        label: 'Device management',
+        commands: {
+            TYPE: {
+                args: [{ name: 'type', type: 'enum', values: ['1', '2', '3', '4'] }],
+                responses: ['OK'],
+                errors: ['INVALID_ARG']
+            },
+            STATUS: {
+                args: [{ name: 'action', type: 'enum', values: ['REQ'] }],
+                responses: null,
+                event: 'status'
+            },
+            RESET: {
+                args: [{ name: 'action', type: 'enum', values: ['CONFIRM'] }],
+                responses: ['OK']
+            },
+            SCAN: {
+                args: [{ name: 'action', type: 'enum', values: ['INIT', 'START', 'STOP', 'RECON'] }],
+                responses: ['INIT_OK', 'SCAN_STARTED', 'STOP_OK', 'RECON_OK', 'SCAN_DONE'],
+                errors: ['NOT_INIT']
+            },
+            SETUP: {
+                args: [{ name: 'action', type: 'enum', values: ['DONE'] }],
+                responses: ['DONE_OK']
+            },
+            CONN: {
+                args: [{ name: 'mac', type: 'mac' }, { name: 'location', type: 'location' }],
+                responses: ['OK'],
+                errors: ['NO_TYPE', 'SLOT_FULL', 'DUP_MAC', 'LOC_NOT_ALLOWED', 'TYPE_FULL', 'DUP_LOC']
+            }
+        },
+        events: {
+            'SCAN:FOUND': 'scanFound'
+        }
+    },
+    MAN: {
+        label: 'Manual mode',
+        commands: {
+            START: {
+                args: [{ name: 'params', type: 'manParams' }],
+                responses: ['OK'],
+                errors: ['INVALID_ARG', 'BUSY']
+            },
+            STOP: { args: [], responses: ['OK'] }
+        },
+        events: {
+            TIMEOUT: 'manTimeout'
+        }
+    },
+    DS: {
+        label: 'Daily support mode',
+        commands: {
+            START: { args: [], responses: ['OK'], errors: ['NO_TYPE', 'BUSY'] },
+            STOP: { args: [], responses: ['OK'] }
+        },
+        events: {}
+    },
+    EVAL: {
+        label: 'Evaluation mode',
+        commands: {
+            START: { args: [], responses: ['OK'], errors: ['NO_TYPE', 'BUSY'] },
+            STOP: { args: [], responses: ['STOP_OK'], event: 'evalResult', errors: ['NOT_STARTED'] },
+            SEN: {
+                args: [{ name: 'param', type: 'sensor' }],
+                responses: ['OK'],
+                errors: ['INVALID_ARG']
+            }
+        },
+        events: {
+            DATA: 'evalData'
+        }
+    },
+    'BLE:RAW': {
+        label: 'BLE master raw responses',
+        commands: {},
+        events: {
+            '+OK': 'bleRaw',
+            '+READY': 'bleRaw',
+            '+MULTI': 'bleRaw',
+            '+CONN': 'bleRaw',
+            '+DISCONN': 'bleRaw'
+        }
+    }
+};
+
+// Error codes: display title, severity and argument names (#ERR:code:arg1:arg2)
+const ERROR_CODES = {
+    NO_TYPE: { title: 'No Type', severity: 'error', args: [], text: () => 'Set device type first (DM:TYPE:1-4)' },
+    SLOT_FULL: { title: 'Slot Full', severity: 'error', args: ['max'], text: a => `Maximum ${a.max || MAX_SENSOR_SLOTS} devices allowed` },
+    DUP_MAC: { title: 'Duplicate MAC', severity: 'warning', args: ['mac', 'location'], text: a => `Device ${a.mac} already connected as ${a.location}` },
+    DUP_LOC: { title: 'Duplicate Location', severity: 'warning', args: ['location', 'mac'], text: a => `${a.location} already assigned to ${a.mac}` },
+    LOC_NOT_ALLOWED: { title: 'Location Not Allowed', severity: 'error', args: ['location', 'type'], text: a => `${a.location} is not valid for ${a.type}` },
+    TYPE_FULL: { title: 'Type Full', severity: 'error', args: ['type', 'max'], text: a => `Type ${a.type} allows max ${a.max} devices` },
+    NOT_INIT: { title: 'Not Initialized', severity: 'error', args: [], text: () => 'Run DM:SCAN:INIT first' },
+    NOT_STARTED: { title: 'Not Started', severity: 'warning', args: [], text: () => 'Mode is not running' },
+    BUSY: { title: 'Busy', severity: 'error', args: [], text: () => 'Another mode is running' },
+    INVALID_ARG: { title: 'Invalid Argument', severity: 'error', args: [], text: () => 'Command argument rejected by the hub' },
+    UNKNOWN_CMD: { title: 'Unknown Command', severity: 'error', args: ['command'], text: a => `Hub does not know this command${a.command ? ' (' + a.command + ')' : ''}` }
+};
+
+/**
+ * Check a sensor parameter value against SENSOR_PARAMS
+ * The one validator for these values: the parameter panel localizes the code,
+ * the client, the command check and the simulator use the message.
+ * Surrounding whitespace is ignored, as sensorCommand() sends Number(text).
+ * @param {string} name - Parameter name (e.g. "posf_sl")
+ * @param {string|number} text - Value as typed or sent
+ * @returns {{code: 'UNKNOWN'|'NUMBER'|'INTEGER'|'RANGE', message: string}|null} - Problem or null if valid
+ */
+function checkSensorValue(name, text) {
+    const param = SENSOR_PARAMS[name];
+    if (!param) return { code: 'UNKNOWN', message: `unknown sensor parameter ${name}` };
+    const trimmed = String(text ?? '').trim();
+    const number = Number(trimmed);
+    if (trimmed === '' || isNaN(number)) return { code: 'NUMBER', message: `${name} must be a number` };
+    if (param.type === 'int' && !Number.isInteger(number)) return { code: 'INTEGER', message: `${name} must be a whole number` };
+    if (number < param.min || number > param.max) return { code: 'RANGE', message: `${name} must be ${param.min} ~ ${param.max}` };
+    return null;
+}
+
+/**
+ * EVAL:SEN command for one parameter
+ * @param {string} name - Parameter name
+ * @param {number} value
+ * @returns {string} - e.g. "EVAL:SEN:<posf_sl0.2>"
+ */
+function sensorCommand(name, value) {
+    // Number() drops trailing zeros and floating point noise of the input (0.10 -> "0.1")
+    return `EVAL:SEN:<${name}${Number(value)}>`;
+}
+
+/**
+ * Validate one argument against its grammar
+ * @param {Object} spec - Argument spec from the catalog
+ * @param {string} value - Argument text
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateArg(spec, value) {
+    switch (spec.type) {
+        case 'enum':
+            return spec.values.includes(value) ? null : `${spec.name} must be one of ${spec.values.join(', ')}`;
+        case 'mac':
+            return /^[0-9A-F]{12}$/.test(value) ? null : `${spec.name} must be 12 hex digits (e.g. 5CF286477359)`;
+        case 'location':
+            return SENSOR_LOCATIONS.includes(value) ? null : `${spec.name} must be one of ${SENSOR_LOCATIONS.join(', ')}`;
+        case 'manParams': {
+            // Freq,Level,Minutes,Loc1[,Loc2,...]
+            const [freq, level, minutes, ...locations] = value.split(',');
+            if (!isIntInRange(freq, 10, 100)) return 'frequency must be 10-100 Hz';
+            if (!isIntInRange(level, 1, 5)) return 'level must be 1-5';
+            if (!isIntInRange(minutes, 1, 20)) return 'minutes must be 1-20';
+            if (locations.length === 0) return 'at least one location is required';
+            if (!locations.every(loc => isIntInRange(loc, 1, 8))) return 'locations must be numbers 1-8';
+            return null;
+        }
+        case 'sensor': {
+            // <name{value}>, e.g. <posf_sl0.2>
+            const match = value.match(/^<([a-z_]+?)(-?[0-9.]+)>$/);
+            if (!match) return `${spec.name} must look like <posf_sl0.2>`;
+            const problem = checkSensorValue(match[1], match[2]);
+            return problem ? problem.message : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function isIntInRange(text, min, max) {
+    const value = Number(text);
+    return /^\d+$/.test(text || '') && value >= min && value <= max;
+}
+
+/**
+ * Validate an outgoing command against the catalog
+ * @param {string} command - Command without $ prefix (e.g. "DM:CONN:5CF286477359:LFOOT")
+ * @returns {{valid: boolean, error: string|null, group: string, sub: string}}
+ */
+function validateCommand(command) {
+    const [group = '', sub = '', ...args] = command.split(':');
+    const result = (error) => ({ valid: !error, error, group, sub });
+
+    const groupSpec = PROTOCOL_CATALOG[group];
+    if (!groupSpec || Object.keys(groupSpec.commands).length === 0) {
+        return result(`Unknown command group "${group}"`);
+    }
+
+    const spec = groupSpec.commands[sub];
+    if (!spec) {
+        return result(`Unknown subcommand "${group}:${sub}" (${Object.keys(groupSpec.commands).join(', ')})`);
+    }
+
+    if (args.length !== spec.args.length) {
+        return result(`Wrong number of arguments, usage: ${commandUsage(group, sub)}`);
+    }
+
+    for (let i = 0; i < spec.args.length; i++) {
+        const error = validateArg(spec.args[i], args[i]);
+        if (error) return result(error);
+    }
+
+    return result(null);
+}
+
+/**
+ * Usage text of a command
+ * @param {string} group
+ * @param {string} sub
+ * @returns {string} - e.g. "DM:CONN:<mac>:<location>"
+ */
+function commandUsage(group, sub) {
+    const spec = PROTOCOL_CATALOG[group].commands[sub];
+    return [group, sub, ...spec.args.map(arg => `<${arg.name}>`)].join(':');
+}
+
+/**
+ * Completions for a partly typed command (group, subcommand or argument being typed)
+ * @param {string} text - Command typed so far (e.g. "DM:CO")
+ * @param {string[]} [macs] - MAC addresses to offer for <mac> arguments (e.g. scan results)
+ * @returns {Array<{value: string, detail: string}>} - value: command text up to and including the
+ *          completed part, with a trailing ':' when more arguments follow (e.g. "DM:CONN:")
+ */
+function completeCommand(text, macs = []) {
+    const parts = text.split(':');
+    const typed = parts.pop().toUpperCase();
+    const base = parts.length ? parts.join(':') + ':' : '';
+    let candidates;  // [{part, detail, more}]
+
+    if (parts.length === 0) {
+        candidates = Object.keys(PROTOCOL_CATALOG)
+            .filter(group => Object.keys(PROTOCOL_CATALOG[group].commands).length > 0)
+            .map(group => ({ part: group, detail: PROTOCOL_CATALOG[group].label, more: true }));
+    } else {
+        const groupSpec = PROTOCOL_CATALOG[parts[0]];
+        if (!groupSpec) return [];
+
+        if (parts.length === 1) {
+            candidates = Object.keys(groupSpec.commands).map(sub => ({
+                part: sub,
+                detail: commandUsage(parts[0], sub),
+                more: groupSpec.commands[sub].args.length > 0
+            }));
+        } else {
+            const spec = groupSpec.commands[parts[1]];
+            const index = parts.length - 2;
+            const arg = spec && spec.args[index];
+            if (!arg) return [];
+            const more = index < spec.args.length - 1;
+            candidates = argValues(arg, macs).map(value => ({ part: value, detail: `<${arg.name}>`, more }));
+        }
+    }
+
+    return candidates
+        .filter(candidate => candidate.part.toUpperCase().startsWith(typed))
+        .map(candidate => ({ value: base + candidate.part + (candidate.more ? ':' : ''), detail: candidate.detail }));
+}
+
+/**
+ * Values offered for an argument (free-form arguments have none)
+ */
+function argValues(spec, macs) {
+    switch (spec.type) {
+        case 'enum':
+            return spec.values;
+        case 'location':
+            return SENSOR_LOCATIONS;
+        case 'mac':
+            return macs;
+        case 'sensor':
+            return Object.keys(SENSOR_PARAMS).map(name => `<${name}${SENSOR_PARAMS[name].default}>`);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Parse a received line into a typed event
+ * Every event has { type, line }; known responses also carry { group, sub }.
+ * Types: response, status, evalResult, error, scanFound, evalData, manTimeout, bleRaw, unknown
+ * @param {string} line - Complete line without \r\n
+ * @returns {Object} - Event object
+ */
+function parseResponse(line) {
+    if (line.startsWith('#ERR')) {
+        return parseErrorEvent(line);
+    }
+
+    if (!line.startsWith('#')) {
+        return { type: 'unknown', line };
+    }
+
+    const body = line.substring(1);
+
+    // Unsolicited events (longest matching prefix wins)
+    let best = null;
+    Object.keys(PROTOCOL_CATALOG).forEach(group => {
+        Object.keys(PROTOCOL_CATALOG[group].events).forEach(key => {
+            const prefix = `${group}:${key}`;
+            if ((body === prefix || body.startsWith(prefix + ':') || (key.startsWith('+') && body.startsWith(prefix)))
+                && (!best || prefix.length > best.prefix.length)) {
+                best = { group, key, prefix, type: PROTOCOL_CATALOG[group].events[key] };
+            }
+        });
+    });
+    if (best) {
+        const data = body.substring(best.prefix.length).replace(/^:/, '');
+        return parseEventData(best, data, line);
+    }
+
+    // Command responses: #GROUP:SUB:RESULT[:data]
+    const [group, sub, ...rest] = body.split(':');
+    const spec = PROTOCOL_CATALOG[group] && PROTOCOL_CATALOG[group].commands[sub];
+    if (!spec) {
+        return { type: 'unknown', line };
+    }
+
+    if (spec.responses === null) {
+        const data = rest.join(':');
+        return spec.event === 'status'
+            ? parseStatus(data, line)
+            : { type: spec.event || 'response', group, sub, result: '', data, line };
+    }
+
+    const result = rest[0] || '';
+    if (!spec.responses.includes(result)) {
+        return { type: 'unknown', group, sub, line };
+    }
+
+    const data = rest.slice(1).join(':');
+    if (spec.event === 'evalResult') {
+        return parseEvalResult(data, group, sub, result, line);
+    }
+    return { type: spec.event || 'response', group, sub, result, data, line };
+}
+
+/**
+ * Parse the data of an unsolicited event
+ */
+function parseEventData(match, data, line) {
+    const base = { type: match.type, group: match.group, sub: match.key, line };
+
+    switch (match.type) {
+        case 'scanFound': {
+            // MAC,NAME,RSSI
+            const parts = data.split(',');
+            const rssi = parseInt(parts[parts.length - 1]);
+            if (parts.length < 3 || isNaN(rssi)) {
+                return { type: 'unknown', line };
+            }
+            return { ...base, mac: parts[0], name: parts.slice(1, -1).join(','), rssi };
+        }
+        case 'evalData': {
+            // Foot: L_dist,L_speed,R_dist,R_speed - Back: L_tilt,R_tilt
+            const values = data.split(',').map(s => parseFloat(s.trim()));
+            const kind = values.length === 4 ? 'foot' : (values.length === 2 ? 'back' : null);
+            return { ...base, kind, values };
+        }
+        case 'bleRaw': {
+            const raw = line.substring('#BLE:RAW:'.length);
+            const macMatch = raw.match(/[0-9A-F]{12}/i);
+            return { ...base, event: match.key.substring(1), raw, mac: macMatch ? macMatch[0].toUpperCase() : null };
+        }
+        default:
+            return { ...base, data };
+    }
+}
+
+/**
+ * Parse EVAL:STOP:STOP_OK averages
+ * Foot (type 1,2,4): {L_dist},{L_speed},{R_dist},{R_speed},{asymmetry}
+ * Back (type 3):     {L_tilt},{R_tilt},{asymmetry}
+ */
+function parseEvalResult(data, group, sub, result, line) {
+    const values = data.split(',').map(s => parseInt(s.trim()));
+    const kind = values.length === 5 ? 'foot' : (values.length === 3 ? 'back' : null);
+    const averages = kind ? Object.fromEntries(EVAL_RESULT_FIELDS[kind].map((name, i) => [name, values[i]])) : null;
+    return { type: 'evalResult', group, sub, result, kind, values, averages, line };
+}
+
+/**
+ * Parse DM:STATUS payload: <type|0>,<slot count>[,<MAC>/<LOC>/<1|0 connected>...]
+ */
+function parseStatus(data, line) {
+    const [type, , ...entries] = data.split(',');
+    const slots = entries
+        .map(entry => entry.split('/'))
+        .filter(parts => parts.length >= 2)
+        .map(([mac, location, state]) => ({ mac, location, connected: state === '1' }));
+
+    return {
+        type: 'status',
+        group: 'DM',
+        sub: 'STATUS',
+        deviceType: parseInt(type) || null,
+        slots,
+        data,
+        line
+    };
+}
+
+/**
+ * Parse an error line
+ * #ERR:GROUP:SUB:code (e.g. #ERR:DM:SCAN:NOT_INIT) or #ERR:code[:arg...] (e.g. #ERR:DUP_MAC:5CF286477359:LFOOT)
+ */
+function parseErrorEvent(line) {
+    const parts = line.replace(/^#ERR:?/, '').split(':');
+    let group = '';
+    let sub = '';
+    let code;
+    let args = [];
+
+    if (PROTOCOL_CATALOG[parts[0]] && parts.length > 1) {
+        group = parts[0];
+        code = parts[parts.length - 1];
+        sub = parts.length > 2 ? parts[1] : '';
+    } else {
+        code = parts[0] || 'UNKNOWN';
+        args = parts.slice(1);
+    }
+
+    const info = ERROR_CODES[code];
+    const named = {};
+    if (info) {
+        info.args.forEach((name, i) => {
+            named[name] = args[i] !== undefined ? args[i] : 'unknown';
+        });
+    }
+
+    return { type: 'error', group, sub, code, args: named, rawArgs: args, known: !!info, line };
+}
+
+/**
+ * Describe an error event for display
+ * @param {Object} event - Event from parseResponse() with type 'error'
+ * @returns {{title: string, text: string, severity: string}}
+ */
+function describeError(event) {
+    const info = ERROR_CODES[event.code];
+    if (!info) {
+        return { title: 'Error', text: event.line, severity: 'error' };
+    }
+    return { title: info.title, text: info.text(event.args), severity: info.severity };
+}
+
+/**
+ * Check whether an event is the reply to a command
+ * Unsolicited events never match. Errors naming a group (#ERR:EVAL:STOP:NOT_STARTED)
+ * match commands of that group, and subcommand when named; errors without one
+ * (#ERR:NO_TYPE, #ERR:DUP_MAC:...) match whatever command is pending.
+ * @param {string} command - Command without $ prefix
+ * @param {Object} event - Event from parseResponse()
+ * @returns {boolean}
+ */
+function isResponseEvent(command, event) {
+    if (['scanFound', 'evalData', 'manTimeout', 'bleRaw'].includes(event.type)) return false;
+
+    const [group, sub] = command.split(':');
+    if (event.type === 'error') {
+        return !event.group || (event.group === group && (!event.sub || event.sub === sub));
+    }
+    if (event.group === group && event.sub === sub) return true;
+
+    // Unrecognized reply that still names the command
+    return event.type === 'unknown' && event.line.startsWith(`#${group}:${sub}`);
+}
+
+// Protocol API as one object: passed to VibeCueClient (vibecue_client.js), module.exports under Node
+const VIBECUE_PROTOCOL = {
+    PROTOCOL_CATALOG,
+    ERROR_CODES,
+    DEVICE_TYPE_RULES,
+    DEVICE_TYPE_LOCATIONS_PROVISIONAL,
+    MAX_SENSOR_SLOTS,
+    SENSOR_LOCATIONS,
+    SENSOR_PARAMS,
+    EVAL_RESULT_FIELDS,
+    checkSensorValue,
+    sensorCommand,
+    validateCommand,
+    commandUsage,
+    completeCommand,
+    parseResponse,
+    describeError,
+    isResponseEvent
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VIBECUE_PROTOCOL;
+}
@@ -0,0 +1,232 @@
+/**
+ * VibeCue Session Recorder
+ *
+ * Records every transmitted command, received line and connection event with
+ * high-resolution timestamps and saves them as a JSON trace. A loaded trace can
+ * be replayed through handleData() at real or accelerated speed, to
+ * reproduce field reports, review EVAL sessions or demo the UI without hardware.
+ * Recording and replay use the hub selected when they start.
+ *
+ * Trace format (version 1):
+ * {
+ *   format: 'vibecue-trace', version: 1,
+ *   startedAt: ISO time, device: name, transport: 'ble'|'sim'|..., deviceType: '1'-'4',
+ *   entries: [{ t: ms since start, dir: 'tx'|'rx'|'conn', data: string }]
+ * }
+ */
+
+const TRACE_FORMAT = 'vibecue-trace';
+const TRACE_VERSION = 1;
+
+let sessionRecording = null;  // Trace being recorded
+let recordingHub = null;      // Hub whose traffic is recorded
+let recordingStart = 0;       // performance.now() at recording start
+let loadedTrace = null;       // Trace loaded for replay
+let replayHub = null;         // Hub the trace is fed into
+let replayTimers = [];
+let replayActive = false;
+
+/**
+ * Start recording a new trace
+ */
+function startRecording() {
+    if (replayActive) {
+        alert(t('rec.stopReplayFirst'));
+        return;
+    }
+
+    const hub = selectedHub;
+    recordingHub = hub;
+    recordingStart = performance.now();
+    sessionRecording = {
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        startedAt: new Date().toISOString(),
+        device: hub.transport ? hub.transport.name : '',
+        transport: hub.transportType || document.getElementById('transportType').value,
+        deviceType: hub.deviceState.type || document.querySelector('input[name="deviceType"]:checked')?.value || null,
+        entries: []
+    };
+
+    if (hub.isConnected) {
+        recordSessionEvent(hub, 'conn', 'connected: ' + sessionRecording.device);
+    }
+
+    updateRecorderUI();
+    logSent(`⏺️ Recording started (${hub.label})`, hub);
+}
+
+/**
+ * Stop recording and save the trace as a JSON file
+ */
+function stopRecording() {
+    if (!sessionRecording) return;
+
+    const trace = sessionRecording;
+    trace.duration = Math.round(performance.now() - recordingStart);
+    const hub = recordingHub;
+    sessionRecording = null;
+    recordingHub = null;
+    updateRecorderUI();
+
+    const filename = `vibecue_trace_${fileTimestamp()}.json`;
+    downloadFile(JSON.stringify(trace, null, 2), filename, 'application/json');
+
+    logSent(`⏹️ Recording saved: ${filename} (${trace.entries.length} entries)`, hub);
+}
+
+/**
+ * Add an entry to the running recording (no-op when not recording or for other hubs)
+ * @param {Hub} hub - Hub the event belongs to
+ * @param {string} dir - 'tx' (command sent), 'rx' (line received) or 'conn' (connection event)
+ * @param {string} data - Command/line text or event description
+ */
+function recordSessionEvent(hub, dir, data) {
+    if (!sessionRecording || replayActive || hub !== recordingHub) return;
+
+    sessionRecording.entries.push({
+        t: Math.round((performance.now() - recordingStart) * 1000) / 1000,
+        dir,
+        data
+    });
+
+    // Keep metadata current
+    if (dir === 'conn' && hub.transport) {
+        sessionRecording.device = hub.transport.name;
+    }
+    if (dir === 'tx' && data.startsWith('$DM:TYPE:')) {
+        sessionRecording.deviceType = data.substring('$DM:TYPE:'.length);
+    }
+
+    updateRecorderUI();
+}
+
+/**
+ * Load a trace file chosen in the file input
+ * @param {HTMLInputElement} input
+ */
+function loadTraceFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const trace = JSON.parse(reader.result);
+            if (trace.format !== TRACE_FORMAT || !Array.isArray(trace.entries)) {
+                throw new Error(t('rec.notTrace'));
+            }
+            if (trace.version > TRACE_VERSION) {
+                throw new Error(t('rec.unsupportedVersion', { version: trace.version }));
+            }
+            loadedTrace = trace;
+            logSent(`📂 Trace loaded: ${file.name} (${trace.entries.length} entries, device ${trace.device || '-'}, type ${trace.deviceType || '-'})`);
+        } catch (error) {
+            alert(t('rec.loadFailed', { error: error.message }));
+            loadedTrace = null;
+        }
+        input.value = '';
+        updateRecorderUI();
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Replay the loaded trace into the selected hub: received lines go through handleData(),
+ * sent commands and connection events are shown in the log.
+ */
+function startReplay() {
+    if (!loadedTrace) {
+        alert(t('rec.loadFirst'));
+        return;
+    }
+    if (selectedHub.transport) {
+        alert(t('rec.disconnectFirst'));
+        return;
+    }
+
+    const speed = parseFloat(document.getElementById('replaySpeed').value) || 0;
+    const entries = loadedTrace.entries;
+    const encoder = new TextEncoder();
+
+    stopReplay();
+    replayActive = true;
+    replayHub = selectedHub;
+    replayHub.client.framer.reset();
+    logSent(`▶️ Replay started (${speed ? speed + 'x' : 'max speed'}, ${entries.length} entries)`);
+
+    entries.forEach((entry, index) => {
+        const delay = speed ? entry.t / speed : 0;
+        replayTimers.push(setTimeout(() => {
+            replayEntry(entry, encoder);
+            document.getElementById('recorderStatus').textContent =
+                t('rec.replaying', { index: index + 1, count: entries.length, time: (entry.t / 1000).toFixed(1) });
+            if (index === entries.length - 1) {
+                finishReplay();
+            }
+        }, delay));
+    });
+
+    if (entries.length === 0) {
+        finishReplay();
+    }
+    updateRecorderUI();
+}
+
+/**
+ * Feed one trace entry back into the app
+ */
+function replayEntry(entry, encoder) {
+    if (entry.dir === 'rx') {
+        handleData(replayHub, encoder.encode(entry.data + '\r\n'));
+    } else if (entry.dir === 'tx') {
+        logSent(`[REPLAY] ${entry.data}`, replayHub);
+    } else {
+        logSent(`[REPLAY] 🔌 ${entry.data}`, replayHub);
+    }
+}
+
+function finishReplay() {
+    replayTimers = [];
+    // Still replaying while the last partial line is delivered
+    replayHub.client.framer.flush();
+    replayActive = false;
+    logSent('⏹️ Replay finished', replayHub);
+    updateRecorderUI();
+}
+
+/**
+ * Abort a running replay
+ */
+function stopReplay() {
+    if (!replayActive) return;
+
+    replayTimers.forEach(timer => clearTimeout(timer));
+    replayTimers = [];
+    replayActive = false;
+    logSent('⏹️ Replay stopped', replayHub);
+    updateRecorderUI();
+}
+
+/**
+ * Update recorder buttons and status text
+ */
+function updateRecorderUI() {
+    document.getElementById('recordStartBtn').disabled = !!sessionRecording || replayActive;
+    document.getElementById('recordStopBtn').disabled = !sessionRecording;
+    document.getElementById('replayStartBtn').disabled = !loadedTrace || replayActive || !!sessionRecording;
+    document.getElementById('replayStopBtn').disabled = !replayActive;
+
+    const status = document.getElementById('recorderStatus');
+    if (sessionRecording) {
+        status.textContent = t('rec.recording', { count: sessionRecording.entries.length });
+    } else if (!replayActive) {
+        status.textContent = loadedTrace
+            ? t('rec.loaded', { date: loadedTrace.startedAt ? new Date(loadedTrace.startedAt).toLocaleString() : '', count: loadedTrace.entries.length })
+            : '';
+    }
+}
+
+onLanguageChange(updateRecorderUI);
+
+window.addEventListener('load', updateRecorderUI);
@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * VibeCue Bridge Relay
+ *
+ * Reference WebSocket server for the remote bridge of the page
+ * (vibecue_bridge.js). Node only, no dependencies:
+ *
+ *   node vibecue_relay.js [port] [--origin <origin>...]   (default 8765, listens on 127.0.0.1)
+ *
+ *   http://localhost:8765/     the VibeCue page itself (index.html and the scripts next to this file)
+ *   ws://localhost:8765/page   the VibeCue page (bridge section of the Script panel), one at a time
+ *   ws://localhost:8765/       automation clients, any number
+ *
+ * Client messages ('command', 'hubs') go to the page; their answers go back to
+ * the client that asked (ids are rewritten on the way, so clients may reuse
+ * theirs). Everything else the page sends ('hello', 'line', 'evalResult') goes
+ * to every client. When no page is connected, requests are answered with
+ * code NO_PAGE. Message formats: see vibecue_bridge.js.
+ *
+ * Commands typed into the relay's console are sent too (one per line, "hubs"
+ * lists the hubs); answers and streamed lines are printed.
+ *
+ * Web pages may open WebSockets to localhost as well, so any site open in the
+ * browser could take the page slot or act as a client. Connections with an
+ * Origin header (browsers) are only accepted from the relay's own origin
+ * (the page served above) and from origins allowed with --origin <origin>
+ * (repeatable; a page opened from disk sends "null"). Connections without an
+ * Origin header come from local programs and are accepted.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const RELAY_DEFAULT_PORT = 8765;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WS_MAX_MESSAGE = 1024 * 1024;   // Longest accepted message (bytes)
+
+// Files of the page served over HTTP (from the directory of this file, no subdirectories)
+const PAGE_FILE_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+/**
+ * Server side of one WebSocket connection (RFC 6455: text messages, ping, close)
+ */
+class WsConnection {
+    /**
+     * @param {net.Socket} socket - Socket after the handshake
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.open = true;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    /**
+     * Parse the frames in the received data
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (!masked || length > WS_MAX_MESSAGE) {
+                // Clients must mask their frames
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+            this.frame(fin, opcode, payload);
+        }
+    }
+
+    frame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0:   // Continuation
+            case 0x1:   // Text
+            case 0x2:   // Binary (taken as UTF-8 text)
+                this.fragments.push(payload);
+                if (this.fragments.reduce((sum, part) => sum + part.length, 0) > WS_MAX_MESSAGE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                break;
+            case 0x8:   // Close
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            case 0x9:   // Ping
+                this.write(0xA, payload);
+                break;
+            default:    // Pong
+                break;
+        }
+    }
+
+    write(opcode, payload) {
+        if (!this.open) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * @param {string} text
+     */
+    send(text) {
+        this.write(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (!this.open) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(0x8, payload);
+        this.socket.end();
+        this.closed();
+    }
+
+    closed() {
+        if (!this.open) return;
+        this.open = false;
+        this.onClose();
+    }
+}
+
+/**
+ * Answer the WebSocket handshake
+ * @returns {WsConnection|null} - null if the request is not a WebSocket upgrade
+ */
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    return new WsConnection(socket);
+}
+
+/**
+ * Relay between one page and its clients
+ */
+class Relay {
+    constructor(log = console.log) {
+        this.log = log;
+        this.page = null;
+        this.clients = new Set();
+        this.pending = new Map();   // Relay id -> {client, id}
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {WsConnection} page
+     */
+    addPage(page) {
+        this.page = page;
+        this.log('Page connected');
+        page.onMessage = text => this.fromPage(text);
+        page.onClose = () => {
+            this.page = null;
+            this.log('Page disconnected');
+            // Requests the page can no longer answer
+            this.pending.forEach(({ client, id }) => client.send(JSON.stringify(
+                { type: 'result', id, ok: false, code: 'NO_PAGE', message: 'Page disconnected' })));
+            this.pending.clear();
+            this.broadcast({ type: 'page', connected: false });
+        };
+        this.broadcast({ type: 'page', connected: true });
+    }
+
+    /**
+     * @param {Object} client - WsConnection or anything with send(text) and onMessage/onClose
+     */
+    addClient(client) {
+        this.clients.add(client);
+        client.onMessage = text => this.fromClient(client, text);
+        client.onClose = () => {
+            this.clients.delete(client);
+            this.pending.forEach((entry, id) => {
+                if (entry.client === client) this.pending.delete(id);
+            });
+        };
+        client.send(JSON.stringify({ type: 'page', connected: !!this.page }));
+    }
+
+    fromClient(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            client.send(JSON.stringify({ type: 'error', message: 'Invalid JSON' }));
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            client.send(JSON.stringify({ type: 'error', message: 'Expected a JSON object' }));
+            return;
+        }
+        if (!this.page) {
+            client.send(JSON.stringify({ type: 'result', id: message.id, ok: false, code: 'NO_PAGE', message: 'No VibeCue page connected' }));
+            return;
+        }
+
+        const relayId = this.nextId++;
+        this.pending.set(relayId, { client, id: message.id });
+        this.page.send(JSON.stringify({ ...message, id: relayId }));
+    }
+
+    fromPage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.log('Page sent invalid JSON');
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            this.log('Page sent a message that is not a JSON object');
+            return;
+        }
+
+        // Answer to one client's request
+        const entry = message.id !== undefined && this.pending.get(message.id);
+        if (entry) {
+            this.pending.delete(message.id);
+            entry.client.send(JSON.stringify({ ...message, id: entry.id }));
+            return;
+        }
+        this.broadcast(message);
+    }
+
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        this.clients.forEach(client => client.send(text));
+    }
+}
+
+/**
+ * Client that reads commands from the console and prints what comes back
+ * @param {Relay} relay
+ */
+function startConsole(relay) {
+    const client = {
+        send(text) {
+            const message = JSON.parse(text);
+            if (!message || typeof message !== 'object') {
+                console.log(text);
+                return;
+            }
+            switch (message.type) {
+                case 'line':
+                    console.log(`[Hub ${message.hub}] ${message.line}`);
+                    break;
+                case 'result':
+                    console.log(message.ok ? `✓ ${message.response}` : `✗ ${message.code}: ${message.message}`);
+                    break;
+                case 'hubs':
+                case 'hello':
+                    if (!Array.isArray(message.hubs)) {
+                        console.log(text);
+                        break;
+                    }
+                    message.hubs.filter(hub => hub && typeof hub === 'object').forEach(hub =>
+                        console.log(`${hub.label}: ${hub.connected ? hub.device : 'not connected'}` +
+                            `${hub.deviceType ? `, type ${hub.deviceType}` : ''}${hub.mode ? `, ${hub.mode}` : ''}`));
+                    break;
+                case 'page':
+                    break;
+                default:
+                    console.log(text);
+            }
+        }
+    };
+    relay.addClient(client);
+
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', line => {
+        const command = line.trim();
+        if (!command) return;
+        client.onMessage(JSON.stringify(command === 'hubs' ? { type: 'hubs' } : { type: 'command', command }));
+    });
+    input.on('close', () => client.onClose());
+}
+
+/**
+ * Answer a plain HTTP request with a file of the page
+ */
+function servePageFile(request, response) {
+    const route = request.url.split('?')[0];
+    let name;
+    try {
+        name = route === '/' ? 'index.html' : decodeURIComponent(route.substring(1));
+    } catch (error) {
+        name = '';
+    }
+    const type = PAGE_FILE_TYPES[path.extname(name)];
+
+    if (request.method !== 'GET' || !type || name !== path.basename(name)) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found\n');
+        return;
+    }
+    fs.readFile(path.join(__dirname, name), (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': type });
+        response.end(content);
+    });
+}
+
+/**
+ * Start the relay server
+ * @param {Object} [options] - { port, origins: further allowed Origin headers, console: read commands from stdin }
+ * @returns {http.Server}
+ */
+function startRelay(options = {}) {
+    const port = options.port ?? RELAY_DEFAULT_PORT;
+    const origins = options.origins || [];
+    const relay = new Relay();
+    const server = http.createServer(servePageFile);
+
+    // Browsers must come from the page served here or an allowed origin
+    const originAllowed = origin => {
+        if (!origin) return true;
+        const own = server.address().port;
+        return origin === `http://localhost:${own}` || origin === `http://127.0.0.1:${own}` || origins.includes(origin);
+    };
+
+    server.on('upgrade', (request, socket) => {
+        const route = request.url.split('?')[0];
+        const origin = request.headers.origin;
+        if (route !== '/page' && route !== '/') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        if (!originAllowed(origin)) {
+            console.log(`Refused ${route === '/page' ? 'page' : 'client'} from ${origin} (allow with --origin ${origin})`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        if (route === '/page') {
+            if (relay.page) {
+                socket.end('HTTP/1.1 409 Conflict\r\n\r\n');
+                return;
+            }
+            const page = acceptWebSocket(request, socket);
+            if (page) relay.addPage(page);
+        } else {
+            const client = acceptWebSocket(request, socket);
+            if (client) relay.addClient(client);
+        }
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        const { port: own } = server.address();
+        console.log(`VibeCue relay on ws://localhost:${own} (page: /page, clients: /), page at http://localhost:${own}/`);
+    });
+    if (options.console) {
+        startConsole(relay);
+    }
+    server.relay = relay;
+    return server;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const origins = [];
+    let port = RELAY_DEFAULT_PORT;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--origin') {
+            origins.push(args[++i]);
+        } else {
+            port = parseInt(args[i]) || RELAY_DEFAULT_PORT;
+        }
+    }
+    startRelay({ port, origins, console: true });
+}
+
+module.exports = { startRelay, Relay, WsConnection, acceptWebSocket };
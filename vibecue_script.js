@@ -0,0 +1,393 @@
+/**
+ * VibeCue Command Scripts
+ *
+ * Small line-based scripting language for repeatable firmware tests. Commands
+ * go out through sendCommand() and received lines are collected from the
+ * protocol events, so scripts exercise the same path as the UI.
+ *
+ *   # comment
+ *   SEND DM:TYPE:1                        send a command (also invalid ones) and wait for its response
+ *   WAIT 500                              pause (ms)
+ *   EXPECT #DM:TYPE:OK:1 [2000]           wait for a received line matching the regex (default 3000 ms)
+ *   EXPECT #EVAL:STOP:STOP_OK:(\d+),(\d+) 3000 AS lDist,lSpeed
+ *                                         ...and capture the groups into variables
+ *   LOOP 3 ... END                        repeat the enclosed steps (nestable)
+ *   LOG L=${lDist} run ${loop}            write to the report; ${name} is replaced in SEND/EXPECT/LOG
+ *
+ * Received lines are matched in order: EXPECT only looks at lines after the
+ * last SEND or the previously matched line. A SEND answered with #ERR passes
+ * (check the line with EXPECT); a SEND the hub did not answer fails. The first
+ * failing step ends the run.
+ * A script talks to the hub selected when it starts; lines of other hubs are ignored.
+ */
+
+const SCRIPT_STORAGE_KEY = 'vibecue_scripts';
+const SCRIPT_EXPECT_TIMEOUT_MS = 3000;
+
+let scriptLibrary = {};   // name -> script text
+let scriptRun = null;     // Running script state
+let scriptReport = null;  // Report of the last run
+
+/**
+ * Parse script text into steps
+ * @param {string} text
+ * @returns {{steps: Array, errors: string[]}}
+ */
+function parseScript(text) {
+    const root = { steps: [] };
+    const stack = [root];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const source = raw.trim();
+        if (!source || source.startsWith('#')) return;
+
+        const [keyword] = source.split(/\s+/, 1);
+        const rest = source.substring(keyword.length).trim();
+        const parent = stack[stack.length - 1];
+        const step = { op: keyword.toUpperCase(), line, source };
+
+        switch (step.op) {
+            case 'SEND':
+                if (!rest) errors.push(`Line ${line}: SEND needs a command`);
+                step.command = rest.replace(/^\$/, '');
+                break;
+            case 'WAIT':
+                step.ms = parseInt(rest);
+                if (!(step.ms >= 0) || String(step.ms) !== rest) errors.push(`Line ${line}: WAIT needs a time in ms`);
+                break;
+            case 'EXPECT': {
+                const match = rest.match(/^(\S+)(?:\s+(\d+))?(?:\s+AS\s+([\w,]+))?$/i);
+                if (!match) {
+                    errors.push(`Line ${line}: EXPECT <pattern> [timeout ms] [AS name1,name2]`);
+                    break;
+                }
+                step.pattern = match[1];
+                step.timeout = match[2] ? parseInt(match[2]) : SCRIPT_EXPECT_TIMEOUT_MS;
+                step.captures = match[3] ? match[3].split(',').filter(Boolean) : [];
+                break;
+            }
+            case 'LOG':
+                step.message = rest;
+                break;
+            case 'LOOP':
+                step.count = parseInt(rest);
+                step.steps = [];
+                if (!(step.count > 0) || String(step.count) !== rest) errors.push(`Line ${line}: LOOP needs a repeat count`);
+                parent.steps.push(step);
+                stack.push(step);
+                return;
+            case 'END':
+                if (stack.length === 1) errors.push(`Line ${line}: END without LOOP`);
+                else stack.pop();
+                return;
+            default:
+                errors.push(`Line ${line}: unknown keyword ${keyword}`);
+                return;
+        }
+        parent.steps.push(step);
+    });
+
+    stack.slice(1).forEach(loop => errors.push(`Line ${loop.line}: LOOP without END`));
+    return { steps: root.steps, errors };
+}
+
+/**
+ * Replace ${name} with captured variables
+ */
+function substituteVars(text, vars) {
+    return text.replace(/\$\{(\w+)\}/g, (whole, name) => (name in vars ? vars[name] : whole));
+}
+
+/**
+ * Run the script in the editor
+ */
+async function runScript() {
+    if (scriptRun) return;
+
+    const name = document.getElementById('scriptName').value.trim() || 'untitled';
+    const { steps, errors } = parseScript(document.getElementById('scriptEditor').value);
+    if (errors.length) {
+        alert(t('script.errors', { errors: errors.join('\n') }));
+        return;
+    }
+    if (steps.length === 0) {
+        alert(t('script.empty'));
+        return;
+    }
+    const hub = selectedHub;
+    if (!hub.isConnected) {
+        alert(t('common.connectFirst'));
+        return;
+    }
+
+    const run = {
+        hub,
+        rxLines: [],
+        cursor: 0,
+        vars: {},
+        onLine: null,
+        stopped: false
+    };
+    run.abort = new Promise((resolve, reject) => {
+        run.stop = () => reject(new Error('Stopped by user'));
+    });
+    run.abort.catch(() => {});
+    scriptRun = run;
+
+    const startedAt = new Date();
+    scriptReport = {
+        format: 'vibecue-script-report',
+        script: name,
+        hub: hub.label,
+        device: hub.transport.name,
+        startedAt: startedAt.toISOString(),
+        result: 'pass',
+        steps: []
+    };
+    updateScriptUI();
+    logSent(`🧪 Script started: ${name}`, hub);
+
+    try {
+        await runSteps(steps, run);
+    } catch (error) {
+        scriptReport.result = run.stopped ? 'stopped' : 'fail';
+        scriptReport.error = error.message;
+    }
+
+    scriptReport.duration = Date.now() - startedAt.getTime();
+    scriptReport.captures = { ...run.vars };
+    delete scriptReport.captures.loop;
+    scriptRun = null;
+
+    const passed = scriptReport.steps.filter(s => s.status === 'pass').length;
+    logReceived(`🧪 Script ${scriptReport.result.toUpperCase()}: ${name} (${passed}/${scriptReport.steps.length} steps passed)`, hub);
+    updateScriptUI();
+}
+
+async function runSteps(steps, run) {
+    for (const step of steps) {
+        if (step.op === 'LOOP') {
+            const outer = run.vars.loop;
+            for (let i = 1; i <= step.count; i++) {
+                run.vars.loop = i;
+                await runSteps(step.steps, run);
+            }
+            run.vars.loop = outer;
+            continue;
+        }
+
+        const entry = { line: step.line, step: substituteVars(step.source, run.vars), status: 'running', detail: '' };
+        const start = Date.now();
+        scriptReport.steps.push(entry);
+        updateScriptReport();
+
+        try {
+            const action = runStep(step, run);
+            action.catch(() => {});  // Settles after the race when stopped
+            entry.detail = await Promise.race([action, run.abort]) || '';
+            entry.status = 'pass';
+        } catch (error) {
+            entry.status = 'fail';
+            entry.detail = error.message;
+            throw error;
+        } finally {
+            entry.elapsed = Date.now() - start;
+            updateScriptReport();
+        }
+    }
+}
+
+/**
+ * Execute one step
+ * @returns {Promise<string>} - Detail for the report
+ */
+async function runStep(step, run) {
+    switch (step.op) {
+        case 'SEND': {
+            const command = substituteVars(step.command, run.vars);
+            run.cursor = run.rxLines.length;
+            try {
+                return await sendCommand(command, { hub: run.hub, force: true });
+            } catch (error) {
+                // #ERR answers from the hub are results to check with EXPECT; errors without
+                // one (timeout, interlock, emergency stop, ...) mean the hub did not answer
+                if (error instanceof CommandError && error.response) {
+                    return error.response;
+                }
+                throw error;
+            }
+        }
+        case 'WAIT':
+            await new Promise(resolve => setTimeout(resolve, step.ms));
+            return '';
+        case 'EXPECT': {
+            const pattern = new RegExp(substituteVars(step.pattern, run.vars));
+            const match = await expectLine(run, pattern, step.timeout);
+            step.captures.forEach((name, i) => {
+                run.vars[name] = match[i + 1];
+            });
+            return match[0] + (step.captures.length
+                ? ' (' + step.captures.map(name => `${name}=${run.vars[name]}`).join(', ') + ')'
+                : '');
+        }
+        case 'LOG':
+            return substituteVars(step.message, run.vars);
+    }
+}
+
+/**
+ * Wait for a received line matching the pattern
+ */
+function expectLine(run, pattern, timeout) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const check = () => {
+            while (run.cursor < run.rxLines.length) {
+                const match = run.rxLines[run.cursor++].match(pattern);
+                if (match) {
+                    clearTimeout(timer);
+                    run.onLine = null;
+                    resolve(match);
+                    return;
+                }
+            }
+        };
+
+        timer = setTimeout(() => {
+            run.onLine = null;
+            reject(new Error(`No line matching /${pattern.source}/ within ${timeout} ms`));
+        }, timeout);
+        run.onLine = check;
+        check();
+    });
+}
+
+/**
+ * Stop the running script
+ */
+function stopScript() {
+    if (scriptRun) {
+        scriptRun.stopped = true;
+        scriptRun.stop();
+    }
+}
+
+/**
+ * Download the report of the last run as JSON
+ */
+function exportScriptReport() {
+    if (!scriptReport) {
+        alert(t('script.noReport'));
+        return;
+    }
+    const filename = `script_report_${scriptReport.script.replace(/\W+/g, '_')}_${fileTimestamp()}.json`;
+    downloadFile(JSON.stringify(scriptReport, null, 2), filename, 'application/json');
+}
+
+function loadScriptLibrary() {
+    try {
+        scriptLibrary = JSON.parse(localStorage.getItem(SCRIPT_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.warn('Saved scripts unreadable:', error);
+        scriptLibrary = {};
+    }
+}
+
+/**
+ * Save the editor content to the library under its name
+ */
+function saveScript() {
+    const name = document.getElementById('scriptName').value.trim();
+    if (!name) {
+        alert(t('script.nameRequired'));
+        return;
+    }
+
+    const text = document.getElementById('scriptEditor').value;
+    const { errors } = parseScript(text);
+    if (errors.length && !confirm(t('script.saveWithErrors', { errors: errors.join('\n') }))) {
+        return;
+    }
+
+    scriptLibrary[name] = text;
+    localStorage.setItem(SCRIPT_STORAGE_KEY, JSON.stringify(scriptLibrary));
+    updateScriptList(name);
+    logSent(`💾 Script saved: ${name}`);
+}
+
+/**
+ * Load a library script into the editor
+ */
+function selectScript(name) {
+    if (!(name in scriptLibrary)) return;
+    document.getElementById('scriptName').value = name;
+    document.getElementById('scriptEditor').value = scriptLibrary[name];
+}
+
+/**
+ * Delete the selected library script
+ */
+function deleteScript() {
+    const name = document.getElementById('scriptSelect').value;
+    if (!name || !confirm(t('script.deleteConfirm', { name }))) return;
+
+    delete scriptLibrary[name];
+    localStorage.setItem(SCRIPT_STORAGE_KEY, JSON.stringify(scriptLibrary));
+    updateScriptList();
+}
+
+function updateScriptList(selected = '') {
+    const select = document.getElementById('scriptSelect');
+    select.innerHTML = `<option value="">${t('script.select')}</option>` +
+        Object.keys(scriptLibrary).sort().map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    select.value = selected;
+}
+
+function updateScriptUI() {
+    document.getElementById('scriptRunBtn').disabled = !!scriptRun;
+    document.getElementById('scriptStopBtn').disabled = !scriptRun;
+    document.getElementById('scriptReportBtn').disabled = !scriptReport || !!scriptRun;
+    updateScriptReport();
+}
+
+/**
+ * Show the steps of the current/last run
+ */
+function updateScriptReport() {
+    const view = document.getElementById('scriptReport');
+    if (!scriptReport) {
+        view.innerHTML = `<span style="color: #aaa;">${t('script.noResult')}</span>`;
+        return;
+    }
+
+    const icons = { running: '⏳', pass: '✓', fail: '✗' };
+    const header = scriptRun
+        ? `<div class="script-result">${t('script.running', { name: escapeHtml(scriptReport.script) })}</div>`
+        : `<div class="script-result script-${scriptReport.result}">${scriptReport.result.toUpperCase()} · ${escapeHtml(scriptReport.script)} · ${(scriptReport.duration / 1000).toFixed(1)}s</div>`;
+
+    view.innerHTML = header + scriptReport.steps.map(entry =>
+        `<div class="script-step script-${entry.status}">${icons[entry.status]} L${entry.line} ${escapeHtml(entry.step)}` +
+        (entry.detail ? ` → ${escapeHtml(entry.detail)}` : '') +
+        (entry.elapsed !== undefined ? ` (${entry.elapsed} ms)` : '') + '</div>').join('');
+    view.scrollTop = view.scrollHeight;
+}
+
+// Collect received lines for EXPECT while a script runs
+onProtocolEvent('*', event => {
+    if (!scriptRun || event.hub !== scriptRun.hub || event.line === undefined) return;
+    scriptRun.rxLines.push(event.line);
+    if (scriptRun.onLine) scriptRun.onLine();
+});
+
+onLanguageChange(() => {
+    updateScriptList(document.getElementById('scriptSelect').value);
+    updateScriptUI();
+});
+
+window.addEventListener('load', () => {
+    loadScriptLibrary();
+    updateScriptList();
+    updateScriptUI();
+});
@@ -0,0 +1,537 @@
+/**
+ * VibeCue Hub Simulator
+ *
+ * Firmware model of the VibeCue hub speaking the text protocol, for UI work
+ * without hardware. Runs in the browser (SimulatedTransport, selectable in the
+ * connection bar) and under Node:
+ *
+ *   const { SimulatedHub } = require('./vibecue_sim.js');
+ *   const hub = new SimulatedHub();
+ *   hub.onLine = line => console.log(line);
+ *   hub.receive('$DM:TYPE:2');
+ *
+ * Responses:
+ * - Success: #<GROUP>:<SUB>:<RESULT>[:data]  (e.g. #DM:TYPE:OK:2, #DM:SCAN:INIT_OK)
+ * - Error:   #ERR:<GROUP>:<SUB>:<code>       (e.g. #ERR:DM:SCAN:NOT_INIT)
+ *            #ERR:<code>:<args>              (DM:CONN rules, e.g. #ERR:DUP_MAC:5CF286477359:LFOOT)
+ */
+
+// Type rules come from the protocol catalog (global in the browser, required under Node).
+// The simulated hub enforces their provisional location lists as if they were firmware rules.
+const SIM_PROTOCOL = typeof DEVICE_TYPE_RULES !== 'undefined'
+    ? { DEVICE_TYPE_RULES, MAX_SENSOR_SLOTS, SENSOR_PARAMS, checkSensorValue }
+    : require('./vibecue_protocol.js');
+const SIM_TYPE_RULES = SIM_PROTOCOL.DEVICE_TYPE_RULES;
+const SIM_MAX_SLOTS = SIM_PROTOCOL.MAX_SENSOR_SLOTS;
+const SIM_SENSOR_PARAMS = SIM_PROTOCOL.SENSOR_PARAMS;
+
+const SIM_RESPONSE_DELAY_MS = 20;     // Firmware processing time before a reply
+const SIM_SCAN_INTERVAL_MS = 400;     // Time between #DM:SCAN:FOUND lines
+const SIM_SCAN_DURATION_MS = 15000;   // Scan stops by itself after this
+const SIM_EVAL_INTERVAL_MS = 200;     // Time between #EVAL:DATA samples
+
+// Sensors "in range" of the simulated hub
+const SIM_SCAN_DEVICES = [
+    { mac: '5CF286477359', name: 'VC-SENSOR', rssi: -52 },
+    { mac: '5CF28647735A', name: 'VC-SENSOR', rssi: -61 },
+    { mac: '5CF28647735B', name: 'VC-SENSOR', rssi: -74 },
+    { mac: '5CF28647735C', name: 'VC-SUB', rssi: -58 },
+    { mac: '5CF28647735D', name: 'VC-SUB', rssi: -66 },
+    { mac: '5CF28647735E', name: 'VC-SUB', rssi: -83 },
+    { mac: '5CF28647735F', name: 'VC-SUB', rssi: -88 }
+];
+
+/**
+ * Seeded pseudo random generator (mulberry32), so test runs are repeatable
+ * @param {number} seed
+ * @returns {function(): number} - Returns values in [0, 1)
+ */
+function simRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Simulated hub firmware
+ */
+class SimulatedHub {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeScale=1] - Speeds up long timers (MAN minutes): 60 makes a minute last one second
+     * @param {number} [options.seed] - Random seed for scan RSSI and EVAL samples
+     * @param {Array} [options.scanDevices] - Sensors reported by DM:SCAN:START
+     */
+    constructor(options = {}) {
+        this.timeScale = options.timeScale || 1;
+        this.random = simRandom(options.seed ?? Date.now());
+        this.scanDevices = options.scanDevices || SIM_SCAN_DEVICES;
+        this.onLine = () => {};
+        this.inputBuffer = '';
+        this.decoder = new TextDecoder();
+        this.timers = new Set();
+        this.reset();
+    }
+
+    /**
+     * Return to power-on state (also DM:RESET:CONFIRM)
+     */
+    reset() {
+        this.clearTimers();
+        this.type = null;
+        this.slots = [];            // [{mac, location, connected}]
+        this.scanInitialized = false;
+        this.scanning = false;
+        this.mode = 'IDLE';         // IDLE, MAN, DS, EVAL
+        this.evalSamples = [];
+        this.sensorSettings = Object.fromEntries(Object.entries(SIM_SENSOR_PARAMS).map(([name, param]) => [name, param.default]));
+    }
+
+    /**
+     * Stop all pending activity (scan, MAN timer, EVAL stream)
+     */
+    destroy() {
+        this.clearTimers();
+    }
+
+    /**
+     * Feed raw bytes written by the app (may hold partial or several commands)
+     * @param {Uint8Array} bytes
+     */
+    receiveBytes(bytes) {
+        this.inputBuffer += this.decoder.decode(bytes, { stream: true });
+
+        let index;
+        while ((index = this.inputBuffer.indexOf('\r\n')) !== -1) {
+            const line = this.inputBuffer.substring(0, index);
+            this.inputBuffer = this.inputBuffer.substring(index + 2);
+            this.receive(line);
+        }
+    }
+
+    /**
+     * Process one command line
+     * @param {string} line - Command with $ prefix, without \r\n (e.g. "$DM:STATUS:REQ")
+     */
+    receive(line) {
+        if (!line.startsWith('$')) {
+            this.reply('#ERR:UNKNOWN_CMD:' + line);
+            return;
+        }
+
+        const command = line.substring(1);
+        const [group, sub = '', ...rest] = command.split(':');
+        const arg = rest.join(':');
+
+        switch (group) {
+            case 'DM': return this.handleDm(sub, arg);
+            case 'MAN': return this.handleMan(sub, arg);
+            case 'DS': return this.handleDs(sub);
+            case 'EVAL': return this.handleEval(sub, arg);
+            default: return this.reply('#ERR:UNKNOWN_CMD:' + group);
+        }
+    }
+
+    /**
+     * DM: device management
+     */
+    handleDm(sub, arg) {
+        switch (sub) {
+            case 'TYPE': {
+                const type = parseInt(arg);
+                if (!SIM_TYPE_RULES[type] || String(type) !== arg) {
+                    return this.reply('#ERR:DM:TYPE:INVALID_ARG');
+                }
+                this.type = type;
+                return this.reply(`#DM:TYPE:OK:${type}`);
+            }
+            case 'STATUS':
+                if (arg !== 'REQ') return this.reply('#ERR:DM:STATUS:INVALID_ARG');
+                return this.reply('#DM:STATUS:' + this.statusString());
+            case 'RESET':
+                if (arg !== 'CONFIRM') return this.reply('#ERR:DM:RESET:INVALID_ARG');
+                this.reset();
+                return this.reply('#DM:RESET:OK');
+            case 'SCAN':
+                return this.handleScan(arg);
+            case 'SETUP':
+                if (arg !== 'DONE') return this.reply('#ERR:DM:SETUP:INVALID_ARG');
+                this.stopScan();
+                this.reply('#DM:SETUP:DONE_OK');
+                return this.reply('#BLE:RAW:+READY', SIM_RESPONSE_DELAY_MS * 2);
+            case 'CONN':
+                return this.handleConnect(arg);
+            default:
+                return this.reply('#ERR:DM:UNKNOWN_CMD');
+        }
+    }
+
+    /**
+     * DM:SCAN:INIT / START / STOP / RECON
+     */
+    handleScan(arg) {
+        switch (arg) {
+            case 'INIT':
+                this.stopScan();
+                this.scanInitialized = true;
+                return this.reply('#DM:SCAN:INIT_OK');
+            case 'START':
+                if (!this.scanInitialized) return this.reply('#ERR:DM:SCAN:NOT_INIT');
+                this.stopScan();
+                this.scanning = true;
+                this.reply('#DM:SCAN:SCAN_STARTED');
+                this.scanTimer = this.every(SIM_SCAN_INTERVAL_MS, () => this.emitScanResult());
+                this.scanStopTimer = this.after(SIM_SCAN_DURATION_MS, () => {
+                    this.stopScan();
+                    this.emit('#DM:SCAN:SCAN_DONE');
+                });
+                return;
+            case 'STOP':
+                this.stopScan();
+                return this.reply('#DM:SCAN:STOP_OK');
+            case 'RECON':
+                this.reply('#DM:SCAN:RECON_OK');
+                this.slots.forEach((slot, i) => {
+                    this.after(SIM_RESPONSE_DELAY_MS * (i + 2), () => {
+                        slot.connected = true;
+                        this.emit(`#BLE:RAW:+CONN:${slot.mac}`);
+                    });
+                });
+                return;
+            default:
+                return this.reply('#ERR:DM:SCAN:INVALID_ARG');
+        }
+    }
+
+    /**
+     * Emit the next scan result (round robin over devices in range, RSSI jitters)
+     */
+    emitScanResult() {
+        this.scanIndex = ((this.scanIndex ?? -1) + 1) % this.scanDevices.length;
+        const device = this.scanDevices[this.scanIndex];
+        const rssi = Math.round(device.rssi + (this.random() - 0.5) * 8);
+        this.emit(`#DM:SCAN:FOUND:${device.mac},${device.name},${rssi}`);
+    }
+
+    /**
+     * Stop a running scan
+     */
+    stopScan() {
+        this.scanning = false;
+        this.cancel(this.scanTimer);
+        this.cancel(this.scanStopTimer);
+    }
+
+    /**
+     * DM:CONN:<MAC>:<LOC> - pair a sensor to a body location
+     * Checked in firmware order: NO_TYPE, SLOT_FULL, DUP_MAC, LOC_NOT_ALLOWED, TYPE_FULL, DUP_LOC
+     */
+    handleConnect(arg) {
+        const [mac = '', location = ''] = arg.split(':');
+        if (!/^[0-9A-F]{12}$/.test(mac) || !location) {
+            return this.reply('#ERR:DM:CONN:INVALID_ARG');
+        }
+
+        if (!this.type) {
+            return this.reply('#ERR:NO_TYPE');
+        }
+
+        if (this.slots.length >= SIM_MAX_SLOTS) {
+            return this.reply(`#ERR:SLOT_FULL:${SIM_MAX_SLOTS}`);
+        }
+
+        const sameMac = this.slots.find(slot => slot.mac === mac);
+        if (sameMac) {
+            return this.reply(`#ERR:DUP_MAC:${mac}:${sameMac.location}`);
+        }
+
+        const rules = SIM_TYPE_RULES[this.type];
+        if (!rules.locations.includes(location)) {
+            return this.reply(`#ERR:LOC_NOT_ALLOWED:${location}:TYPE${this.type}`);
+        }
+
+        const typeCount = this.slots.filter(slot => rules.locations.includes(slot.location)).length;
+        if (typeCount >= rules.max) {
+            return this.reply(`#ERR:TYPE_FULL:${this.type}:${rules.max}`);
+        }
+
+        const sameLoc = this.slots.find(slot => slot.location === location);
+        if (sameLoc) {
+            return this.reply(`#ERR:DUP_LOC:${location}:${sameLoc.mac}`);
+        }
+
+        const slot = { mac, location, connected: false };
+        this.slots.push(slot);
+        this.reply(`#DM:CONN:OK:${mac}:${location}`);
+        this.after(SIM_RESPONSE_DELAY_MS * 5, () => {
+            slot.connected = true;
+            this.emit(`#BLE:RAW:+CONN:${mac}`);
+        });
+    }
+
+    /**
+     * MAN:START:Freq,Level,Minutes,Loc1[,Loc2,...] / MAN:STOP
+     */
+    handleMan(sub, arg) {
+        if (sub === 'STOP') {
+            if (this.mode === 'MAN') this.stopMode();
+            return this.reply('#MAN:STOP:OK');
+        }
+        if (sub !== 'START') {
+            return this.reply('#ERR:MAN:UNKNOWN_CMD');
+        }
+
+        const [freq, level, minutes, ...locations] = arg.split(',').map(Number);
+        const valid = freq >= 10 && freq <= 100 &&
+            level >= 1 && level <= 5 &&
+            minutes >= 1 && minutes <= 20 &&
+            locations.length > 0 && locations.every(loc => Number.isInteger(loc) && loc > 0);
+        if (!valid) {
+            return this.reply('#ERR:MAN:START:INVALID_ARG');
+        }
+        if (this.mode !== 'IDLE' && this.mode !== 'MAN') {
+            return this.reply('#ERR:MAN:START:BUSY');
+        }
+
+        this.stopMode();
+        this.mode = 'MAN';
+        this.reply('#MAN:START:OK');
+        this.modeTimer = this.after(minutes * 60000 / this.timeScale, () => {
+            this.mode = 'IDLE';
+            this.emit('#MAN:TIMEOUT');
+        });
+    }
+
+    /**
+     * DS:START / DS:STOP
+     */
+    handleDs(sub) {
+        if (sub === 'STOP') {
+            if (this.mode === 'DS') this.stopMode();
+            return this.reply('#DS:STOP:OK');
+        }
+        if (sub !== 'START') {
+            return this.reply('#ERR:DS:UNKNOWN_CMD');
+        }
+        if (!this.type) {
+            return this.reply('#ERR:NO_TYPE');
+        }
+        if (this.mode !== 'IDLE' && this.mode !== 'DS') {
+            return this.reply('#ERR:DS:START:BUSY');
+        }
+
+        this.mode = 'DS';
+        this.reply('#DS:START:OK');
+    }
+
+    /**
+     * EVAL:START / EVAL:STOP / EVAL:SEN:<name{value}> (parameters of SENSOR_PARAMS)
+     */
+    handleEval(sub, arg) {
+        switch (sub) {
+            case 'START':
+                if (!this.type) return this.reply('#ERR:NO_TYPE');
+                if (this.mode !== 'IDLE' && this.mode !== 'EVAL') return this.reply('#ERR:EVAL:START:BUSY');
+                this.stopMode();
+                this.mode = 'EVAL';
+                this.evalSamples = [];
+                this.reply('#EVAL:START:OK');
+                this.modeTimer = this.every(SIM_EVAL_INTERVAL_MS, () => this.emitEvalSample());
+                return;
+            case 'STOP': {
+                if (this.mode !== 'EVAL') return this.reply('#ERR:EVAL:STOP:NOT_STARTED');
+                this.stopMode();
+                return this.reply('#EVAL:STOP:STOP_OK:' + this.evalAverages().join(','));
+            }
+            case 'SEN': {
+                const match = arg.match(/^<([a-z_]+?)(-?[0-9.]+)>$/);
+                if (!match || SIM_PROTOCOL.checkSensorValue(match[1], match[2])) {
+                    return this.reply('#ERR:EVAL:SEN:INVALID_ARG');
+                }
+                const value = Number(match[2]);
+                this.sensorSettings[match[1]] = value;
+                return this.reply(`#EVAL:SEN:OK:<${match[1]}${value}>`);
+            }
+            default:
+                return this.reply('#ERR:EVAL:UNKNOWN_CMD');
+        }
+    }
+
+    /**
+     * Stream one evaluation sample
+     * Foot (type 1,2,4): #EVAL:DATA:{L_dist},{L_speed},{R_dist},{R_speed}
+     * Back (type 3):     #EVAL:DATA:{L_tilt},{R_tilt}
+     */
+    emitEvalSample() {
+        const noise = (range) => (this.random() - 0.5) * range;
+        let sample;
+
+        if (this.type === 3) {
+            sample = [Math.round(12 + noise(6)), Math.round(9 + noise(6))];
+        } else {
+            sample = [
+                Math.round(48 + noise(10)), Math.round(80 + noise(16)),
+                Math.round(42 + noise(10)), Math.round(72 + noise(16))
+            ];
+        }
+
+        this.evalSamples.push(sample);
+        this.emit('#EVAL:DATA:' + sample.join(','));
+    }
+
+    /**
+     * Averages of the streamed samples plus asymmetry (%), as sent with STOP_OK
+     * Foot: L_dist, L_speed, R_dist, R_speed, asym - Back: L_tilt, R_tilt, asym
+     */
+    evalAverages() {
+        const width = this.type === 3 ? 2 : 4;
+        const count = this.evalSamples.length;
+        const avg = Array.from({ length: width }, (_, i) =>
+            count ? Math.round(this.evalSamples.reduce((sum, s) => sum + s[i], 0) / count) : 0);
+
+        const left = avg[0];
+        const right = this.type === 3 ? avg[1] : avg[2];
+        const asym = Math.max(left, right) ? Math.round(Math.abs(left - right) / Math.max(left, right) * 100) : 0;
+
+        return [...avg, asym];
+    }
+
+    /**
+     * Stop the running mode's timers
+     */
+    stopMode() {
+        this.cancel(this.modeTimer);
+        this.mode = 'IDLE';
+    }
+
+    /**
+     * DM:STATUS payload: <type|0>,<slot count>[,<MAC>/<LOC>/<1|0 connected>...]
+     */
+    statusString() {
+        const slots = this.slots.map(slot => `${slot.mac}/${slot.location}/${slot.connected ? 1 : 0}`);
+        return [this.type || 0, this.slots.length, ...slots].join(',');
+    }
+
+    /**
+     * Send a reply after the firmware processing delay
+     */
+    reply(line, delay = SIM_RESPONSE_DELAY_MS) {
+        this.after(delay, () => this.emit(line));
+    }
+
+    /**
+     * Send a line to the app
+     */
+    emit(line) {
+        this.onLine(line);
+    }
+
+    after(ms, fn) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            fn();
+        }, ms);
+        this.timers.add(id);
+        return id;
+    }
+
+    every(ms, fn) {
+        const id = setInterval(fn, ms);
+        this.timers.add(id);
+        return id;
+    }
+
+    cancel(id) {
+        if (id === undefined || id === null) return;
+        clearTimeout(id);
+        clearInterval(id);
+        this.timers.delete(id);
+    }
+
+    clearTimers() {
+        this.timers.forEach(id => {
+            clearTimeout(id);
+            clearInterval(id);
+        });
+        this.timers.clear();
+    }
+}
+
+/**
+ * Transport backed by SimulatedHub (same interface as BleTransport)
+ * Replies are split into BLE-sized chunks so the line framer is exercised as with real hardware.
+ */
+class SimulatedTransport {
+    /**
+     * @param {Object} [options] - SimulatedHub options plus chunkSize (bytes per notification)
+     */
+    constructor(options = {}) {
+        this.hub = new SimulatedHub(options);
+        this.hub.onLine = (line) => this.deliver(line);
+        this.chunkSize = options.chunkSize || 20;
+        this.encoder = new TextEncoder();
+        this.connected = false;
+        this.downUntil = 0;
+        this.onData = () => {};
+        this.onDisconnect = () => {};
+    }
+
+    get name() {
+        return 'VIBECUE-SIM';
+    }
+
+    async connect() {
+        this.connected = true;
+        return this.name;
+    }
+
+    async reconnect() {
+        if (Date.now() < this.downUntil) {
+            throw new Error('Simulated hub out of range');
+        }
+        this.connected = true;
+    }
+
+    disconnect() {
+        this.connected = false;
+        this.hub.destroy();
+    }
+
+    async write(packet) {
+        if (!this.connected) {
+            throw new Error('Simulated link is down');
+        }
+        this.hub.receiveBytes(packet);
+    }
+
+    /**
+     * Pass a hub line to the app as notification-sized chunks
+     */
+    deliver(line) {
+        if (!this.connected) return;
+
+        const bytes = this.encoder.encode(line + '\r\n');
+        for (let i = 0; i < bytes.length; i += this.chunkSize) {
+            this.onData(bytes.slice(i, i + this.chunkSize));
+        }
+    }
+
+    /**
+     * Simulate the hub going out of range (reconnect fails until downMs elapsed)
+     * @param {number} [downMs=3000]
+     */
+    dropLink(downMs = 3000) {
+        this.connected = false;
+        this.downUntil = Date.now() + downMs;
+        this.onDisconnect();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulatedHub, SimulatedTransport, SIM_TYPE_RULES, SIM_MAX_SLOTS };
+}
@@ -0,0 +1,162 @@
+/**
+ * VibeCue Sensor Slots
+ *
+ * Model of the sensors paired to the hub, shown in the Device Management panel.
+ * Built from DM:STATUS replies, DM:CONN results, #BLE:RAW:+CONN/+DISCONN link
+ * events and the DUP_MAC/DUP_LOC errors (which name a slot the hub already has).
+ * Pairings are checked against DEVICE_TYPE_RULES before DM:CONN is sent; checks
+ * that rest on its provisional location lists are flagged as such.
+ *
+ * Slots are kept per hub: hub.sensorSlots [{mac, location, connected: true|false|null (unknown)}]
+ * and hub.slotsUpdatedAt (Date of the last change). The view shows the selected hub.
+ */
+
+/**
+ * Predict the hub's answer to DM:CONN:<mac>:<location>
+ * Checked in firmware order: NO_TYPE, SLOT_FULL, DUP_MAC, LOC_NOT_ALLOWED, TYPE_FULL, DUP_LOC
+ * @param {string} mac
+ * @param {string} location
+ * @param {Hub} [hub]
+ * @returns {{code: string, args: Object, provisional?: boolean}|null} - Expected error
+ *          (provisional: predicted from the provisional location lists), null if the pairing looks valid
+ */
+function checkPairing(mac, location, hub = selectedHub) {
+    const { deviceState, sensorSlots } = hub;
+    const rules = DEVICE_TYPE_RULES[deviceState.type];
+    if (!rules) {
+        return { code: 'NO_TYPE', args: {} };
+    }
+    if (sensorSlots.length >= MAX_SENSOR_SLOTS) {
+        return { code: 'SLOT_FULL', args: { max: MAX_SENSOR_SLOTS } };
+    }
+
+    const sameMac = sensorSlots.find(slot => slot.mac === mac);
+    if (sameMac) {
+        return { code: 'DUP_MAC', args: { mac, location: sameMac.location } };
+    }
+    const provisional = DEVICE_TYPE_LOCATIONS_PROVISIONAL;
+    if (!rules.locations.includes(location)) {
+        return { code: 'LOC_NOT_ALLOWED', args: { location, type: 'TYPE' + deviceState.type }, provisional };
+    }
+    if (sensorSlots.filter(slot => rules.locations.includes(slot.location)).length >= rules.max) {
+        return { code: 'TYPE_FULL', args: { type: deviceState.type, max: rules.max }, provisional };
+    }
+
+    const sameLoc = sensorSlots.find(slot => slot.location === location);
+    if (sameLoc) {
+        return { code: 'DUP_LOC', args: { location, mac: sameLoc.mac } };
+    }
+    return null;
+}
+
+/**
+ * Note for messages that rest on the location lists of DEVICE_TYPE_RULES
+ * @returns {string} - Empty once the lists are no longer provisional
+ */
+function locationRuleNote() {
+    return DEVICE_TYPE_LOCATIONS_PROVISIONAL ? ' ' + t('rules.provisional') : '';
+}
+
+/**
+ * Add or update a slot
+ * @param {Hub} hub
+ */
+function setSlot(hub, mac, location, connected) {
+    const slot = hub.sensorSlots.find(s => s.mac === mac);
+    if (slot) {
+        slot.location = location;
+        if (connected !== undefined) slot.connected = connected;
+    } else {
+        hub.sensorSlots.push({ mac, location, connected: connected === undefined ? null : connected });
+    }
+    slotsChanged(hub);
+}
+
+/**
+ * Update slots from a protocol event
+ * @param {Object} event - Parsed event from parseResponse()
+ */
+function handleSlotEvent(event) {
+    const hub = event.hub;
+
+    switch (event.type) {
+        case 'status':
+            hub.sensorSlots = event.slots.map(slot => ({ ...slot }));
+            slotsChanged(hub);
+            break;
+        case 'response':
+            if (event.group === 'DM' && event.sub === 'CONN') {
+                // #DM:CONN:OK:<MAC>:<LOC> - paired, link comes up with +CONN
+                const [mac, location] = event.data.split(':');
+                setSlot(hub, mac, location, false);
+            } else if (event.group === 'DM' && event.sub === 'RESET') {
+                hub.sensorSlots = [];
+                slotsChanged(hub);
+            }
+            break;
+        case 'bleRaw':
+            if (event.event !== 'CONN' && event.event !== 'DISCONN') break;
+            if (event.mac && hub.sensorSlots.some(s => s.mac === event.mac)) {
+                hub.sensorSlots.find(s => s.mac === event.mac).connected = event.event === 'CONN';
+                slotsChanged(hub);
+            } else if (hub.isConnected) {
+                // Unknown or unnamed sensor: ask the hub for the current slots
+                sendCommand('DM:STATUS:REQ', { hub }).catch(() => {});
+            }
+            break;
+        case 'error':
+            // The hub names a slot it already has
+            if ((event.code === 'DUP_MAC' || event.code === 'DUP_LOC') && event.args.mac && event.args.location) {
+                setSlot(hub, event.args.mac, event.args.location);
+            }
+            break;
+    }
+}
+
+function slotsChanged(hub) {
+    hub.slotsUpdatedAt = new Date();
+    if (hub === selectedHub) {
+        updateSlotView();
+    }
+}
+
+/**
+ * Draw the slot table (selected hub)
+ */
+function updateSlotView() {
+    const { deviceState, sensorSlots, slotsUpdatedAt } = selectedHub;
+    const view = document.getElementById('sensorSlots');
+    const summary = document.getElementById('slotSummary');
+    const rules = DEVICE_TYPE_RULES[deviceState.type];
+
+    const typeCount = rules ? sensorSlots.filter(slot => rules.locations.includes(slot.location)).length : 0;
+    summary.textContent = (rules ? t('slots.summaryType', { type: deviceState.type, count: typeCount, max: rules.max }) : t('slots.noType')) +
+        ' · ' + t('slots.summarySlots', { count: sensorSlots.length, max: MAX_SENSOR_SLOTS }) +
+        (slotsUpdatedAt ? ` · ${slotsUpdatedAt.toLocaleTimeString()}` : '');
+
+    let html = '';
+    for (let i = 0; i < MAX_SENSOR_SLOTS; i++) {
+        const slot = sensorSlots[i];
+        if (!slot) {
+            html += `<tr class="slot-empty"><td>${i + 1}</td><td>-</td><td>-</td><td>-</td></tr>`;
+            continue;
+        }
+
+        const link = slot.connected === null ? ['unknown', '?'] : (slot.connected ? ['up', t('slots.up')] : ['down', t('slots.down')]);
+        const allowed = !rules || rules.locations.includes(slot.location);
+        html += `<tr>
+            <td>${i + 1}</td>
+            <td${allowed ? '' : ` class="slot-invalid" title="${t('slots.invalid') + locationRuleNote()}"`}>${escapeHtml(locationLabel(slot.location))} (${escapeHtml(slot.location)})</td>
+            <td class="slot-mac">${escapeHtml(slot.mac)}</td>
+            <td><span class="slot-link slot-link-${link[0]}"></span>${link[1]}</td>
+        </tr>`;
+    }
+    view.innerHTML = html;
+}
+
+// Protocol event subscriptions
+['status', 'response', 'bleRaw', 'error'].forEach(type => onProtocolEvent(type, handleSlotEvent));
+
+onLanguageChange(updateSlotView);
+
+window.addEventListener('load', updateSlotView);
@@ -0,0 +1,415 @@
+/**
+ * VibeCue Trial Statistics
+ *
+ * Statistics across the EVAL:STOP trials of a session: count, mean, SD
+ * (sample), min and max of every averaged value (EVAL_COLUMNS), per data type.
+ * Trials whose asymmetry exceeds the threshold set in the Evaluation panel are
+ * flagged, here and in the Evaluation table. Two sessions of the selected
+ * subject - e.g. before and after therapy - can be compared metric by metric
+ * (difference B - A and change in % of A), and a printable report with the
+ * metrics, the comparison and per-trial charts opens in a new window.
+ *
+ * Sources: '' is the selected hub's Evaluation table (trials since the last
+ * clear, or the session loaded from history), a number is a saved session.
+ *
+ * Statistics: { foot|back: { trials, flagged, metrics: { key: {n, mean, sd, min, max} } } }
+ */
+
+const STATS_THRESHOLD_KEY = 'vibecue_asym_threshold';
+const STATS_DEFAULT_THRESHOLD = 10;    // Asymmetry (%) above which a trial is flagged
+const STATS_COLORS = { a: '#6678b8', b: '#d4944a', flag: '#c86b6b' };
+
+let asymThreshold = STATS_DEFAULT_THRESHOLD;
+
+/**
+ * Summary of a list of numbers
+ * @param {number[]} values
+ * @returns {{n: number, mean: number|null, sd: number|null, min: number|null, max: number|null}} - sd needs 2 values
+ */
+function describeValues(values) {
+    const n = values.length;
+    if (n === 0) return { n, mean: null, sd: null, min: null, max: null };
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : null;
+    return { n, mean, sd, min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Is the trial's asymmetry above the threshold?
+ * @param {Object} row - Row from hub.evalDataRows
+ */
+function isAsymmetryFlagged(row) {
+    return typeof row.asymmetry === 'number' && Math.abs(row.asymmetry) > asymThreshold;
+}
+
+/**
+ * Statistics of a list of trials, per data type present
+ * @param {Object[]} rows - Rows from hub.evalDataRows or saved results
+ */
+function computeTrialStats(rows) {
+    const stats = {};
+    Object.entries(EVAL_COLUMNS).forEach(([type, columns]) => {
+        const trials = rows.filter(row => row.type === type);
+        if (trials.length === 0) return;
+
+        stats[type] = {
+            trials: trials.length,
+            flagged: trials.filter(isAsymmetryFlagged).length,
+            metrics: Object.fromEntries(columns.map(col => [col.key,
+                describeValues(trials.map(row => row[col.key]).filter(v => typeof v === 'number' && !isNaN(v)))]))
+        };
+    });
+    return stats;
+}
+
+/**
+ * Compare two sets of statistics (B against A), for the data types both have
+ * @returns {Object} - { type: [{key, a, b, diff, change}] }, change in % of A's mean (null if A's mean is 0)
+ */
+function compareTrialStats(statsA, statsB) {
+    const comparison = {};
+    Object.keys(statsA).filter(type => statsB[type]).forEach(type => {
+        comparison[type] = EVAL_COLUMNS[type].map(col => {
+            const a = statsA[type].metrics[col.key];
+            const b = statsB[type].metrics[col.key];
+            const diff = a.mean !== null && b.mean !== null ? b.mean - a.mean : null;
+            return { key: col.key, a, b, diff, change: diff !== null && a.mean !== 0 ? diff / Math.abs(a.mean) * 100 : null };
+        });
+    });
+    return comparison;
+}
+
+function formatStat(value, signed = false) {
+    if (value === null || value === undefined) return '-';
+    return (signed && value > 0 ? '+' : '') + value.toFixed(1);
+}
+
+function formatMeanSd(summary) {
+    if (summary.mean === null) return '-';
+    return summary.sd === null ? formatStat(summary.mean) : `${formatStat(summary.mean)} ± ${formatStat(summary.sd)}`;
+}
+
+function columnLabel(type, key) {
+    return t(EVAL_COLUMNS[type].find(col => col.key === key).labelKey);
+}
+
+/**
+ * Threshold input changed
+ * @param {HTMLInputElement} input
+ */
+function setAsymThreshold(input) {
+    const value = Number(input.value);
+    if (input.value.trim() === '' || isNaN(value) || value < 0 || value > 100) {
+        alert(t('stats.invalidThreshold'));
+        input.value = asymThreshold;
+        return;
+    }
+
+    asymThreshold = value;
+    localStorage.setItem(STATS_THRESHOLD_KEY, String(value));
+    updateEvalTable();
+}
+
+/**
+ * Trials of a source
+ * @param {string|number} source - '' for the Evaluation table, or a session id
+ * @returns {Promise<Object[]>}
+ */
+async function loadStatsSource(source) {
+    if (!source) return selectedHub.evalDataRows;
+
+    const results = await dbGetAll('results', 'sessionId', Number(source));
+    return results.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Summary table of the Evaluation table's trials (called with every table update)
+ */
+function updateTrialStats() {
+    const view = document.getElementById('statsSummary');
+    const stats = computeTrialStats(selectedHub.evalDataRows);
+
+    if (Object.keys(stats).length === 0) {
+        view.innerHTML = `<span style="color: #aaa;">${t('stats.noTrials')}</span>`;
+        return;
+    }
+    view.innerHTML = Object.entries(stats).map(([type, typeStats]) => statsTableHtml(type, typeStats)).join('');
+}
+
+/**
+ * @param {string} type - 'foot' or 'back'
+ * @param {Object} typeStats
+ */
+function statsTableHtml(type, typeStats) {
+    const flagged = typeStats.flagged > 0
+        ? `<span class="stats-flag">${t('stats.flagged', { count: typeStats.flagged, threshold: asymThreshold })}</span>`
+        : t('stats.noneFlagged', { threshold: asymThreshold });
+
+    return `<div class="stats-caption">${t(`stats.type.${type}`)} · ${t('history.trials', { count: typeStats.trials })} · ${flagged}</div>
+        <table class="slot-table stats-table">
+            <thead><tr><th>${t('stats.colMetric')}</th><th>n</th><th>${t('stats.colMeanSd')}</th><th>${t('stats.colMin')}</th><th>${t('stats.colMax')}</th></tr></thead>
+            <tbody>${Object.entries(typeStats.metrics).map(([key, summary]) => `<tr>
+                <td>${columnLabel(type, key)}</td>
+                <td>${summary.n}</td>
+                <td>${formatMeanSd(summary)}</td>
+                <td>${formatStat(summary.min)}</td>
+                <td>${formatStat(summary.max)}</td>
+            </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+/**
+ * @param {Object} comparison - From compareTrialStats()
+ * @param {Object} statsA
+ * @param {Object} statsB
+ * @param {string[]} labels - Names of A and B
+ */
+function comparisonTableHtml(comparison, statsA, statsB, labels) {
+    return Object.entries(comparison).map(([type, rows]) => {
+        const flaggedDiff = statsB[type].flagged - statsA[type].flagged;
+        return `<div class="stats-caption">${t(`stats.type.${type}`)} · ${escapeHtml(labels[0])}: ${t('history.trials', { count: statsA[type].trials })}` +
+            ` · ${escapeHtml(labels[1])}: ${t('history.trials', { count: statsB[type].trials })}</div>
+        <table class="slot-table stats-table">
+            <thead><tr><th>${t('stats.colMetric')}</th><th>A: ${escapeHtml(labels[0])}</th><th>B: ${escapeHtml(labels[1])}</th>` +
+                `<th>${t('stats.colDiff')}</th><th>${t('stats.colChange')}</th></tr></thead>
+            <tbody>${rows.map(row => `<tr>
+                <td>${columnLabel(type, row.key)}</td>
+                <td>${formatMeanSd(row.a)}</td>
+                <td>${formatMeanSd(row.b)}</td>
+                <td>${formatStat(row.diff, true)}</td>
+                <td>${row.change === null ? '-' : formatStat(row.change, true) + '%'}</td>
+            </tr>`).join('')}
+            <tr>
+                <td>${t('stats.flaggedTrials', { threshold: asymThreshold })}</td>
+                <td>${statsA[type].flagged} / ${statsA[type].trials}</td>
+                <td>${statsB[type].flagged} / ${statsB[type].trials}</td>
+                <td>${flaggedDiff > 0 ? '+' : ''}${flaggedDiff}</td>
+                <td></td>
+            </tr></tbody>
+        </table>`;
+    }).join('');
+}
+
+/**
+ * Fill the comparison select boxes with the selected subject's sessions
+ * @param {Object[]} sessions - Sessions of the selected subject, newest first
+ */
+function updateCompareOptions(sessions) {
+    const options = `<option value="">${t('stats.currentTable')}</option>` +
+        sessions.map(s => `<option value="${s.id}">${escapeHtml(s.label)} · ${new Date(s.createdAt).toLocaleDateString()}</option>`).join('');
+
+    ['compareA', 'compareB'].forEach(id => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        select.innerHTML = options;
+        select.value = sessions.some(s => String(s.id) === value) ? value : '';
+    });
+    // Oldest session as A (before), newest as B (after) when nothing was picked
+    const selectA = document.getElementById('compareA');
+    const selectB = document.getElementById('compareB');
+    if (sessions.length >= 2 && !selectA.value && !selectB.value) {
+        selectA.value = sessions[sessions.length - 1].id;
+        selectB.value = sessions[0].id;
+    }
+}
+
+/**
+ * Label of a comparison source
+ * @param {string} id - Select box id
+ */
+function compareSourceLabel(id) {
+    const select = document.getElementById(id);
+    const option = select.options[select.selectedIndex];
+    return option ? option.textContent : t('stats.currentTable');
+}
+
+/**
+ * Compare the sources picked as A and B
+ */
+async function compareSessions() {
+    const view = document.getElementById('statsCompare');
+    const sourceA = document.getElementById('compareA').value;
+    const sourceB = document.getElementById('compareB').value;
+    if (sourceA === sourceB) {
+        alert(t('stats.sameSource'));
+        return;
+    }
+
+    try {
+        const [rowsA, rowsB] = await Promise.all([loadStatsSource(sourceA), loadStatsSource(sourceB)]);
+        const statsA = computeTrialStats(rowsA);
+        const statsB = computeTrialStats(rowsB);
+        const comparison = compareTrialStats(statsA, statsB);
+
+        if (Object.keys(comparison).length === 0) {
+            view.innerHTML = `<span style="color: #aaa;">${t('stats.nothingToCompare')}</span>`;
+            return;
+        }
+        view.innerHTML = comparisonTableHtml(comparison, statsA, statsB, [compareSourceLabel('compareA'), compareSourceLabel('compareB')]);
+    } catch (error) {
+        alert(t('history.loadFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Per-trial chart of one metric for the report (SVG)
+ * @param {string} title
+ * @param {Array<{label: string, color: string, values: number[], mean: number|null}>} series
+ * @param {number|null} limit - Threshold line (asymmetry)
+ */
+function trialChartSvg(title, series, limit = null) {
+    const width = 320;
+    const height = 150;
+    const pad = { left: 36, right: 8, top: 20, bottom: 20 };
+    const all = series.flatMap(s => s.values).concat(limit === null ? [] : [limit]);
+    if (all.length === 0) return '';
+
+    let min = Math.min(0, ...all);
+    let max = Math.max(...all);
+    if (max === min) max = min + 1;
+    max += (max - min) * 0.1;
+    const trials = Math.max(...series.map(s => s.values.length));
+    const x = i => pad.left + (trials > 1 ? i / (trials - 1) : 0.5) * (width - pad.left - pad.right);
+    const y = v => pad.top + (1 - (v - min) / (max - min)) * (height - pad.top - pad.bottom);
+
+    const lines = series.map(s => {
+        const points = s.values.map((v, i) => [x(i).toFixed(1), y(v).toFixed(1)]);
+        return (s.mean === null ? '' : `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(s.mean).toFixed(1)}" y2="${y(s.mean).toFixed(1)}" stroke="${s.color}" stroke-dasharray="4 3"/>`) +
+            `<polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="${s.color}" stroke-width="1.5"/>` +
+            points.map(([cx, cy]) => `<circle cx="${cx}" cy="${cy}" r="2.5" fill="${s.color}"/>`).join('');
+    }).join('');
+    const threshold = limit === null ? '' :
+        `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(limit).toFixed(1)}" y2="${y(limit).toFixed(1)}" stroke="${STATS_COLORS.flag}"/>` +
+        `<text x="${width - pad.right}" y="${(y(limit) - 3).toFixed(1)}" text-anchor="end" fill="${STATS_COLORS.flag}">${limit}</text>`;
+
+    return `<svg class="chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <text x="${pad.left}" y="12" font-weight="600">${escapeHtml(title)}</text>
+        <line x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${height - pad.bottom}" stroke="#999"/>
+        <line x1="${pad.left}" x2="${width - pad.right}" y1="${height - pad.bottom}" y2="${height - pad.bottom}" stroke="#999"/>
+        <text x="${pad.left - 4}" y="${y(max).toFixed(1)}" text-anchor="end" dominant-baseline="hanging">${formatStat(max)}</text>
+        <text x="${pad.left - 4}" y="${y(min).toFixed(1)}" text-anchor="end">${formatStat(min)}</text>
+        <text x="${(width + pad.left) / 2}" y="${height - 4}" text-anchor="middle">${t('stats.trialAxis', { count: trials })}</text>
+        ${threshold}${lines}
+    </svg>`;
+}
+
+/**
+ * Open the printable report of the sources picked as A and B
+ * (only A's when both pick the same source)
+ */
+async function openStatsReport() {
+    const sourceA = document.getElementById('compareA').value;
+    const sourceB = document.getElementById('compareB').value;
+    const sources = sourceA === sourceB ? [sourceA] : [sourceA, sourceB];
+    const labels = [compareSourceLabel('compareA'), compareSourceLabel('compareB')];
+
+    // Opened right away: popup blockers only allow windows opened by the click itself
+    const report = window.open('', '_blank');
+    if (!report) {
+        alert(t('stats.popupBlocked'));
+        return;
+    }
+
+    try {
+        const rowSets = await Promise.all(sources.map(loadStatsSource));
+        if (rowSets.every(rows => rows.length === 0)) {
+            report.close();
+            alert(t('stats.noTrials'));
+            return;
+        }
+        const subjects = selectedHub.subjectId ? await dbGetAll('subjects') : [];
+        const subject = subjects.find(s => s.id === selectedHub.subjectId);
+
+        report.document.open();
+        report.document.write(buildStatsReport(rowSets, labels, subject ? subject.name : null));
+        report.document.close();
+        logSent(`🖨️ Report opened: ${sources.length === 2 ? labels.join(' / ') : labels[0]}`);
+    } catch (error) {
+        report.close();
+        alert(t('history.loadFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Report page (self-contained HTML)
+ * @param {Array<Object[]>} rowSets - Trials of A (and B)
+ * @param {string[]} labels
+ * @param {string|null} subjectName
+ */
+function buildStatsReport(rowSets, labels, subjectName) {
+    const statSets = rowSets.map(computeTrialStats);
+    const colors = [STATS_COLORS.a, STATS_COLORS.b];
+    const last = rowSets.flat().filter(row => row.deviceType).pop();
+
+    const sections = rowSets.map((rows, i) => {
+        const stats = statSets[i];
+        const first = rows[0];
+        const end = rows[rows.length - 1];
+        return `<h2><span class="swatch" style="background: ${colors[i]}"></span>${rowSets.length > 1 ? (i ? 'B' : 'A') + ': ' : ''}${escapeHtml(labels[i])}</h2>
+            <p class="meta">${rows.length ? `${new Date(first.timestamp).toLocaleString()} ~ ${new Date(end.timestamp).toLocaleString()}` : t('stats.noTrials')}</p>
+            ${Object.entries(stats).map(([type, typeStats]) => statsTableHtml(type, typeStats)).join('')}
+            ${rows.filter(isAsymmetryFlagged).length ? `<p class="meta">${t('stats.flaggedList')}: ${rows.map((row, n) => isAsymmetryFlagged(row)
+                ? `#${n + 1} (${new Date(row.timestamp).toLocaleTimeString()}, ${formatStat(row.asymmetry)}%)` : null).filter(Boolean).join(', ')}</p>` : ''}`;
+    }).join('');
+
+    const comparison = rowSets.length > 1 ? compareTrialStats(statSets[0], statSets[1]) : {};
+    const compareSection = Object.keys(comparison).length
+        ? `<h2>${t('stats.comparison')}</h2>${comparisonTableHtml(comparison, statSets[0], statSets[1], labels)}`
+        : '';
+
+    const charts = Object.keys(EVAL_COLUMNS).filter(type => statSets.some(stats => stats[type])).map(type =>
+        `<h2>${t('stats.charts')} · ${t(`stats.type.${type}`)}</h2><div class="charts">` +
+        EVAL_COLUMNS[type].map(col => trialChartSvg(t(col.labelKey), rowSets.map((rows, i) => ({
+            color: colors[i],
+            values: rows.filter(row => row.type === type).map(row => row[col.key]).filter(v => typeof v === 'number'),
+            mean: statSets[i][type] ? statSets[i][type].metrics[col.key].mean : null
+        })), col.key === 'asymmetry' ? asymThreshold : null)).join('') +
+        '</div>').join('');
+
+    return `<!DOCTYPE html>
+<html lang="${currentLanguage}">
+<head>
+<meta charset="UTF-8">
+<title>${t('stats.reportTitle')}${subjectName ? ' - ' + escapeHtml(subjectName) : ''}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 12px; color: #333; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .meta { color: #777; margin: 2px 0; }
+    .stats-caption { margin: 8px 0 4px; font-weight: 600; }
+    .stats-flag { color: ${STATS_COLORS.flag}; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+    th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; }
+    th { background: #f3f3f3; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; }
+    .charts { display: flex; flex-wrap: wrap; gap: 12px; }
+    .chart { font-size: 9px; fill: #555; }
+    .print { float: right; }
+    @media print { .print { display: none; } h2 { break-after: avoid; } .chart, table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">${t('stats.print')}</button>
+<h1>${t('stats.reportTitle')}</h1>
+${subjectName ? `<p class="meta">${t('stats.subject')}: ${escapeHtml(subjectName)}</p>` : ''}
+<p class="meta">${t('stats.generated')}: ${new Date().toLocaleString()}${last ? ` · DM:TYPE ${last.deviceType}` : ''} · ${t('stats.threshold')}: ${asymThreshold}%</p>
+${sections}
+${compareSection}
+${charts}
+</body>
+</html>`;
+}
+
+// The summary is redrawn with the Evaluation table; comparisons are run again on demand
+onLanguageChange(() => {
+    document.getElementById('statsCompare').innerHTML = '';
+});
+
+window.addEventListener('load', () => {
+    const saved = Number(localStorage.getItem(STATS_THRESHOLD_KEY));
+    asymThreshold = localStorage.getItem(STATS_THRESHOLD_KEY) !== null && !isNaN(saved) ? saved : STATS_DEFAULT_THRESHOLD;
+    document.getElementById('asymThreshold').value = asymThreshold;
+    updateCompareOptions([]);
+    updateEvalTable();
+});
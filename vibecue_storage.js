@@ -0,0 +1,331 @@
+/**
+ * VibeCue EVAL History (IndexedDB)
+ *
+ * Subjects (patients) and sessions that can be created and picked in the
+ * Evaluation panel. Every EVAL:STOP:STOP_OK result is saved to the selected
+ * session together with its timestamp, device type, sensor settings and the
+ * paired sensors; results fed in by a trace replay are not saved. The history
+ * view lists past sessions and reloads them into the Evaluation table. Each hub
+ * has its own subject/session selection (hub.subjectId, hub.sessionId); the
+ * select boxes show the selected hub's.
+ *
+ * Stores: subjects {id, name, createdAt}
+ *         sessions {id, subjectId, label, createdAt}
+ *         results  {id, sessionId, subjectId, ...evalDataRows row}
+ */
+
+const DB_NAME = 'vibecue';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('subjects')) {
+                db.createObjectStore('subjects', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                sessions.createIndex('subjectId', 'subjectId');
+            }
+            if (!db.objectStoreNames.contains('results')) {
+                const results = db.createObjectStore('results', { keyPath: 'id', autoIncrement: true });
+                results.createIndex('sessionId', 'sessionId');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Run one request against a store
+ * @param {string} storeName - 'subjects', 'sessions' or 'results'
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} action
+ * @returns {Promise<*>} - Request result
+ */
+async function dbRequest(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function dbGetAll(storeName, indexName = null, key = null) {
+    return dbRequest(storeName, 'readonly', store =>
+        indexName ? store.index(indexName).getAll(key) : store.getAll());
+}
+
+/**
+ * Create a subject (asks for the name)
+ */
+async function createSubject() {
+    const name = prompt(t('history.subjectPrompt'));
+    if (!name || !name.trim()) return;
+
+    try {
+        selectedHub.subjectId = await dbRequest('subjects', 'readwrite', store =>
+            store.add({ name: name.trim(), createdAt: new Date().toISOString() }));
+        selectedHub.sessionId = null;
+        saveHistorySelection();
+        await refreshSubjectList();
+        logSent(`👤 Subject created: ${name.trim()}`);
+    } catch (error) {
+        alert(t('history.createSubjectFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Create a session for the selected subject (asks for a label)
+ */
+async function createSession() {
+    if (!selectedHub.subjectId) {
+        alert(t('history.selectSubjectFirst'));
+        return;
+    }
+
+    const now = new Date();
+    const label = prompt(t('history.sessionPrompt'), t('history.defaultSession', { date: now.toLocaleDateString() }));
+    if (label === null) return;
+
+    try {
+        selectedHub.sessionId = await dbRequest('sessions', 'readwrite', store => store.add({
+            subjectId: selectedHub.subjectId,
+            label: label.trim() || now.toLocaleString(),
+            createdAt: now.toISOString()
+        }));
+        saveHistorySelection();
+        await refreshSessionList();
+        logSent(`🗂️ Session created: ${label}`);
+    } catch (error) {
+        alert(t('history.createSessionFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Save an EVAL result row to the session selected for its hub
+ * @param {Object} row - Row from hub.evalDataRows
+ * @param {Hub} hub
+ */
+async function saveEvalResult(row, hub) {
+    const { subjectId, sessionId } = hub;
+    // Replayed trials are not measurements of the selected subject
+    if (replayActive && hub === replayHub) {
+        logReceived('⏪ Replayed EVAL result not saved', hub);
+        return;
+    }
+    if (!sessionId) {
+        logReceived('⚠️ No session selected - EVAL result not saved', hub);
+        return;
+    }
+
+    try {
+        row.id = await dbRequest('results', 'readwrite', store => store.add({
+            ...row,
+            sessionId,
+            subjectId
+        }));
+        row.sessionId = sessionId;
+        logReceived('💾 EVAL result saved to session', hub);
+        refreshHistoryView();
+    } catch (error) {
+        console.error('Saving EVAL result failed:', error);
+        logReceived('[ERROR] Saving EVAL result failed: ' + error.message, hub);
+    }
+}
+
+/**
+ * Load all results of a session into the Evaluation table (selected hub)
+ * @param {number} sessionId
+ */
+async function loadSessionResults(sessionId) {
+    try {
+        const results = await dbGetAll('results', 'sessionId', sessionId);
+        results.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        selectedHub.evalDataRows = results.map(row => ({ ...row, time: new Date(row.timestamp).toLocaleString() }));
+        updateEvalTable();
+        logSent(`📂 Loaded ${results.length} EVAL results from history`);
+    } catch (error) {
+        alert(t('history.loadFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Delete a session and its results
+ * @param {number} sessionId
+ */
+async function deleteSession(sessionId) {
+    if (!confirm(t('history.deleteConfirm'))) return;
+
+    try {
+        const results = await dbGetAll('results', 'sessionId', sessionId);
+        for (const result of results) {
+            await dbRequest('results', 'readwrite', store => store.delete(result.id));
+        }
+        await dbRequest('sessions', 'readwrite', store => store.delete(sessionId));
+
+        if (selectedHub.sessionId === sessionId) {
+            selectedHub.sessionId = null;
+            saveHistorySelection();
+        }
+        await refreshSessionList();
+    } catch (error) {
+        alert(t('history.deleteFailed', { error: error.message }));
+    }
+}
+
+/**
+ * Subject picked in the select box
+ */
+async function selectSubject(value) {
+    selectedHub.subjectId = value ? parseInt(value) : null;
+    selectedHub.sessionId = null;
+    saveHistorySelection();
+    await refreshSessionList();
+}
+
+/**
+ * Session picked in the select box
+ */
+function selectSession(value) {
+    selectedHub.sessionId = value ? parseInt(value) : null;
+    saveHistorySelection();
+    refreshHistoryView();
+}
+
+function saveHistorySelection() {
+    localStorage.setItem('vibecue_history_selection', JSON.stringify({
+        subjectId: selectedHub.subjectId,
+        sessionId: selectedHub.sessionId
+    }));
+}
+
+/**
+ * Fill the subject select box
+ */
+async function refreshSubjectList() {
+    const select = document.getElementById('subjectSelect');
+    const subjects = await dbGetAll('subjects');
+
+    select.innerHTML = `<option value="">${t('history.selectSubject')}</option>` +
+        subjects.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+
+    if (!subjects.some(s => s.id === selectedHub.subjectId)) {
+        selectedHub.subjectId = null;
+        selectedHub.sessionId = null;
+    }
+    select.value = selectedHub.subjectId || '';
+    await refreshSessionList();
+}
+
+/**
+ * Fill the session select box for the selected subject
+ */
+async function refreshSessionList() {
+    const select = document.getElementById('sessionSelect');
+    const sessions = selectedHub.subjectId ? await dbGetAll('sessions', 'subjectId', selectedHub.subjectId) : [];
+    sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    select.innerHTML = `<option value="">${t('history.selectSession')}</option>` +
+        sessions.map(s => `<option value="${s.id}">${escapeHtml(s.label)}</option>`).join('');
+
+    if (!sessions.some(s => s.id === selectedHub.sessionId)) {
+        selectedHub.sessionId = null;
+    }
+    select.value = selectedHub.sessionId || '';
+    updateCompareOptions(sessions);
+    refreshHistoryView();
+}
+
+/**
+ * Show or hide the session history list
+ */
+function toggleHistoryView() {
+    const view = document.getElementById('evalHistory');
+    view.style.display = view.style.display === 'none' ? '' : 'none';
+    refreshHistoryView();
+}
+
+/**
+ * List the sessions of the selected subject with result counts
+ */
+async function refreshHistoryView() {
+    const view = document.getElementById('evalHistory');
+    if (view.style.display === 'none') return;
+
+    if (!selectedHub.subjectId) {
+        view.innerHTML = `<span style="color: #aaa;">${t('history.hint')}</span>`;
+        return;
+    }
+
+    const sessions = await dbGetAll('sessions', 'subjectId', selectedHub.subjectId);
+    sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    if (sessions.length === 0) {
+        view.innerHTML = `<span style="color: #aaa;">${t('history.noSessions')}</span>`;
+        return;
+    }
+
+    const rows = await Promise.all(sessions.map(async session => {
+        const results = await dbGetAll('results', 'sessionId', session.id);
+        const current = session.id === selectedHub.sessionId ? ' history-current' : '';
+        return `<div class="history-row${current}">
+            <span><strong>${escapeHtml(session.label)}</strong> · ${new Date(session.createdAt).toLocaleString()} · ${t('history.trials', { count: results.length })}</span>
+            <span>
+                <button class="btn btn-warning" onclick="loadSessionResults(${session.id})">${t('history.load')}</button>
+                <button class="btn btn-danger" onclick="deleteSession(${session.id})">${t('common.delete')}</button>
+            </span>
+        </div>`;
+    }));
+    view.innerHTML = rows.join('');
+}
+
+/**
+ * Escape text for use in innerHTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// History unavailable: reported on load
+onLanguageChange(() => refreshSubjectList().catch(() => {}));
+
+window.addEventListener('load', async () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem('vibecue_history_selection') || '{}');
+        selectedHub.subjectId = saved.subjectId || null;
+        selectedHub.sessionId = saved.sessionId || null;
+        await refreshSubjectList();
+    } catch (error) {
+        console.warn('EVAL history unavailable:', error);
+        document.getElementById('subjectSelect').disabled = true;
+        document.getElementById('sessionSelect').disabled = true;
+    }
+});
@@ -7,210 +7,754 @@
  *
  * NO binary wrapper (0xAA 0x55), NO length field, NO checksum
  * Just plain text: $<command>\r\n
+ *
+ * Framing, the command queue, reconnection and the hub state are handled by
+ * VibeCueClient (vibecue_client.js, loaded by index.html through its classic-script
+ * build vibecue_client.classic.js); this file is the page around one client per hub.
  */
 
 // Global variables
-let bluetoothDevice = null;
-let gattServer = null;
-let writeCharacteristic = null;
-let notifyCharacteristic = null;
-let isConnected = false;
-let evalDataRows = [];
-let scanResults = [];  // Store scan results [{mac, rssi, name}]
-
-// BLE Service/Characteristic UUIDs (update these to match your device)
-const SERVICE_UUID = '0000fff0-0000-1000-8000-00805f9b34fb';
-const WRITE_CHAR_UUID = '0000fff2-0000-1000-8000-00805f9b34fb';
-const NOTIFY_CHAR_UUID = '0000fff1-0000-1000-8000-00805f9b34fb';
+let hubs = [];               // Hub connections (see class Hub)
+let selectedHub = null;      // Hub shown in the UI and targeted by commands
+let nextHubId = 1;
+let protocolListeners = {};  // Typed event subscribers {type: [handler]}
+
+// Command results list length
+const MAX_COMMAND_OUTCOMES = 20;
+
+// EVAL average columns per data type (table header, export column name)
+const EVAL_COLUMNS = {
+    foot: [
+        { key: 'lDist', labelKey: 'evalCol.lDist', exportKey: 'exportCol.lAvgDist' },
+        { key: 'lSpeed', labelKey: 'evalCol.lSpeed', exportKey: 'exportCol.lAvgSpeed' },
+        { key: 'rDist', labelKey: 'evalCol.rDist', exportKey: 'exportCol.rAvgDist' },
+        { key: 'rSpeed', labelKey: 'evalCol.rSpeed', exportKey: 'exportCol.rAvgSpeed' },
+        { key: 'asymmetry', labelKey: 'evalCol.asymmetry', exportKey: 'exportCol.asymmetry' }
+    ],
+    back: [
+        { key: 'lTilt', labelKey: 'evalCol.lTilt', exportKey: 'exportCol.lAvgTilt' },
+        { key: 'rTilt', labelKey: 'evalCol.rTilt', exportKey: 'exportCol.rAvgTilt' },
+        { key: 'asymmetry', labelKey: 'evalCol.asymmetry', exportKey: 'exportCol.asymmetry' }
+    ]
+};
 
 /**
- * Build simple text protocol packet
- * @param {string} payload - Text payload (e.g., "$DM:STATUS:REQ")
- * @returns {Uint8Array} - Complete packet bytes
+ * One hub connection
+ * Every hub has its own client (link, framer, command queue, device state), scan results,
+ * EVAL data and logs. Events parsed from its lines carry it as event.hub.
  */
-function buildPacket(payload) {
-    // Firmware expects simple text protocol: $<command>\r\n
-    // NO binary wrapper (0xAA 0x55), NO length field, NO checksum
-
-    // Add \r\n if not already present
-    if (!payload.endsWith('\r\n')) {
-        payload += '\r\n';
+class Hub {
+    constructor(id) {
+        this.id = id;
+        this.label = `Hub ${id}`;
+        this.transportType = null;  // 'ble', 'serial' or 'sim' while a link exists
+        this.connectionState = { connected: false, deviceName: '' };
+        this.client = new VibeCueClient({ protocol: VIBECUE_PROTOCOL, beforeSend: command => checkCommandInterlock(this, command) });
+        applyCommandSettings(this.client);
+        bindClientEvents(this);
+
+        this.scanResults = [];      // [{mac, rssi, name}]
+        this.evalDataRows = [];
+        this.statusEvent = null;    // Event of the last device status line
+        this.outcomeList = null;    // Command results list element
+
+        // State of the other modules
+        this.logEntries = [];       // Sent/received log (vibecue_log.js)
+        this.evalSamples = [];      // Raw EVAL:DATA samples (vibecue_charts.js)
+        this.evalTrial = 0;
+        this.evalTrialStart = null;
+        this.sensorSlots = [];      // Paired sensors with link state (vibecue_slots.js)
+        this.slotsUpdatedAt = null;
+        this.sensorHealth = {};     // Link and RSSI history per sensor MAC (vibecue_health.js)
+        this.subjectId = null;      // EVAL history selection (vibecue_storage.js)
+        this.sessionId = null;
     }
 
-    const packet = new TextEncoder().encode(payload);
+    // Active link (BleTransport, SerialTransport or SimulatedTransport), kept while reconnecting
+    get transport() {
+        return this.client.transport;
+    }
 
-    if (packet.length > 64) {
-        console.error('Payload too long:', packet.length, 'bytes (max 64)');
-        return null;
+    get isConnected() {
+        return this.client.connected;
     }
 
-    return packet;
+    // Hub settings accepted so far: DM:TYPE, EVAL:SEN values, paired sensors [{mac, location}], running mode ('MAN', 'DS', 'EVAL') and its start
+    get deviceState() {
+        return this.client.state;
+    }
 }
 
 /**
- * Parse received BLE packet (simple text protocol)
- * @param {DataView} dataView - Received data
- * @returns {string|null} - Extracted text or null if invalid
+ * Web Bluetooth transport
+ *
+ * Transport interface (shared with SimulatedTransport in vibecue_sim.js):
+ * - connect(): Promise<string>  - open the link, resolves with the device name
+ * - reconnect(): Promise<void>  - reopen the same link after a drop (no chooser prompt)
+ * - disconnect(): void          - close the link on purpose (onDisconnect is not called)
+ * - write(packet): Promise<void>
+ * - name                        - connected device name
+ * - onData(bytes), onDisconnect() - callbacks assigned by VibeCueClient.connect()
  */
-function parsePacket(dataView) {
-    const bytes = new Uint8Array(dataView.buffer);
-
-    // Firmware sends simple text protocol: #<response>\r\n or $<data>\r\n
-    // Just decode as text directly
-    const text = new TextDecoder().decode(bytes);
-
-    // Remove trailing whitespace
-    return text.trim();
-}
+class BleTransport {
+    /**
+     * @param {string} deviceName - Name filter for the chooser (empty: show all devices)
+     * @param {Object} profile - GATT profile (UUIDs, MTU, write type; see vibecue_gatt.js)
+     */
+    constructor(deviceName, profile) {
+        this.deviceName = deviceName;
+        this.profile = profile;
+        this.device = null;
+        this.server = null;
+        this.writeChar = null;
+        this.notifyChar = null;
+        this.withResponse = profile.writeMode === 'withResponse';
+        this.writeChain = Promise.resolve();
+        this.onData = () => {};
+        this.onDisconnect = () => {};
+        this.handleValue = (event) => this.onData(parsePacket(event.target.value));
+        this.handleDisconnected = () => this.onDisconnect();
+    }
 
-/**
- * Connect to Bluetooth device
- */
-async function connectBluetooth() {
-    const deviceName = document.getElementById('deviceName').value.trim();
+    get name() {
+        return this.device ? this.device.name : '';
+    }
 
-    try {
+    async connect() {
         // Request device
         const options = {
-            optionalServices: [SERVICE_UUID]
+            optionalServices: [this.profile.serviceUuid]
         };
 
-        if (deviceName) {
-            options.filters = [{ name: deviceName }];
+        if (this.deviceName) {
+            options.filters = [{ name: this.deviceName }];
         } else {
             options.acceptAllDevices = true;
         }
 
-        bluetoothDevice = await navigator.bluetooth.requestDevice(options);
+        this.device = await navigator.bluetooth.requestDevice(options);
+        this.device.addEventListener('gattserverdisconnected', this.handleDisconnected);
+
+        await this.setupGatt();
+        return this.device.name;
+    }
+
+    async reconnect() {
+        await this.setupGatt();
+    }
 
+    /**
+     * Connect GATT, get characteristics and subscribe to notifications
+     * Used for the first connection and for every reconnect to the same device
+     */
+    async setupGatt() {
         // Connect to GATT server
-        gattServer = await bluetoothDevice.gatt.connect();
-        const service = await gattServer.getPrimaryService(SERVICE_UUID);
+        this.server = await this.device.gatt.connect();
+        const service = await this.server.getPrimaryService(this.profile.serviceUuid);
 
         // Get characteristics
-        writeCharacteristic = await service.getCharacteristic(WRITE_CHAR_UUID);
-        notifyCharacteristic = await service.getCharacteristic(NOTIFY_CHAR_UUID);
+        this.writeChar = await service.getCharacteristic(this.profile.writeUuid);
+        this.notifyChar = await service.getCharacteristic(this.profile.notifyUuid);
+
+        // Use the other write type if the characteristic lacks the chosen one
+        const { write, writeWithoutResponse } = this.writeChar.properties;
+        this.withResponse = this.profile.writeMode === 'withResponse' ? write || !writeWithoutResponse : !writeWithoutResponse;
+        if (this.withResponse !== (this.profile.writeMode === 'withResponse')) {
+            console.warn(`Write characteristic does not support ${this.profile.writeMode}, using the other write type`);
+        }
 
         // Start notifications
-        await notifyCharacteristic.startNotifications();
-        notifyCharacteristic.addEventListener('characteristicvaluechanged', handleNotification);
+        await this.notifyChar.startNotifications();
+        this.notifyChar.addEventListener('characteristicvaluechanged', this.handleValue);
+    }
+
+    disconnect() {
+        if (this.device) {
+            // Intentional disconnect - do not report a link drop
+            this.device.removeEventListener('gattserverdisconnected', this.handleDisconnected);
+        }
+
+        if (this.server && this.server.connected) {
+            this.server.disconnect();
+        }
+
+        this.device = null;
+        this.server = null;
+        this.writeChar = null;
+        this.notifyChar = null;
+    }
+
+    /**
+     * Write a packet as MTU-sized chunks
+     * Writes are chained: GATT allows one operation at a time and chunks of two packets must not interleave.
+     */
+    write(packet) {
+        const done = this.writeChain.then(() => this.writeChunks(packet));
+        this.writeChain = done.catch(() => {});
+        return done;
+    }
+
+    async writeChunks(packet) {
+        for (const chunk of chunkPacket(packet, this.profile.mtu)) {
+            const char = this.writeChar;
+            if (!char) {
+                throw new Error('Write characteristic not available');
+            }
+            if (this.withResponse) {
+                await (char.writeValueWithResponse ? char.writeValueWithResponse(chunk) : char.writeValue(chunk));
+            } else {
+                await char.writeValueWithoutResponse(chunk);
+            }
+        }
+    }
+}
+
+/**
+ * Web Serial transport (hub USB/UART port)
+ * Same byte stream as BLE notifications: bytes go through the line framer unchanged.
+ */
+class SerialTransport {
+    /**
+     * @param {number} baudRate
+     */
+    constructor(baudRate) {
+        this.baudRate = baudRate;
+        this.port = null;
+        this.portInfo = null;
+        this.reader = null;
+        this.closing = false;
+        this.writeChain = Promise.resolve();
+        this.onData = () => {};
+        this.onDisconnect = () => {};
+    }
+
+    get name() {
+        if (!this.portInfo) return '';
+        const { usbVendorId, usbProductId } = this.portInfo;
+        const id = usbVendorId !== undefined
+            ? ` ${usbVendorId.toString(16).padStart(4, '0')}:${usbProductId.toString(16).padStart(4, '0')}`
+            : '';
+        return `USB Serial${id} @ ${this.baudRate}`;
+    }
+
+    async connect() {
+        if (!navigator.serial) {
+            throw new Error('Web Serial API is not supported in this browser');
+        }
+
+        this.port = await navigator.serial.requestPort();
+        this.portInfo = this.port.getInfo();
+        await this.open();
+        return this.name;
+    }
+
+    /**
+     * Reopen the port granted before (it reappears when the cable is plugged in again)
+     */
+    async reconnect() {
+        const ports = await navigator.serial.getPorts();
+        const port = ports.find(p => {
+            const info = p.getInfo();
+            return info.usbVendorId === this.portInfo.usbVendorId && info.usbProductId === this.portInfo.usbProductId;
+        });
+        if (!port) {
+            throw new Error('Serial port not available');
+        }
+
+        this.port = port;
+        await this.open();
+    }
+
+    async open() {
+        await this.port.open({ baudRate: this.baudRate });
+        this.closing = false;
+        this.readLoop(this.port);
+    }
+
+    /**
+     * Pass received bytes on until the port closes
+     */
+    async readLoop(port) {
+        try {
+            while (port.readable) {
+                this.reader = port.readable.getReader();
+                try {
+                    for (;;) {
+                        const { value, done } = await this.reader.read();
+                        if (done) break;
+                        if (value && value.length) this.onData(value);
+                    }
+                } finally {
+                    this.reader.releaseLock();
+                    this.reader = null;
+                }
+                if (this.closing) break;
+            }
+        } catch (error) {
+            console.warn('Serial read failed:', error);
+        }
+
+        if (!this.closing) {
+            // Cable pulled or device reset
+            try {
+                await port.close();
+            } catch (error) {
+                // Already closed
+            }
+            this.onDisconnect();
+        }
+    }
+
+    disconnect() {
+        // Intentional disconnect - do not report a link drop
+        this.closing = true;
+        const port = this.port;
+        this.port = null;
+        if (!port) return;
+
+        const closePort = () => port.close().catch(() => {});
+        if (this.reader) {
+            this.reader.cancel().then(closePort, closePort);
+        } else {
+            closePort();
+        }
+    }
+
+    /**
+     * Write a packet
+     * Writes are chained: the stream has one writer at a time, and getWriter() throws while another holds the lock.
+     */
+    write(packet) {
+        const done = this.writeChain.then(() => this.writePacket(packet));
+        this.writeChain = done.catch(() => {});
+        return done;
+    }
+
+    async writePacket(packet) {
+        if (!this.port || !this.port.writable) {
+            throw new Error('Serial port not open');
+        }
+        const writer = this.port.writable.getWriter();
+        try {
+            await writer.write(packet);
+        } finally {
+            writer.releaseLock();
+        }
+    }
+}
+
+// Connection bar names of the transports
+const TRANSPORT_LABELS = {
+    ble: 'conn.ble',
+    serial: 'conn.serial',
+    sim: 'conn.sim'
+};
+
+/**
+ * Create the transport selected in the connection bar
+ * @param {string} type - 'ble', 'serial' or 'sim'
+ */
+function createTransport(type) {
+    if (type === 'sim') {
+        return new SimulatedTransport();
+    }
+    if (type === 'serial') {
+        return new SerialTransport(parseInt(document.getElementById('baudRate').value));
+    }
+    return new BleTransport(document.getElementById('deviceName').value.trim(), gattProfileFromPanel());
+}
+
+/**
+ * Show the options of the selected transport (device name filter and GATT profile, or baud rate)
+ */
+function updateTransportOptions() {
+    const type = document.getElementById('transportType').value;
+    document.getElementById('deviceName').style.display = type === 'ble' ? '' : 'none';
+    document.getElementById('gattSection').style.display = type === 'ble' ? '' : 'none';
+    document.getElementById('baudRate').style.display = type === 'serial' ? '' : 'none';
+}
+
+/**
+ * Connect the selected hub using the chosen transport (Bluetooth, USB serial or simulator)
+ */
+async function connectDevice() {
+    const hub = selectedHub;
+    if (hub.transport) return;
+
+    const type = document.getElementById('transportType').value;
+    if (type === 'ble') {
+        const problem = validateGattProfile(gattProfileFromPanel());
+        if (problem) {
+            alert(t('gatt.invalid', { problem }));
+            return;
+        }
+    }
+
+    try {
+        const name = await hub.client.connect(createTransport(type));
+        hub.transportType = type;
 
         // Update UI
-        isConnected = true;
-        updateConnectionStatus(true, bluetoothDevice.name);
-        document.getElementById('connectBtn').disabled = true;
-        document.getElementById('disconnectBtn').disabled = false;
+        updateConnectionStatus(hub, true, name);
+        updateConnectionControls();
 
-        logSent('🟢 Connected to: ' + bluetoothDevice.name);
-        logReceived('🟢 Connection established');
+        logSent('🟢 Connected to: ' + name, hub);
+        logReceived('🟢 Connection established', hub);
+        recordSessionEvent(hub, 'conn', `connected: ${name} (${type})`);
 
     } catch (error) {
-        console.error('Bluetooth connection failed:', error);
-        alert('Connection failed: ' + error.message);
-        updateConnectionStatus(false);
+        console.error('Connection failed:', error);
+        alert(t('conn.failed', { error: error.message }));
+        updateConnectionStatus(hub, false);
     }
 }
 
 /**
- * Disconnect from Bluetooth device
+ * Disconnect a hub (default: the selected one)
+ * Also cancels a running reconnection
+ * @param {Hub} [hub]
  */
-function disconnectBluetooth() {
-    if (gattServer && gattServer.connected) {
-        gattServer.disconnect();
+function disconnectDevice(hub = selectedHub) {
+    hub.client.disconnect();
+}
+
+/**
+ * Simulate the hub going out of range (simulator only) to exercise reconnection
+ */
+function simulateLinkDrop() {
+    if (selectedHub.transport instanceof SimulatedTransport) {
+        selectedHub.transport.dropLink();
     }
+}
 
-    isConnected = false;
-    bluetoothDevice = null;
-    gattServer = null;
-    writeCharacteristic = null;
-    notifyCharacteristic = null;
+/**
+ * Show the link events of a hub's client: disconnect, link loss and reconnection
+ * @param {Hub} hub
+ */
+function bindConnectionEvents(hub) {
+    const client = hub.client;
+
+    client.on('disconnect', ({ reason, attempts }) => {
+        if (reason === 'lost') {
+            // Hub out of range, power off, ... - the client reconnects
+            logReceived(`⚠️ Connection lost: ${client.name}`, hub);
+            recordSessionEvent(hub, 'conn', 'link lost');
+            return;
+        }
+        if (reason === 'failed') {
+            logSent(`❌ Reconnection failed after ${attempts} attempts`, hub);
+        }
+        hub.transportType = null;
+        updateConnectionStatus(hub, false);
+        updateConnectionControls();
+
+        logSent('🔴 Disconnected', hub);
+        recordSessionEvent(hub, 'conn', 'disconnected');
+    });
+
+    client.on('reconnecting', ({ attempt, attempts, delay }) => {
+        updateConnectionStatus(hub, 'reconnecting', `${attempt}/${attempts}`);
+        logSent(`🔄 Reconnecting in ${delay / 1000}s (attempt ${attempt}/${attempts})`, hub);
+    });
 
-    updateConnectionStatus(false);
-    document.getElementById('connectBtn').disabled = false;
-    document.getElementById('disconnectBtn').disabled = true;
+    client.on('reconnectFailed', ({ attempt, error }) => {
+        console.warn('Reconnect failed:', error);
+        logSent(`  ✗ Reconnect attempt ${attempt} failed: ${error.message}`, hub);
+    });
+
+    client.on('reconnect', ({ downtime, attempts }) => {
+        const seconds = (downtime / 1000).toFixed(1);
+        updateConnectionStatus(hub, true, client.name);
+
+        logReceived(`🟢 Reconnected to: ${client.name} (after ${seconds}s, ${attempts} attempt(s))`, hub);
+        recordSessionEvent(hub, 'conn', `reconnected after ${seconds}s`);
 
-    logSent('🔴 Disconnected');
+        restoreSessionSettings(hub);
+    });
+}
+
+/**
+ * Re-apply the last DM:TYPE and EVAL:SEN settings (if enabled)
+ * @param {Hub} hub
+ */
+function restoreSessionSettings(hub) {
+    if (!document.getElementById('restoreSettings')?.checked) return;
+
+    hub.client.sessionCommands.forEach(cmd => {
+        logSent(`  ↺ Restoring: ${cmd}`, hub);
+        sendCommand(cmd, { hub }).catch(error => logSent(`  ✗ Restore failed: ${cmd} (${error.code})`, hub));
+    });
+}
+
+/**
+ * Enable/disable the connection bar for the selected hub
+ */
+function updateConnectionControls() {
+    const hub = selectedHub;
+    const linked = !!hub.transport;
+
+    if (linked) {
+        document.getElementById('transportType').value = hub.transportType;
+        updateTransportOptions();
+    }
+    document.getElementById('connectBtn').disabled = linked;
+    document.getElementById('disconnectBtn').disabled = !linked;
+    document.getElementById('transportType').disabled = linked;
+    document.getElementById('baudRate').disabled = linked;
+    document.getElementById('simDropBtn').style.display = hub.transportType === 'sim' ? '' : 'none';
 }
 
 /**
  * Update connection status UI
+ * @param {Hub} hub
+ * @param {boolean|string} connected - true, false or 'reconnecting'
+ * @param {string} deviceName - Device name (or attempt counter while reconnecting)
  */
-function updateConnectionStatus(connected, deviceName = '') {
+function updateConnectionStatus(hub, connected, deviceName = '') {
+    hub.connectionState = { connected, deviceName };
+    updateHubBar();
+    if (hub !== selectedHub) return;
+
     const statusEl = document.getElementById('connectionStatus');
-    if (connected) {
+    const via = t(TRANSPORT_LABELS[hub.transportType || document.getElementById('transportType').value]);
+    if (connected === 'reconnecting') {
+        statusEl.className = 'status-badge status-reconnecting';
+        statusEl.textContent = t('conn.statusReconnecting', { via }) + (deviceName ? ' (' + deviceName + ')' : '') + '...';
+    } else if (connected) {
         statusEl.className = 'status-badge status-connected';
-        statusEl.textContent = '🟢 Connected' + (deviceName ? ': ' + deviceName : '');
+        statusEl.textContent = t('conn.statusConnected', { via }) + (deviceName ? ': ' + deviceName : '');
     } else {
         statusEl.className = 'status-badge status-disconnected';
-        statusEl.textContent = '🔴 Disconnected';
+        statusEl.textContent = t('conn.statusDisconnected');
     }
 }
 
 /**
- * Handle incoming notifications
+ * Handle incoming notifications (for the selected hub, e.g. trace replay)
  */
 function handleNotification(event) {
-    const payload = parsePacket(event.target.value);
+    handleData(selectedHub, parsePacket(event.target.value));
+}
 
-    if (!payload) {
-        logReceived('[ERROR] Failed to parse packet');
-        return;
+/**
+ * Handle bytes received from a hub's transport
+ * The client frames them into lines and emits one protocol event per line (see handleLine())
+ * @param {Hub} hub
+ * @param {Uint8Array} bytes - One chunk (BLE notification or simulator chunk)
+ */
+function handleData(hub, bytes) {
+    hub.client.receive(bytes);
+}
+
+/**
+ * Connect the events of a hub's client to the page
+ * @param {Hub} hub
+ */
+function bindClientEvents(hub) {
+    const client = hub.client;
+
+    client.on('*', event => handleLine(hub, event));
+    client.on('framingError', ({ reason, text, limit }) => handleFramingError(hub, reason, text, limit));
+    client.on('tx', ({ line, packet, quiet }) => {
+        if (!quiet) logTraffic(hub, 'tx', line, packet);
+        recordSessionEvent(hub, 'tx', line);
+    });
+    client.on('sendFailed', ({ error }) => {
+        console.error('Send failed:', error);
+        logSent('[ERROR] Send failed: ' + error.message, hub);
+    });
+    client.on('retry', ({ command, attempt, retries }) => logSent(`  ↻ Retry ${attempt}/${retries}: ${command}`, hub));
+    client.on('refused', ({ command, error }) => handleRefusedCommand(hub, command, error));
+    client.on('queued', ({ job }) => {
+        if (!job.quiet) job.outcome = addCommandOutcome(hub, job.command);
+    });
+    client.on('commandStatus', ({ job, status, detail, elapsed }) => {
+        if (job.outcome) updateCommandOutcome(job.outcome, status, detail, elapsed);
+    });
+    client.on('state', () => {
+        if (hub === selectedHub) {
+            updateSlotView();
+            updateSensorParamView();
+        }
+    });
+    client.on('mode', ({ mode }) => handleModeChange(hub, mode));
+    bindConnectionEvents(hub);
+}
+
+/**
+ * Report a line rejected by the framer
+ * @param {Hub} hub
+ * @param {string} reason - 'too_long' or 'unterminated'
+ * @param {string} text - Offending (partial) line
+ * @param {number} limit - Longest accepted line
+ */
+function handleFramingError(hub, reason, text, limit) {
+    const preview = text.length > 40 ? text.substring(0, 40) + '...' : text;
+    if (reason === 'too_long') {
+        logReceived(`[ERROR] Line too long (>${limit} chars), discarded: ${preview}`, hub);
+    } else {
+        logReceived(`[ERROR] Unterminated line (no \\r\\n), discarded: ${preview}`, hub);
+    }
+}
+
+/**
+ * Handle one protocol event of a hub (a complete line, parsed by its client with parseResponse())
+ * The event is tagged with its hub (event.hub) and passed to the subscribers registered with onProtocolEvent().
+ * @param {Hub} hub
+ * @param {Object} event
+ */
+function handleLine(hub, event) {
+    event.hub = hub;
+
+    if (!event.quiet) logTraffic(hub, 'rx', event.line, null, event);
+    recordSessionEvent(hub, 'rx', event.line);
+
+    emitProtocolEvent(event);
+}
+
+/**
+ * Subscribe to typed protocol events
+ * @param {string} type - Event type ('scanFound', 'evalResult', 'error', 'unknown', ...) or '*' for all
+ * @param {function(Object)} handler - Called with the event object
+ */
+function onProtocolEvent(type, handler) {
+    if (!protocolListeners[type]) {
+        protocolListeners[type] = [];
     }
+    protocolListeners[type].push(handler);
+}
 
-    const timestamp = new Date().toLocaleTimeString();
-    logReceived(`[${timestamp}] ${payload}`);
+/**
+ * Pass an event to its subscribers (one failing subscriber does not stop the others)
+ * @param {Object} event - Event from parseResponse()
+ */
+function emitProtocolEvent(event) {
+    const handlers = [...(protocolListeners[event.type] || []), ...(protocolListeners['*'] || [])];
+    handlers.forEach(handler => {
+        try {
+            handler(event);
+        } catch (error) {
+            console.error('Protocol event handler failed:', event.type, error);
+        }
+    });
+}
 
-    // Update device status
-    updateDeviceStatus(payload);
+/**
+ * Send VibeCue command through the hub's command queue (see VibeCueClient.send())
+ * @param {string} command - Command without $ prefix (e.g., "DM:STATUS:REQ")
+ * @param {Object} [options] - { hub: target hub (default: the selected hub),
+ *                              timeout: ms to wait for the response,
+ *                              retries: resends after a timeout (default: 0 for MAN/DS/EVAL:START and DM:CONN),
+ *                              force: send even if the command is not valid per the protocol catalog,
+ *                              quiet: keep the command and its reply out of the logs and the command results }
+ * @returns {Promise<string>} - Resolves with the correlated response line, rejects with CommandError
+ */
+function sendCommand(command, options = {}) {
+    return (options.hub || selectedHub).client.send(command, options);
+}
 
-    // Handle EVAL:STOP:STOP_OK response with average data
-    // Format: #EVAL:STOP:STOP_OK:{L_avg},{R_avg},{L_spd},{R_spd},{asym} (Type 1,2,4)
-    //         #EVAL:STOP:STOP_OK:{L_tilt},{R_tilt},{asym} (Type 3)
-    if (payload.startsWith('#EVAL:STOP:STOP_OK:')) {
-        handleEvalStopData(payload);
+/**
+ * Rejection handler for commands sent from the UI without waiting for them:
+ * command failures are already shown in the command results list, anything else is a bug.
+ * @param {Error} error
+ */
+function ignoreCommandError(error) {
+    if (!(error instanceof CommandError)) {
+        throw error;
     }
+}
 
-    // Note: #EVAL:DATA:... is only shown in log, not added to table
+/**
+ * Ask about a command that conflicts with the hub's running mode (beforeSend of the hub's client)
+ * @param {Hub} hub
+ * @param {string} command - Command without $ prefix
+ * @returns {CommandError|null} - Reason not to send, null to send
+ */
+function checkCommandInterlock(hub, command) {
+    const interlock = checkModeInterlock(hub, command);
+    if (!interlock) return null;
 
-    // Handle MAN timeout (format: #MAN:TIMEOUT)
-    if (payload.startsWith('#MAN:TIMEOUT')) {
-        logReceived('⏱️ Manual mode stopped (time elapsed)');
+    if (interlock.block) {
+        alert(interlock.block);
+        return new CommandError('BLOCKED', `${hub.deviceState.mode} running`);
     }
+    return confirm(interlock.confirm) ? null : new CommandError('CANCELLED', 'Cancelled');
 }
 
 /**
- * Send VibeCue command
- * @param {string} command - Command without $ prefix (e.g., "DM:STATUS:REQ")
+ * Show a command the client refused to queue
+ * @param {Hub} hub
+ * @param {string} command
+ * @param {CommandError} error
  */
-async function sendCommand(command) {
-    if (!isConnected || !writeCharacteristic) {
-        alert('Not connected! Please connect to a device first.');
+function handleRefusedCommand(hub, command, error) {
+    if (error.code === 'NOT_CONNECTED') {
+        alert(t('cmd.notConnected', { hub: hub.label }));
         return;
     }
 
-    try {
-        // Build payload with VibeCue format
-        const payload = `$${command}`;
-        const packet = buildPacket(payload);
-
-        if (!packet) {
-            alert('Failed to build packet (payload too long?)');
-            return;
-        }
+    logSent(error.code === 'INVALID_COMMAND'
+        ? `[ERROR] Invalid command "${command}": ${error.message}`
+        : `⛔ Not sent: ${command} (${error.message})`, hub);
+    updateCommandOutcome(addCommandOutcome(hub, command), 'error', error.message);
+}
 
-        // Send via BLE
-        await writeCharacteristic.writeValue(packet);
+/**
+ * Apply the timeout/retry settings of the Custom Command section (invalid values are ignored)
+ * @param {VibeCueClient} [client] - Default: the clients of all hubs
+ */
+function applyCommandSettings(client) {
+    const timeout = parseInt(document.getElementById('cmdTimeout')?.value);
+    const retries = parseInt(document.getElementById('cmdRetries')?.value);
 
-        // Log
-        const timestamp = new Date().toLocaleTimeString();
-        logSent(`[${timestamp}] ${payload}`);
-        logSent(`  → Packet: ${arrayToHex(packet)}`);
+    (client ? [client] : hubs.map(hub => hub.client)).forEach(target => {
+        if (timeout > 0) target.timeout = timeout;
+        if (retries >= 0) target.retries = retries;
+    });
+}
 
-    } catch (error) {
-        console.error('Send failed:', error);
-        alert('Send failed: ' + error.message);
-        logSent('[ERROR] Send failed: ' + error.message);
+/**
+ * Add a command to the hub's command results list
+ * @param {Hub} hub
+ * @param {string} command - Command without $ prefix
+ * @returns {HTMLElement} - List entry, updated as the command progresses
+ */
+function addCommandOutcome(hub, command) {
+    if (!hub.outcomeList) {
+        hub.outcomeList = document.createElement('div');
+        hub.outcomeList.style.display = hub === selectedHub ? '' : 'none';
+        document.getElementById('commandResults').appendChild(hub.outcomeList);
+    }
+    const list = hub.outcomeList;
+    const entry = document.createElement('div');
+    entry.className = 'command-outcome';
+    entry.dataset.command = command;
+    entry.dataset.time = new Date().toLocaleTimeString();
+
+    document.querySelector('#commandResults .command-outcome-empty')?.remove();
+    list.prepend(entry);
+    while (list.children.length > MAX_COMMAND_OUTCOMES) {
+        list.lastChild.remove();
     }
+
+    updateCommandOutcome(entry, 'queued');
+    return entry;
+}
+
+/**
+ * Update a command results entry
+ * @param {HTMLElement} entry - Entry from addCommandOutcome()
+ * @param {string} status - 'queued', 'pending', 'ok', 'error' or 'timeout'
+ * @param {string} [detail] - Response line or error text
+ * @param {number} [elapsed] - Round trip time (ms)
+ */
+function updateCommandOutcome(entry, status, detail = '', elapsed = null) {
+    const icons = { queued: '⋯', pending: '⏳', ok: '✓', error: '✗', timeout: '⏱️' };
+    const time = elapsed !== null ? ` (${elapsed} ms)` : '';
+
+    entry.className = `command-outcome outcome-${status}`;
+    entry.textContent = `[${entry.dataset.time}] ${icons[status]} ${entry.dataset.command}` +
+        (detail ? ` → ${detail}` : '') + time;
 }
 
 /**
@@ -219,10 +763,10 @@ async function sendCommand(command) {
 function sendDeviceType() {
     const type = document.querySelector('input[name="deviceType"]:checked')?.value;
     if (!type) {
-        alert('Please select a device type');
+        alert(t('dm.selectType'));
         return;
     }
-    sendCommand(`DM:TYPE:${type}`);
+    selectedHub.client.setType(type).catch(ignoreCommandError);
 }
 
 /**
@@ -235,20 +779,20 @@ function sendManualStart() {
     const duration = document.getElementById('manDuration').value;
 
     if (!freq || !intensity || !duration) {
-        alert('주파수, 강도, 시간을 입력해주세요');
+        alert(t('man.missingParams'));
         return;
     }
 
     const checkboxes = document.querySelectorAll('.checkbox-grid input[type="checkbox"]:checked');
-    const locations = Array.from(checkboxes).map(cb => cb.value).join(',');
+    const locations = Array.from(checkboxes).map(cb => cb.value);
 
-    if (!locations) {
-        alert('위치를 선택해주세요');
+    if (locations.length === 0) {
+        alert(t('man.selectLocation'));
         return;
     }
 
     // Combined format: MAN:START:Freq,Level,Minutes,Loc1,Loc2,...
-    sendCommand(`MAN:START:${freq},${intensity},${duration},${locations}`);
+    selectedHub.client.manualStart({ frequency: freq, level: intensity, minutes: duration, locations }).catch(ignoreCommandError);
 }
 
 /**
@@ -259,7 +803,7 @@ function sendConnectDevice() {
     const location = document.getElementById('connLocation').value;
 
     if (!mac) {
-        alert('Please enter MAC address');
+        alert(t('pair.enterMac'));
         return;
     }
 
@@ -267,53 +811,67 @@ function sendConnectDevice() {
     const cleanMac = mac.replace(/[:-]/g, '');
 
     if (cleanMac.length !== 12 || !/^[0-9A-F]+$/.test(cleanMac)) {
-        alert('Invalid MAC address. Use format: 5CF286477359 or 5C:F2:86:47:73:59');
+        alert(t('pair.invalidMac'));
         return;
     }
 
-    sendCommand(`DM:CONN:${cleanMac}:${location}`);
+    // Warn about pairings the hub would reject
+    const conflict = checkPairing(cleanMac, location);
+    if (conflict) {
+        const info = describeErrorText(conflict);
+        if (!confirm(t(conflict.provisional ? 'pair.conflictProvisional' : 'pair.conflict', { title: info.title, text: info.text }))) {
+            return;
+        }
+    }
+
+    selectedHub.client.connectSensor(cleanMac, location).catch(ignoreCommandError);
 }
 
 /**
- * Add scan result to display
+ * Add scan result to the hub's list
+ * @param {Hub} hub
  */
-function addScanResult(mac, rssi, name) {
+function addScanResult(hub, mac, rssi, name) {
     // Check if already exists
-    const existing = scanResults.find(r => r.mac === mac);
+    const existing = hub.scanResults.find(r => r.mac === mac);
     if (existing) {
         existing.rssi = rssi;  // Update RSSI
     } else {
-        scanResults.push({ mac, rssi, name });
+        hub.scanResults.push({ mac, rssi, name });
     }
+    recordSensorRssi(hub, mac, rssi);
 
     updateScanResultsDisplay();
 }
 
 /**
  * Clear scan results
+ * @param {Hub} [hub]
  */
-function clearScanResults() {
-    scanResults = [];
+function clearScanResults(hub = selectedHub) {
+    hub.scanResults = [];
     updateScanResultsDisplay();
 }
 
 /**
- * Update scan results display
+ * Update scan results display (selected hub)
  */
 function updateScanResultsDisplay() {
     const container = document.getElementById('scanResults');
+    const scanResults = selectedHub.scanResults;
 
     if (scanResults.length === 0) {
-        container.innerHTML = '<span style="color: #888;">No scan results yet. Click SCAN:INIT then SCAN:START.</span>';
+        container.innerHTML = `<span style="color: #888;">${t('scan.empty')}</span>`;
         return;
     }
 
     let html = '';
-    scanResults.forEach(r => {
+    // Names and MACs come from any BLE device nearby: escaped, and picked by index
+    scanResults.forEach((r, index) => {
         const signalIcon = r.rssi > -70 ? '📶' : (r.rssi > -85 ? '📶' : '📶');
-        html += `<div onclick="selectScanResult('${r.mac}')" style="cursor: pointer; padding: 5px; border-bottom: 1px solid #eee; hover: background: #f0f0f0;">
-            <span style="color: #667eea; font-weight: bold;">${r.mac}</span>
-            <span style="color: #888; margin-left: 10px;">${r.name}</span>
+        html += `<div onclick="selectScanResult(selectedHub.scanResults[${index}].mac)" style="cursor: pointer; padding: 5px; border-bottom: 1px solid #eee; hover: background: #f0f0f0;">
+            <span style="color: #667eea; font-weight: bold;">${escapeHtml(r.mac)}</span>
+            <span style="color: #888; margin-left: 10px;">${escapeHtml(r.name)}</span>
             <span style="color: ${r.rssi > -70 ? '#27ae60' : (r.rssi > -85 ? '#f39c12' : '#e74c3c')}; margin-left: 10px;">${r.rssi} dBm</span>
         </div>`;
     });
@@ -329,168 +887,117 @@ function selectScanResult(mac) {
 }
 
 /**
- * Send custom command
+ * Update device status display
+ * @param {Object} event - Event from parseResponse()
  */
-function sendCustomCommand() {
-    const cmd = document.getElementById('customCmd').value.trim();
-    if (!cmd) {
-        alert('Please enter a command');
-        return;
+function updateDeviceStatus(event) {
+    event.hub.statusEvent = event;
+    if (event.hub === selectedHub) {
+        showDeviceStatus();
     }
-    sendCommand(cmd);
 }
 
 /**
- * Update device status display
+ * Show the last status line of the selected hub
  */
-function updateDeviceStatus(message) {
-    const statusEl = document.getElementById('deviceStatus');
-
-    // Parse response
-    let statusHTML = '';
-
-    // Handle BLE Master raw responses: #BLE:RAW:+OK, #BLE:RAW:+READY, etc.
-    if (message.startsWith('#BLE:RAW:')) {
-        const rawResp = message.substring('#BLE:RAW:'.length);
-        let icon = '📨';
-        let color = '#888';
-        if (rawResp === '+OK') {
-            icon = '✓';
-            color = '#27ae60';
-        } else if (rawResp === '+READY') {
-            icon = '🟢';
-            color = '#667eea';
-        } else if (rawResp === '+MULTI') {
-            icon = '🔗';
-            color = '#9b59b6';
-        } else if (rawResp.startsWith('+CONN')) {
-            icon = '🔌';
-            color = '#27ae60';
-        } else if (rawResp.startsWith('+DISCONN')) {
-            icon = '❌';
-            color = '#e74c3c';
+function showDeviceStatus() {
+    const event = selectedHub.statusEvent;
+    document.getElementById('deviceStatus').innerHTML = event ? deviceStatusHTML(event) : t('logs.noStatus');
+}
+
+/**
+ * Status line for a protocol event
+ * Text from the hub's line is escaped (scan names come from any BLE device nearby).
+ * @param {Object} event - Event from parseResponse()
+ * @returns {string} - HTML
+ */
+function deviceStatusHTML(event) {
+    switch (event.type) {
+        // BLE Master raw responses: #BLE:RAW:+OK, #BLE:RAW:+READY, etc.
+        case 'bleRaw': {
+            const styles = {
+                OK: ['✓', '#27ae60'],
+                READY: ['🟢', '#667eea'],
+                MULTI: ['🔗', '#9b59b6'],
+                CONN: ['🔌', '#27ae60'],
+                DISCONN: ['❌', '#e74c3c']
+            };
+            const [icon, color] = styles[event.event] || ['📨', '#888'];
+            return `<div style="color: ${color};"><strong>${icon} ${t('status.bleMaster')}:</strong> ${escapeHtml(event.raw)}</div>`;
         }
-        statusHTML = `<div style="color: ${color};"><strong>${icon} BLE Master:</strong> ${rawResp}</div>`;
-    }
-    // Handle scan results: #DM:SCAN:FOUND:MAC,NAME,RSSI
-    else if (message.startsWith('#DM:SCAN:FOUND:')) {
-        const data = message.substring('#DM:SCAN:FOUND:'.length);
-        const parts = data.split(',');
-        if (parts.length >= 3) {
-            const mac = parts[0];
-            const name = parts[1];
-            const rssi = parseInt(parts[2]);
-            addScanResult(mac, rssi, name);
-            statusHTML = `<div style="color: #667eea;"><strong>📡 Scan:</strong> Found ${name} (${mac})</div>`;
+        // Scan results: #DM:SCAN:FOUND:MAC,NAME,RSSI
+        case 'scanFound':
+            return `<div style="color: #667eea;"><strong>📡 ${t('status.scan')}:</strong> ${escapeHtml(t('status.scanFound', { name: event.name, mac: event.mac }))}</div>`;
+        case 'evalData':
+            return `<div style="color: #667eea;"><strong>📈 ${t('status.evalData')}:</strong> ${escapeHtml(event.values.join(', '))}</div>`;
+        case 'manTimeout':
+            return `<div style="color: #27ae60;"><strong>⏱️ ${t('status.manual')}:</strong> ${t('status.manTimeout')}</div>`;
+        case 'error': {
+            const info = describeErrorText(event);
+            const color = info.severity === 'warning' ? '#f39c12' : '#e74c3c';
+            const icon = info.severity === 'warning' ? '⚠' : '✗';
+            return `<div style="color: ${color};"><strong>${icon} ${escapeHtml(info.title)}:</strong> ${escapeHtml(info.text)}</div>`;
         }
+        case 'response':
+        case 'status':
+        case 'evalResult':
+            return `<div style="color: #27ae60;"><strong>✓ ${t('status.success')}:</strong> ${escapeHtml(event.line)}</div>`;
+        // Not in the protocol catalog
+        default:
+            return `<div style="color: #888;"><strong>? ${t('status.unknown')}:</strong> ${escapeHtml(event.line)}</div>`;
     }
-    // Handle INIT_OK or SCAN_STARTED - clear scan results
-    else if (message.includes('INIT_OK') || message.includes('SCAN_STARTED')) {
-        clearScanResults();
-        statusHTML = `<div style="color: #27ae60;"><strong>✓ Success:</strong> ${message}</div>`;
-    }
-    // Handle duplicate MAC address
-    else if (message.includes('DUP_MAC:')) {
-        const parts = message.split(':');
-        const mac = parts.length > 2 ? parts[2] : 'unknown';
-        const existingLoc = parts.length > 3 ? parts[3] : 'unknown';
-        statusHTML = `<div style="color: #f39c12;"><strong>⚠ Duplicate MAC:</strong> Device ${mac} already connected as ${existingLoc}</div>`;
-    }
-    // Handle duplicate location
-    else if (message.includes('DUP_LOC:')) {
-        const parts = message.split(':');
-        const loc = parts.length > 2 ? parts[2] : 'unknown';
-        const existingMac = parts.length > 3 ? parts[3] : 'unknown';
-        statusHTML = `<div style="color: #f39c12;"><strong>⚠ Duplicate Location:</strong> ${loc} already assigned to ${existingMac}</div>`;
-    }
-    // Handle location not allowed for device type
-    else if (message.includes('LOC_NOT_ALLOWED:')) {
-        const parts = message.split(':');
-        const loc = parts.length > 2 ? parts[2] : 'unknown';
-        const type = parts.length > 3 ? parts[3] : 'unknown';
-        statusHTML = `<div style="color: #e74c3c;"><strong>✗ Location Not Allowed:</strong> ${loc} is not valid for ${type}</div>`;
-    }
-    // Handle device type full
-    else if (message.includes('TYPE_FULL:')) {
-        const parts = message.split(':');
-        const type = parts.length > 2 ? parts[2] : '?';
-        const max = parts.length > 3 ? parts[3] : '?';
-        statusHTML = `<div style="color: #e74c3c;"><strong>✗ Type Full:</strong> Type ${type} allows max ${max} devices</div>`;
-    }
-    // Handle no type set
-    else if (message.includes('NO_TYPE')) {
-        statusHTML = `<div style="color: #e74c3c;"><strong>✗ No Type:</strong> Set device type first (DM:TYPE:1-4)</div>`;
-    }
-    // Handle slot full
-    else if (message.includes('SLOT_FULL:')) {
-        const parts = message.split(':');
-        const maxSlots = parts.length > 2 ? parts[2] : '8';
-        statusHTML = `<div style="color: #e74c3c;"><strong>✗ Slot Full:</strong> Maximum ${maxSlots} devices allowed</div>`;
-    }
-    // Handle error response
-    else if (message.startsWith('#ERR')) {
-        statusHTML = `<div style="color: #e74c3c;"><strong>✗ Error:</strong> ${message}</div>`;
-    }
-    // Handle success response
-    else if (message.startsWith('#')) {
-        statusHTML = `<div style="color: #27ae60;"><strong>✓ Success:</strong> ${message}</div>`;
-    }
-    // Other message
-    else {
-        statusHTML = `<div>${message}</div>`;
-    }
+}
 
-    statusEl.innerHTML = statusHTML;
+/**
+ * Handle scan control responses - INIT_OK and SCAN_STARTED start a fresh result list
+ * @param {Object} event - 'response' event
+ */
+function handleScanResponse(event) {
+    if (event.group === 'DM' && event.sub === 'SCAN' && (event.result === 'INIT_OK' || event.result === 'SCAN_STARTED')) {
+        clearScanResults(event.hub);
+    }
 }
 
 /**
  * Handle EVAL:STOP:STOP_OK response with average data
  * Type 1,2,4 (Foot): #EVAL:STOP:STOP_OK:{L_dist},{L_speed},{R_dist},{R_speed},{asymmetry} (5 values)
  * Type 3 (Back): #EVAL:STOP:STOP_OK:{L_avg_tilt},{R_avg_tilt},{asymmetry} (3 values)
+ * @param {Object} event - 'evalResult' event (averages named as in EVAL_RESULT_FIELDS)
  */
-function handleEvalStopData(message) {
-    // Extract data part after #EVAL:STOP:STOP_OK:
-    const dataMatch = message.match(/#EVAL:STOP:STOP_OK:(.+)/);
-    if (!dataMatch) {
-        console.warn('Failed to parse EVAL STOP data:', message);
-        return;
-    }
-
-    const parts = dataMatch[1].split(',').map(s => parseInt(s.trim()));
-    const timestamp = new Date().toLocaleTimeString();
+function handleEvalStopData(event) {
+    const hub = event.hub;
+    const now = new Date();
 
-    if (parts.length === 5) {
-        // Type 1, 2, 4: Foot sensors average (L_dist, L_speed, R_dist, R_speed, asymmetry)
-        evalDataRows.push({
-            type: 'foot',
-            time: timestamp,
-            lDist: parts[0],
-            lSpeed: parts[1],
-            rDist: parts[2],
-            rSpeed: parts[3],
-            asymmetry: parts[4]
-        });
-    } else if (parts.length === 3) {
-        // Type 3: Back sensor average (L_tilt, R_tilt, asymmetry)
-        evalDataRows.push({
-            type: 'back',
-            time: timestamp,
-            lTilt: parts[0],
-            rTilt: parts[1],
-            asymmetry: parts[2]
-        });
-    } else {
-        console.warn('Unknown EVAL STOP data format:', message);
+    if (!event.kind) {
+        console.warn('Unknown EVAL STOP data format:', event.line);
         return;
     }
 
+    // Averages and the conditions of this trial
+    const row = {
+        type: event.kind,
+        ...event.averages,
+        time: now.toLocaleTimeString(),
+        timestamp: now.toISOString(),
+        hub: hub.label,
+        device: hub.transport ? hub.transport.name : null,
+        deviceType: hub.deviceState.type,
+        sensorSettings: { ...hub.deviceState.sensorSettings },
+        sensors: hub.deviceState.sensors.map(s => ({ ...s }))
+    };
+    hub.evalDataRows.push(row);
+
     // Update table
     updateEvalTable();
-    logReceived('📊 EVAL average data added to table');
+    logReceived('📊 EVAL average data added to table', hub);
+
+    saveEvalResult(row, hub);
 }
 
 /**
- * Update EVAL data table
+ * Update EVAL data table (selected hub)
+ * Foot and back rows have different columns: a header row is inserted wherever the type changes.
+ * Rows above the asymmetry threshold (vibecue_stats.js) are highlighted.
  */
 function updateEvalTable() {
     const tbody = document.getElementById('evalTableBody');
@@ -500,135 +1007,176 @@ function updateEvalTable() {
     tbody.innerHTML = '';
 
     // Add data rows (show last 20)
-    const displayRows = evalDataRows.slice(-20);
-
-    if (displayRows.length === 0) return;
-
-    // Check data type and update header (shows average data from EVAL:STOP)
-    const dataType = displayRows[0].type;
-    if (dataType === 'foot') {
-        thead.innerHTML = '<tr><th>Time</th><th>L Avg Dist(cm)</th><th>L Avg Spd(cm/s)</th><th>R Avg Dist(cm)</th><th>R Avg Spd(cm/s)</th><th>Asym(%)</th></tr>';
-        displayRows.forEach(row => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td>${row.time}</td>
-                <td>${row.lDist}</td>
-                <td>${row.lSpeed}</td>
-                <td>${row.rDist}</td>
-                <td>${row.rSpeed}</td>
-                <td>${row.asymmetry}</td>
-            `;
-            tbody.appendChild(tr);
-        });
-    } else if (dataType === 'back') {
-        thead.innerHTML = '<tr><th>Time</th><th>L Avg Tilt(°)</th><th>R Avg Tilt(°)</th><th>Asym(%)</th></tr>';
-        displayRows.forEach(row => {
-            const tr = document.createElement('tr');
-            tr.innerHTML = `
-                <td>${row.time}</td>
-                <td>${row.lTilt}</td>
-                <td>${row.rTilt}</td>
-                <td>${row.asymmetry}</td>
-            `;
-            tbody.appendChild(tr);
-        });
-    }
+    const displayRows = selectedHub.evalDataRows.slice(-20);
+
+    const headerCells = (type) => `<th>${t('evalCol.time')}</th>` + EVAL_COLUMNS[type].map(col => `<th>${t(col.labelKey)}</th>`).join('');
+
+    // Header for the first type (shows average data from EVAL:STOP), foot columns while empty
+    let currentType = displayRows.length ? displayRows[0].type : 'foot';
+    thead.innerHTML = `<tr>${headerCells(currentType)}</tr>`;
+
+    displayRows.forEach(row => {
+        if (row.type !== currentType) {
+            currentType = row.type;
+            const header = document.createElement('tr');
+            header.className = 'eval-subhead';
+            header.innerHTML = headerCells(currentType);
+            tbody.appendChild(header);
+        }
+
+        const tr = document.createElement('tr');
+        if (isAsymmetryFlagged(row)) tr.className = 'eval-flagged';
+        tr.innerHTML = `<td>${row.time}</td>` + EVAL_COLUMNS[row.type].map(col => `<td>${row[col.key]}</td>`).join('');
+        tbody.appendChild(tr);
+    });
+
+    // Statistics over all rows, not only the ones shown
+    updateTrialStats();
 }
 
 /**
- * Clear EVAL data
+ * Clear EVAL data of the selected hub
  */
 function clearEvalData() {
-    evalDataRows = [];
+    selectedHub.evalDataRows = [];
     updateEvalTable();
+    clearEvalSamples();
     logSent('📊 EVAL data cleared');
 }
 
 /**
- * Send Position Filter (posf_sl) command to sensors
- * Format: EVAL:SEN:<posf_sl{value}>
- * Valid range: 0.05 ~ 0.3
+ * Save content as a file download
+ * @param {BlobPart} content - Text or bytes
+ * @param {string} filename
+ * @param {string} mimeType
  */
-function sendPosfSlCommand() {
-    const valueInput = document.getElementById('posfSlValue');
-    if (!valueInput) {
-        alert('Position Filter 입력 필드를 찾을 수 없습니다');
-        return;
-    }
-
-    const value = parseFloat(valueInput.value);
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
 
-    // Validate range
-    if (isNaN(value) || value < 0.05 || value > 0.3) {
-        alert('Position Filter 값은 0.05 ~ 0.3 범위여야 합니다');
-        return;
-    }
+    a.click();
+    URL.revokeObjectURL(url);
 
-    // Format value to avoid floating point issues (e.g., 0.10 -> "0.1")
-    const formattedValue = value.toString();
+    logSent(`📥 Downloaded: ${filename}`);
+}
 
-    // Build command: EVAL:SEN:<posf_sl{value}>
-    const cmd = `EVAL:SEN:<posf_sl${formattedValue}>`;
-    sendCommand(cmd);
+/**
+ * Current date/time for file names (e.g. "2024-05-01_14-30-00")
+ */
+function fileTimestamp() {
+    const now = new Date();
+    return `${now.toISOString().slice(0, 10)}_${now.toTimeString().slice(0, 8).replace(/:/g, '-')}`;
 }
 
 /**
- * Download EVAL data as CSV
+ * Add a hub and select it
  */
-function downloadEvalData() {
-    if (evalDataRows.length === 0) {
-        alert('No data to download');
-        return;
-    }
+function addHub() {
+    const hub = new Hub(nextHubId++);
+    hubs.push(hub);
+    selectHub(hub);
+    return hub;
+}
 
-    // Build CSV based on data type (average data from EVAL:STOP)
-    let csv = '';
-    const dataType = evalDataRows[0].type;
+/**
+ * Remove the selected hub (disconnects it first)
+ */
+function removeHub() {
+    const hub = selectedHub;
+    if (hubs.length <= 1) return;
+    if (hub.transport && !confirm(t('hub.removeConfirm', { hub: hub.label }))) return;
 
-    if (dataType === 'foot') {
-        csv = 'Time,L_Avg_Dist(cm),L_Avg_Speed(cm/s),R_Avg_Dist(cm),R_Avg_Speed(cm/s),Asymmetry(%)\n';
-        evalDataRows.forEach(row => {
-            csv += `${row.time},${row.lDist},${row.lSpeed},${row.rDist},${row.rSpeed},${row.asymmetry}\n`;
-        });
-    } else if (dataType === 'back') {
-        csv = 'Time,L_Avg_Tilt(deg),R_Avg_Tilt(deg),Asymmetry(%)\n';
-        evalDataRows.forEach(row => {
-            csv += `${row.time},${row.lTilt},${row.rTilt},${row.asymmetry}\n`;
-        });
+    if (hub.transport) {
+        disconnectDevice(hub);
     }
+    hub.outcomeList?.remove();
+    hubs = hubs.filter(h => h !== hub);
+    selectHub(hubs[0]);
+}
 
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
+/**
+ * Make a hub the target of the UI: logs, status, scan results, EVAL data and commands
+ * @param {Hub} hub
+ */
+function selectHub(hub) {
+    selectedHub = hub;
 
-    const now = new Date();
-    const filename = `eval_data_${dataType}_${now.toISOString().slice(0, 10)}_${now.toTimeString().slice(0, 8).replace(/:/g, '-')}.csv`;
-    a.download = filename;
+    applyLogFilter();
+    showDeviceStatus();
+    hubs.forEach(h => {
+        if (h.outcomeList) h.outcomeList.style.display = h === hub ? '' : 'none';
+    });
 
-    a.click();
-    URL.revokeObjectURL(url);
+    const state = hub.connectionState;
+    updateConnectionStatus(hub, state.connected, state.deviceName);
+    updateConnectionControls();
+    updateScanResultsDisplay();
+    updateEvalTable();
+    scheduleChartRedraw();
+    updateSlotView();
+    updateSensorParamView();
+    updateHealthView();
+    updateModeBadge();
+    refreshSubjectList().catch(() => {});  // History unavailable: reported on load (vibecue_storage.js)
+}
 
-    logSent(`📥 Downloaded: ${filename}`);
+/**
+ * Draw the hub selector: one button per hub with its link state and running mode
+ */
+function updateHubBar() {
+    const bar = document.getElementById('hubBar');
+    if (!bar) return;
+
+    bar.innerHTML = hubs.map(hub => {
+        const connected = hub.connectionState.connected;
+        const state = connected === 'reconnecting' ? 'reconnecting' : (connected ? 'connected' : 'disconnected');
+        return `<button class="hub-tab${hub === selectedHub ? ' active' : ''}" onclick="selectHub(hubs.find(h => h.id === ${hub.id}))" ` +
+            `title="${escapeHtml(hub.connectionState.deviceName || '')}">` +
+            `<span class="hub-dot hub-dot-${state}"></span>${hub.label}` +
+            (hub.deviceState.mode ? ` <span class="hub-mode mode-${hub.deviceState.mode.toLowerCase()}">${hub.deviceState.mode}</span>` : '') + '</button>';
+    }).join('');
+    document.getElementById('removeHubBtn').disabled = hubs.length <= 1;
 }
 
 /**
- * Log sent message
+ * Send one command to every connected hub
+ * @param {string} command - Command without $ prefix
+ * @returns {Promise<Array>} - Promise.allSettled() results per connected hub
  */
-function logSent(message) {
-    const log = document.getElementById('sentLog');
-    log.value += message + '\n';
-    log.scrollTop = log.scrollHeight;
+async function broadcastCommand(command) {
+    const targets = hubs.filter(hub => hub.isConnected);
+    if (targets.length === 0) {
+        alert(t('cmd.noHubConnected'));
+        return [];
+    }
+
+    logSent(`📢 Broadcast to ${targets.length} hub(s): ${command}`);
+    const results = await Promise.allSettled(targets.map(hub => sendCommand(command, { hub, force: true })));
+
+    const summary = results.map((result, i) =>
+        `${targets[i].label} ${result.status === 'fulfilled' ? '✓' : '✗ ' + result.reason.code}`).join(', ');
+    logReceived(`📢 Broadcast ${command}: ${summary}`);
+    return results;
 }
 
 /**
- * Log received message
+ * Broadcast the command typed in the broadcast field
  */
-function logReceived(message) {
-    const log = document.getElementById('receivedLog');
-    log.value += message + '\n';
-    log.scrollTop = log.scrollHeight;
+function broadcastCustomCommand() {
+    const cmd = document.getElementById('broadcastCmd').value.trim();
+    if (!cmd) {
+        alert(t('common.enterCommand'));
+        return;
+    }
+
+    const check = validateCommand(cmd);
+    if (!check.valid && !confirm(t('common.notInCatalog', { error: check.error }))) {
+        return;
+    }
+    broadcastCommand(cmd);
 }
 
 /**
@@ -646,19 +1194,43 @@ function arrayToHex(array) {
 window.addEventListener('load', () => {
     console.log('VibeCue Protocol Tester v2.0 loaded');
 
-    // Check for Web Bluetooth API support
+    // Check for Web Bluetooth / Web Serial API support (the simulator works everywhere)
+    const transportSelect = document.getElementById('transportType');
+    if (!navigator.serial) {
+        transportSelect.querySelector('option[value="serial"]').disabled = true;
+    }
     if (!navigator.bluetooth) {
-        alert('⚠️ Web Bluetooth API is not supported in this browser.\n\nPlease use Chrome, Edge, or Opera on desktop/Android.');
-        document.getElementById('connectBtn').disabled = true;
+        alert(t('conn.noBluetooth'));
+        transportSelect.value = navigator.serial ? 'serial' : 'sim';
     }
+    updateTransportOptions();
+    updateHubBar();
+    updateEvalTable();
 
     logSent('🚀 VibeCue Tester v2.0 initialized');
     logSent('📱 Ready to connect...');
 });
 
+// Protocol event subscriptions
+onProtocolEvent('*', updateDeviceStatus);
+onProtocolEvent('scanFound', event => addScanResult(event.hub, event.mac, event.rssi, event.name));
+onProtocolEvent('response', handleScanResponse);
+onProtocolEvent('evalResult', handleEvalStopData);
+onProtocolEvent('manTimeout', event => logReceived('⏱️ Manual mode stopped (time elapsed)', event.hub));
+
+// Texts rendered here follow the language switch
+onLanguageChange(() => {
+    updateConnectionStatus(selectedHub, selectedHub.connectionState.connected, selectedHub.connectionState.deviceName);
+    updateScanResultsDisplay();
+    updateEvalTable();
+    showDeviceStatus();
+});
+
 // Handle disconnection
 window.addEventListener('beforeunload', () => {
-    if (isConnected) {
-        disconnectBluetooth();
-    }
+    hubs.filter(hub => hub.transport).forEach(hub => disconnectDevice(hub));
 });
+
+// First hub; more are added with addHub()
+hubs.push(new Hub(nextHubId++));
+selectedHub = hubs[0];